@@ -58,6 +58,28 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Middleware to identify the user when a valid JWT token is sent,
+// letting guests through without one
+const optionalAuth = async (req, res, next) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+    if (token) {
+      const decoded = jwt.verify(token, JWT_SECRET);
+      const user = await User.findById(decoded.userId).select('-password');
+
+      if (user && user.isActive) {
+        req.user = user;
+      }
+    }
+  } catch (error) {
+    // Invalid or expired tokens are treated as guest requests
+  }
+
+  next();
+};
+
 // POST /api/auth/login - User login
 router.post('/login', async (req, res) => {
   try {
@@ -620,4 +642,4 @@ router.delete('/users/:id', authenticateToken, async (req, res) => {
   }
 });
 
-module.exports = { router, authenticateToken };
+module.exports = { router, authenticateToken, optionalAuth };
@@ -0,0 +1,358 @@
+const express = require('express');
+const Coupon = require('../models/CouponModel');
+const CouponRedemption = require('../models/CouponRedemptionModel');
+const { resolveItemVariants } = require('../services/variant');
+const { priceOrder } = require('../services/pricing');
+const { findUsableCoupon } = require('../services/coupon');
+const { getActiveSubscription } = require('../services/subscription');
+
+const router = express.Router();
+
+// Middleware to verify JWT token (imported from auth.js)
+const { authenticateToken, optionalAuth } = require('./auth');
+
+// Fields admins may set on a coupon; the usage count is kept by redemptions
+const editableFields = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'minOrderValue',
+  'applicableCategories', 'applicableProducts', 'firstOrderOnly',
+  'usageLimit', 'perUserLimit', 'startsAt', 'expiresAt', 'isActive'
+];
+
+const pickEditableFields = (body) => {
+  const fields = {};
+  for (const field of editableFields) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+// Answer a save rejected for bad input with a 400; returns null for other errors
+const sendSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join(', ')
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      error: 'Duplicate coupon',
+      message: 'A coupon with this code already exists'
+    });
+  }
+  return null;
+};
+
+// POST /api/coupons/validate - Check a coupon against a cart and preview the discount
+router.post('/validate', optionalAuth, async (req, res) => {
+  try {
+    const { code, items, shipping_method, state, postal_code, email } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid items',
+        message: 'At least one item is required'
+      });
+    }
+
+    const { coupon, error } = await findUsableCoupon(code, {
+      userId: req.user ? req.user._id : undefined,
+      email: email || (req.user ? req.user.email : undefined)
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid coupon',
+        message: error
+      });
+    }
+
+    const invalidVariants = await resolveItemVariants(items);
+    if (invalidVariants.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid variants',
+        message: 'Some items do not match an available size/color',
+        invalidItems: invalidVariants
+      });
+    }
+
+    // Price the cart exactly as checkout will, so the preview matches the amount charged
+    const subscription = req.user ? await getActiveSubscription(req.user._id) : null;
+    const priced = await priceOrder(items, {
+      subscription,
+      coupon,
+      shippingMethod: shipping_method,
+      state,
+      pincode: postal_code
+    });
+    if (priced.problems) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid items',
+        message: 'Some items could not be priced',
+        invalidItems: priced.problems
+      });
+    }
+    if (priced.couponError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid coupon',
+        message: priced.couponError
+      });
+    }
+    if (priced.shippingError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Shipping unavailable',
+        message: priced.shippingError
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon applied',
+      data: {
+        code: coupon.code,
+        description: coupon.description,
+        type: coupon.type,
+        discount: priced.coupon.discount,
+        freeShipping: priced.coupon.freeShipping,
+        pricing: priced.pricing,
+        deposit: priced.deposit,
+        amountDue: priced.amountDue
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to validate coupon',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/coupons - List coupons (admin only)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { isActive, type, search } = req.query;
+
+    // Build filter object
+    let filter = {};
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+    if (type) {
+      filter.type = type;
+    }
+    if (search) {
+      filter.$or = [
+        { code: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: coupons.length,
+      data: coupons
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch coupons',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/coupons/:id - Get a coupon with its redemptions (admin only)
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('applicableCategories', 'name')
+      .populate('applicableProducts', 'productName');
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        error: 'Coupon not found',
+        message: 'No coupon found with the provided ID'
+      });
+    }
+
+    const redemptions = await CouponRedemption.find({ coupon: coupon._id })
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json({
+      success: true,
+      data: {
+        ...coupon.toObject(),
+        redemptions
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch coupon',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/coupons - Create a coupon (admin only)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const coupon = await Coupon.create({
+      ...pickEditableFields(req.body),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+  } catch (error) {
+    if (sendSaveError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create coupon',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/coupons/:id - Update a coupon (admin only)
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        error: 'Coupon not found',
+        message: 'No coupon found with the provided ID'
+      });
+    }
+
+    // Past redemptions are recorded under the code, so it stays fixed once used
+    const updates = pickEditableFields(req.body);
+    if (updates.code && coupon.usedCount > 0 && updates.code.trim().toUpperCase() !== coupon.code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Coupon in use',
+        message: 'The code of a coupon that has been used cannot be changed'
+      });
+    }
+
+    coupon.set(updates);
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+  } catch (error) {
+    if (sendSaveError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update coupon',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/coupons/:id - Delete a coupon, or deactivate it once used (admin only)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        error: 'Coupon not found',
+        message: 'No coupon found with the provided ID'
+      });
+    }
+
+    // Used coupons are kept so orders and redemptions still point at them
+    const hasRedemptions = coupon.usedCount > 0 || (await CouponRedemption.exists({ coupon: coupon._id }));
+    if (hasRedemptions) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.json({
+        success: true,
+        message: 'Coupon has been used, so it was deactivated instead of deleted',
+        data: coupon
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete coupon',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const Deposit = require('../models/DepositModel');
+const Order = require('../models/OrderModel');
+const { settleDeposit } = require('../services/deposit');
+
+const router = express.Router();
+
+// Middleware to verify JWT token (imported from auth.js)
+const { authenticateToken } = require('./auth');
+
+// GET /api/deposits - Get all deposits (admin only)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { status, email } = req.query;
+
+    // Build filter object
+    let filter = {};
+    if (status) {
+      filter.status = status;
+    }
+    if (email) {
+      filter.customerEmail = email.toLowerCase();
+    }
+
+    const deposits = await Deposit.find(filter)
+      .populate('order', 'orderNumber status customerInfo')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: deposits.length,
+      data: deposits
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch deposits',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/deposits/order/:orderId - Get deposit for an order (admin only)
+router.get('/order/:orderId', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const deposit = await Deposit.findOne({ order: req.params.orderId });
+
+    if (!deposit) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deposit not found',
+        message: 'No deposit found for the provided order ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: deposit
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch deposit',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/deposits/:id/settle - Release a deposit with optional deductions (admin only)
+router.post('/:id/settle', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { deductions = [], notes } = req.body;
+
+    const deposit = await Deposit.findById(req.params.id);
+    if (!deposit) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deposit not found',
+        message: `No deposit found with ID: ${req.params.id}`
+      });
+    }
+
+    if (deposit.status !== 'Held') {
+      return res.status(400).json({
+        success: false,
+        error: 'Deposit already settled',
+        message: `Deposit has already been settled with status: ${deposit.status}`
+      });
+    }
+
+    // Deposits are only released once the rented items are back
+    const order = await Order.findById(deposit.order);
+    if (!order || order.status !== 'Returned') {
+      return res.status(400).json({
+        success: false,
+        error: 'Order not returned',
+        message: 'Deposit can only be settled after the order is returned'
+      });
+    }
+
+    // Validate deductions
+    if (!Array.isArray(deductions)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid deductions',
+        message: 'Deductions must be an array of { amount, reason }'
+      });
+    }
+
+    const invalidDeduction = deductions.find(deduction =>
+      isNaN(deduction.amount) || Number(deduction.amount) <= 0 || !deduction.reason
+    );
+    if (invalidDeduction) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid deductions',
+        message: 'Each deduction needs a positive amount and a reason'
+      });
+    }
+
+    const parsedDeductions = deductions.map(deduction => ({
+      amount: Number(deduction.amount),
+      reason: deduction.reason
+    }));
+
+    const totalDeductions = parsedDeductions.reduce((sum, deduction) => sum + deduction.amount, 0);
+    if (deposit.totalDeductions + totalDeductions > deposit.amount) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid deductions',
+        message: `Deductions cannot exceed the deposit amount of ${deposit.amount}`
+      });
+    }
+
+    const settledDeposit = await settleDeposit(deposit, {
+      deductions: parsedDeductions,
+      notes,
+      settledBy: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Deposit settled successfully',
+      data: settledDeposit
+    });
+  } catch (error) {
+    console.error('Error settling deposit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to settle deposit',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
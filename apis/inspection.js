@@ -0,0 +1,277 @@
+const express = require('express');
+const Inspection = require('../models/InspectionModel');
+const {
+  applyInspectionDecision,
+  completeRepair,
+  settleDepositAfterInspection
+} = require('../services/inspection');
+const { createImageUpload, toUploadUrl, removeUploadsOnError, handleUploadErrors } = require('../services/upload');
+
+const router = express.Router();
+
+// Middleware to verify JWT token (imported from auth.js)
+const { authenticateToken } = require('./auth');
+
+// Multer for inspection photo uploads, up to 10 per upload
+const upload = createImageUpload({ folder: 'inspections', prefix: 'inspection', maxFiles: 10 });
+
+// GET /api/inspections - Get inspections with filtering (admin only)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { status, decision, repairStatus } = req.query;
+
+    // Build filter object
+    let filter = {};
+    if (status) {
+      filter.status = status;
+    }
+    if (decision) {
+      filter.decision = decision;
+    }
+    if (repairStatus) {
+      filter.repairStatus = repairStatus;
+    }
+
+    const inspections = await Inspection.find(filter)
+      .populate('product', 'productName image')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: inspections.length,
+      data: inspections
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch inspections',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/inspections/order/:orderId - Get inspections for an order (admin only)
+router.get('/order/:orderId', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const inspections = await Inspection.find({ order: req.params.orderId })
+      .populate('product', 'productName image')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: inspections.length,
+      data: inspections
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch inspections',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/inspections/:id - Record inspection findings and photos (admin only)
+router.put('/:id', authenticateToken, removeUploadsOnError, upload.array('photos', 10), async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { id } = req.params;
+    const { conditionGrade, damageNotes, repairCost, decision } = req.body;
+
+    const inspection = await Inspection.findById(id);
+    if (!inspection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Inspection not found',
+        message: `No inspection found with ID: ${id}`
+      });
+    }
+
+    if (inspection.status === 'Completed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Inspection completed',
+        message: 'Completed inspections cannot be changed'
+      });
+    }
+
+    if (repairCost !== undefined && (isNaN(repairCost) || Number(repairCost) < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid repair cost',
+        message: 'Repair cost must be a non-negative number'
+      });
+    }
+
+    if (conditionGrade !== undefined) inspection.conditionGrade = conditionGrade;
+    if (damageNotes !== undefined) inspection.damageNotes = damageNotes;
+    if (repairCost !== undefined) inspection.repairCost = parseFloat(repairCost);
+    if (decision !== undefined) inspection.decision = decision;
+
+    // Add uploaded photos
+    if (req.files && req.files.length > 0) {
+      const photoUrls = req.files.map(file => toUploadUrl('inspections', file));
+      inspection.photos.push(...photoUrls);
+    }
+
+    inspection.inspectedBy = req.user._id;
+    await inspection.save();
+
+    res.json({
+      success: true,
+      message: 'Inspection updated successfully',
+      data: inspection
+    });
+  } catch (error) {
+    console.error('Error updating inspection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update inspection',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/inspections/:id/complete - Complete an inspection (admin only)
+router.post('/:id/complete', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { id } = req.params;
+
+    const inspection = await Inspection.findById(id);
+    if (!inspection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Inspection not found',
+        message: `No inspection found with ID: ${id}`
+      });
+    }
+
+    if (inspection.status === 'Completed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Inspection completed',
+        message: 'Inspection has already been completed'
+      });
+    }
+
+    if (!inspection.conditionGrade || !inspection.decision) {
+      return res.status(400).json({
+        success: false,
+        error: 'Incomplete inspection',
+        message: 'Condition grade and decision are required to complete an inspection'
+      });
+    }
+
+    inspection.inspectedBy = req.user._id;
+    await applyInspectionDecision(inspection);
+    inspection.status = 'Completed';
+    inspection.completedAt = new Date();
+    await inspection.save();
+
+    // Settle the deposit once the last item on the order has been inspected
+    const deposit = await settleDepositAfterInspection(inspection.order, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Inspection completed successfully',
+      data: {
+        inspection,
+        deposit
+      }
+    });
+  } catch (error) {
+    console.error('Error completing inspection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to complete inspection',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/inspections/:id/repair-complete - Return a repaired item to stock (admin only)
+router.post('/:id/repair-complete', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { id } = req.params;
+
+    const inspection = await Inspection.findById(id);
+    if (!inspection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Inspection not found',
+        message: `No inspection found with ID: ${id}`
+      });
+    }
+
+    if (inspection.repairStatus !== 'In Repair') {
+      return res.status(400).json({
+        success: false,
+        error: 'Not in repair',
+        message: 'Only items sent to repair can be marked as repaired'
+      });
+    }
+
+    const updatedInspection = await completeRepair(inspection);
+
+    res.json({
+      success: true,
+      message: 'Item returned to stock after repair',
+      data: updatedInspection
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to complete repair',
+      message: error.message
+    });
+  }
+});
+
+// Error handling middleware for photo uploads
+router.use(handleUploadErrors(10));
+
+module.exports = router;
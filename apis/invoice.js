@@ -0,0 +1,195 @@
+const express = require('express');
+const Invoice = require('../models/InvoiceModel');
+const Order = require('../models/OrderModel');
+const Payment = require('../models/PaymentModel');
+const CreditNote = require('../models/CreditNoteModel');
+const { createInvoiceForOrder, renderInvoicePdf, getInvoiceFileName } = require('../services/invoice');
+
+const router = express.Router();
+
+// Middleware to verify JWT token (imported from auth.js)
+const { authenticateToken } = require('./auth');
+
+// GET /api/invoices - List issued invoices (admin only)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { from, to, status, supplyType, search, page = 1, limit = 50 } = req.query;
+
+    // Build filter object
+    let filter = {};
+    if (from || to) {
+      filter.issuedAt = {};
+      if (from) filter.issuedAt.$gte = new Date(from);
+      if (to) filter.issuedAt.$lte = new Date(to);
+    }
+    if (status) {
+      filter.status = status;
+    }
+    if (supplyType) {
+      filter.supplyType = supplyType;
+    }
+    if (search) {
+      filter.$or = [
+        { invoiceNumber: { $regex: search, $options: 'i' } },
+        { orderNumber: { $regex: search, $options: 'i' } },
+        { 'buyer.name': { $regex: search, $options: 'i' } },
+        { 'buyer.gstin': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter)
+        .select('-items')
+        .sort({ issuedAt: -1 })
+        .skip(skip)
+        .limit(pageSize),
+      Invoice.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: invoices.length,
+      total,
+      data: invoices
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoices',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/invoices/:id - Get an invoice with its line items and credit notes (admin only)
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found',
+        message: 'No invoice found with the provided ID'
+      });
+    }
+
+    const creditNotes = await CreditNote.find({ invoice: invoice._id }).sort({ issuedAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        ...invoice.toObject(),
+        creditNotes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoice',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/invoices/:id/pdf - Download an invoice as a PDF (admin only)
+router.get('/:id/pdf', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found',
+        message: 'No invoice found with the provided ID'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${getInvoiceFileName(invoice)}"`);
+    renderInvoicePdf(invoice, res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download invoice',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/invoices/orders/:orderId - Issue the invoice for an order that does not have one yet (admin only)
+router.post('/orders/:orderId', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found',
+        message: 'No order found with the provided ID'
+      });
+    }
+
+    const existing = await Invoice.findOne({ order: order._id });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invoice already issued',
+        message: `Order ${order.orderNumber} already has invoice ${existing.invoiceNumber}`
+      });
+    }
+
+    const payment = await Payment.findOne({ orderId: order._id });
+    const invoice = await createInvoiceForOrder(order, { payment });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invoice issued successfully',
+      data: invoice
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue invoice',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
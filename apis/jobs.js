@@ -0,0 +1,65 @@
+const express = require('express');
+const crypto = require('crypto');
+const jobsConfig = require('../config/jobs');
+const { runLateFeeJob } = require('../jobs/lateFees');
+const { runWaitlistJob } = require('../jobs/waitlist');
+
+const router = express.Router();
+
+// Scheduled runs must carry the cron secret as a bearer token
+const verifyCronSecret = (req, res, next) => {
+  const expected = Buffer.from(`Bearer ${jobsConfig.cronSecret}`);
+  const received = Buffer.from(String(req.headers.authorization || ''));
+
+  if (!jobsConfig.cronSecret || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: 'A valid cron secret is required'
+    });
+  }
+
+  next();
+};
+
+// GET /api/jobs/late-fees - Update late fees and payment links (Vercel Cron, hourly)
+router.get('/late-fees', verifyCronSecret, async (req, res) => {
+  try {
+    const result = await runLateFeeJob();
+
+    res.json({
+      success: true,
+      message: 'Late fee job finished',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error running late fee job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Something went wrong!',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/jobs/waitlist - Expire lapsed claims and notify the waitlist (Vercel Cron, every 15 minutes)
+router.get('/waitlist', verifyCronSecret, async (req, res) => {
+  try {
+    const result = await runWaitlistJob();
+
+    res.json({
+      success: true,
+      message: 'Waitlist job finished',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error running waitlist job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Something went wrong!',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,568 @@
+const express = require('express');
+const DeliveryZone = require('../models/DeliveryZoneModel');
+const DeliverySlot = require('../models/DeliverySlotModel');
+const Order = require('../models/OrderModel');
+const { toDay, addDays, formatDay, parseRentalPeriod } = require('../services/booking');
+const { findZoneForPincode } = require('../services/slot');
+
+const router = express.Router();
+
+// Middleware to verify JWT token (imported from auth.js)
+const { authenticateToken } = require('./auth');
+
+// Longest range of slots that can be generated in one request
+const MAX_SLOT_GENERATION_DAYS = 90;
+
+// GET /api/logistics/slots/available - Get bookable slots for a pincode
+router.get('/slots/available', async (req, res) => {
+  try {
+    const { pincode, from, to } = req.query;
+
+    if (!pincode) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing pincode',
+        message: 'pincode is required'
+      });
+    }
+
+    const zone = await findZoneForPincode(pincode);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        error: 'Zone not found',
+        message: `Doorstep delivery is not available for pincode ${pincode}`
+      });
+    }
+
+    const today = toDay(new Date());
+    const startDate = toDay(from) && toDay(from) > today ? toDay(from) : today;
+    const endDate = toDay(to) || addDays(startDate, 14);
+
+    const slots = await DeliverySlot.find({
+      zone: zone._id,
+      isActive: true,
+      date: { $gte: startDate, $lte: endDate },
+      $expr: { $lt: ['$booked', '$capacity'] }
+    }).sort({ date: 1, startTime: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        zone: { _id: zone._id, name: zone.name },
+        slots: slots.map(slot => ({
+          _id: slot._id,
+          date: formatDay(slot.date),
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          remaining: slot.capacity - slot.booked
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch slots',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/logistics/zones - Get all delivery zones (admin only)
+router.get('/zones', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const zones = await DeliveryZone.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: zones.length,
+      data: zones
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch zones',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/logistics/zones - Create a delivery zone (admin only)
+router.post('/zones', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { name, pincodes, isActive } = req.body;
+
+    if (!name || !Array.isArray(pincodes) || pincodes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'Required fields: name, pincodes'
+      });
+    }
+
+    // A pincode can only belong to one active zone
+    const overlappingZone = await DeliveryZone.findOne({ pincodes: { $in: pincodes }, isActive: true });
+    if (overlappingZone) {
+      return res.status(400).json({
+        success: false,
+        error: 'Pincode already assigned',
+        message: `Some pincodes already belong to zone ${overlappingZone.name}`
+      });
+    }
+
+    const zone = await DeliveryZone.create({
+      name,
+      pincodes,
+      isActive: isActive !== false
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Zone created successfully',
+      data: zone
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Duplicate zone',
+        message: 'A zone with this name already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create zone',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/logistics/zones/:id - Update a delivery zone (admin only)
+router.put('/zones/:id', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { name, pincodes, isActive } = req.body;
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (isActive !== undefined) updateData.isActive = isActive;
+    if (pincodes !== undefined) {
+      const overlappingZone = await DeliveryZone.findOne({
+        _id: { $ne: req.params.id },
+        pincodes: { $in: pincodes },
+        isActive: true
+      });
+      if (overlappingZone) {
+        return res.status(400).json({
+          success: false,
+          error: 'Pincode already assigned',
+          message: `Some pincodes already belong to zone ${overlappingZone.name}`
+        });
+      }
+      updateData.pincodes = pincodes;
+    }
+
+    const zone = await DeliveryZone.findByIdAndUpdate(
+      req.params.id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        error: 'Zone not found',
+        message: `No zone found with ID: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Zone updated successfully',
+      data: zone
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Duplicate zone',
+        message: 'A zone with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update zone',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/logistics/zones/:id/slots - Get a zone's slots with bookings (admin only)
+router.get('/zones/:id/slots', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { from, to } = req.query;
+    const startDate = toDay(from) || toDay(new Date());
+    const endDate = toDay(to) || addDays(startDate, 14);
+
+    const slots = await DeliverySlot.find({
+      zone: req.params.id,
+      date: { $gte: startDate, $lte: endDate }
+    }).sort({ date: 1, startTime: 1 });
+
+    res.json({
+      success: true,
+      count: slots.length,
+      data: slots
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch slots',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/logistics/zones/:id/slots - Create slots for a date range from daily time windows (admin only)
+router.post('/zones/:id/slots', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { startDate, endDate, windows, daysOfWeek } = req.body;
+
+    const period = parseRentalPeriod(startDate, endDate);
+    if (period.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dates',
+        message: period.error
+      });
+    }
+    if (period.endDate > addDays(period.startDate, MAX_SLOT_GENERATION_DAYS - 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dates',
+        message: `Slots can be created for at most ${MAX_SLOT_GENERATION_DAYS} days at a time`
+      });
+    }
+
+    if (!Array.isArray(windows) || windows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing windows',
+        message: 'At least one time window ({ startTime, endTime, capacity }) is required'
+      });
+    }
+
+    const zone = await DeliveryZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        error: 'Zone not found',
+        message: `No zone found with ID: ${req.params.id}`
+      });
+    }
+
+    // Optionally limit to some weekdays (0 = Sunday)
+    const slots = [];
+    for (let day = period.startDate; day <= period.endDate; day = addDays(day, 1)) {
+      if (Array.isArray(daysOfWeek) && !daysOfWeek.includes(day.getUTCDay())) continue;
+
+      windows.forEach(window => {
+        slots.push({
+          zone: zone._id,
+          date: day,
+          startTime: window.startTime,
+          endTime: window.endTime,
+          capacity: window.capacity
+        });
+      });
+    }
+
+    // Validate every slot before inserting any of them
+    for (const slot of slots) {
+      const error = new DeliverySlot(slot).validateSync();
+      if (error) {
+        const errors = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          message: errors.join(', ')
+        });
+      }
+    }
+
+    // Slots that already exist are left as they are
+    let created = [];
+    try {
+      created = await DeliverySlot.insertMany(slots, { ordered: false });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      created = error.insertedDocs || [];
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} slot(s) created successfully`,
+      data: {
+        created: created.length,
+        skipped: slots.length - created.length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create slots',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/logistics/slots/:id - Update a slot's capacity or availability (admin only)
+router.put('/slots/:id', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { capacity, isActive } = req.body;
+
+    const slot = await DeliverySlot.findById(req.params.id);
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Slot not found',
+        message: `No slot found with ID: ${req.params.id}`
+      });
+    }
+
+    if (capacity !== undefined) {
+      if (isNaN(capacity) || capacity < slot.booked) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid capacity',
+          message: `Capacity cannot be lower than the ${slot.booked} booking(s) already made`
+        });
+      }
+      slot.capacity = parseInt(capacity);
+    }
+    if (isActive !== undefined) {
+      slot.isActive = isActive;
+    }
+
+    await slot.save();
+
+    res.json({
+      success: true,
+      message: 'Slot updated successfully',
+      data: slot
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update slot',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/logistics/slots/:id - Delete a slot with no bookings (admin only)
+router.delete('/slots/:id', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const slot = await DeliverySlot.findById(req.params.id);
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Slot not found',
+        message: `No slot found with ID: ${req.params.id}`
+      });
+    }
+
+    if (slot.booked > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Slot in use',
+        message: 'Slots with bookings cannot be deleted; deactivate the slot instead'
+      });
+    }
+
+    await slot.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Slot deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete slot',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/logistics/manifest - Get the day's deliveries and pickups per zone (admin only)
+router.get('/manifest', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { date, zoneId } = req.query;
+    const day = toDay(date || new Date());
+    if (!day) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date',
+        message: 'date must be a valid date (YYYY-MM-DD)'
+      });
+    }
+
+    const deliveryFilter = { 'shipping.deliverySlot.date': day };
+    const pickupFilter = { 'shipping.pickupSlot.date': day };
+    if (zoneId) {
+      deliveryFilter['shipping.deliverySlot.zone'] = zoneId;
+      pickupFilter['shipping.pickupSlot.zone'] = zoneId;
+    }
+
+    const orders = await Order.find({
+      status: { $ne: 'Cancelled' },
+      $or: [deliveryFilter, pickupFilter]
+    })
+      .populate('items.unitIds', 'serialNumber')
+      .sort({ orderNumber: 1 });
+
+    const zones = await DeliveryZone.find(zoneId ? { _id: zoneId } : {}).select('name');
+    const manifest = {};
+    zones.forEach(zone => {
+      manifest[zone._id] = { zoneId: zone._id, zoneName: zone.name, deliveries: [], pickups: [] };
+    });
+
+    const toStop = (order, slot) => ({
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      orderStatus: order.status,
+      slot: `${slot.startTime}-${slot.endTime}`,
+      customer: {
+        name: `${order.customerInfo.firstName} ${order.customerInfo.lastName}`,
+        phoneNumber: order.customerInfo.phoneNumber
+      },
+      address: order.shippingAddress,
+      items: order.items.map(item => ({
+        productName: item.productName,
+        size: item.size,
+        color: item.color,
+        quantity: item.quantity,
+        units: item.unitIds.map(unit => unit.serialNumber)
+      }))
+    });
+
+    orders.forEach(order => {
+      const { deliverySlot, pickupSlot } = order.shipping;
+
+      if (deliverySlot && deliverySlot.date && deliverySlot.date.getTime() === day.getTime() && manifest[deliverySlot.zone]) {
+        manifest[deliverySlot.zone].deliveries.push(toStop(order, deliverySlot));
+      }
+      if (pickupSlot && pickupSlot.date && pickupSlot.date.getTime() === day.getTime() && manifest[pickupSlot.zone]) {
+        manifest[pickupSlot.zone].pickups.push(toStop(order, pickupSlot));
+      }
+    });
+
+    const byTime = (a, b) => a.slot.localeCompare(b.slot);
+    const zonesWithStops = Object.values(manifest)
+      .filter(zone => zone.deliveries.length > 0 || zone.pickups.length > 0)
+      .map(zone => ({
+        ...zone,
+        deliveries: zone.deliveries.sort(byTime),
+        pickups: zone.pickups.sort(byTime)
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        date: formatDay(day),
+        zones: zonesWithStops
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build manifest',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
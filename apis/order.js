@@ -2,13 +2,95 @@ const express = require('express');
 const Order = require('../models/OrderModel');
 const Payment = require('../models/PaymentModel');
 const Product = require('../models/ProductModel');
+const Invoice = require('../models/InvoiceModel');
+const {
+  findUnavailableItems,
+  releaseBookingsForOrder
+} = require('../services/booking');
+const { adjustLateFee } = require('../services/lateFee');
+const { processWaitlistForOrder } = require('../services/waitlist');
+const { validateOrderSlots, bookOrderSlots, releaseOrderSlots } = require('../services/slot');
+const {
+  getActiveSubscription,
+  reserveSubscriptionItems,
+  releaseSubscriptionItems,
+  recordSubscriptionUsage,
+  releaseSubscriptionUsage
+} = require('../services/subscription');
+const { resolveItemVariants } = require('../services/variant');
+const { priceOrder } = require('../services/pricing');
+const { findStockShortages, restockOrder } = require('../services/inventory');
+const { findUsableCoupon, releaseCouponRedemption } = require('../services/coupon');
+const { placeOrder } = require('../services/checkout');
+const { getUsableStoreCredit } = require('../services/storeCredit');
+const { renderInvoicePdf, getInvoiceFileName } = require('../services/invoice');
+const { ORDER_STATUSES, ORDER_STATUS_TRANSITIONS, transitionOrder } = require('../services/orderStatus');
+const { buildOrderFilter, writeOrdersCsv, writeOrdersXlsx } = require('../services/orderExport');
+
+// Middleware to verify JWT token (imported from auth.js)
+const { authenticateToken, optionalAuth } = require('./auth');
 
 const router = express.Router();
 
-// GET /api/orders - Get all orders
+// Copy the listed fields that are set on an object sent by the client
+const pickFields = (source, fields) => {
+  const picked = {};
+  if (!source || typeof source !== 'object') return picked;
+  for (const field of fields) {
+    if (source[field] !== undefined) picked[field] = source[field];
+  }
+  return picked;
+};
+
+const addressFields = ['streetAddress', 'city', 'state', 'postalCode', 'country'];
+
+// The parts of a new order customers choose. Status, payment status, history,
+// pricing and anything set by later steps (units, returns, extensions) come from the server.
+const toNewOrderData = (body) => ({
+  customerInfo: pickFields(body.customerInfo, ['firstName', 'lastName', 'email', 'phoneNumber', 'companyName', 'gstin']),
+  shippingAddress: pickFields(body.shippingAddress, addressFields),
+  billingAddress: pickFields(body.billingAddress, addressFields),
+  items: body.items.map(item => pickFields(item, [
+    'productId', 'productName', 'quantity', 'variantId', 'sku', 'size', 'color', 'rentalStartDate', 'rentalEndDate'
+  ])),
+  payment: pickFields(body.payment, ['method']),
+  notes: body.notes
+});
+
+// Fields an admin can correct on an existing order, as dotted update paths.
+// Pricing, payment, items, coupon and status are only set by the checkout,
+// payment and status flows.
+const toOrderUpdate = (body) => {
+  const update = {};
+  const sections = {
+    customerInfo: ['firstName', 'lastName', 'email', 'phoneNumber', 'companyName', 'gstin'],
+    shippingAddress: addressFields,
+    billingAddress: addressFields,
+    shipping: ['trackingNumber', 'estimatedDelivery']
+  };
+  Object.entries(sections).forEach(([section, fields]) => {
+    Object.entries(pickFields(body[section], fields)).forEach(([field, value]) => {
+      update[`${section}.${field}`] = value;
+    });
+  });
+  if (body.notes !== undefined) update.notes = body.notes;
+  return update;
+};
+
+// GET /api/orders - Get all orders, optionally filtered by status, paymentStatus, email and from/to dates
 router.get('/', async (req, res) => {
   try {
-    const orders = await Order.find()
+    // Build filter object
+    const { filter, error } = buildOrderFilter(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filter',
+        message: error
+      });
+    }
+
+    const orders = await Order.find(filter)
       .populate('items.productId', 'productName image price')
       .sort({ createdAt: -1 });
 
@@ -27,6 +109,69 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/orders/export - Download orders as CSV or Excel, one row per item (admin only)
+// Takes the same filters as the order list plus format=csv|xlsx
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: 'Format must be csv or xlsx'
+      });
+    }
+
+    const { filter, error } = buildOrderFilter(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filter',
+        message: error
+      });
+    }
+
+    // Orders are read one at a time from a cursor and written straight to the response
+    const cursor = Order.find(filter).sort({ createdAt: -1 }).lean().cursor();
+    const fileName = `orders-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader('Content-Type', format === 'csv'
+      ? 'text/csv; charset=utf-8'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    // Stop reading orders if the client goes away mid-download
+    res.on('close', () => cursor.close().catch(() => {}));
+
+    if (format === 'csv') {
+      await writeOrdersCsv(cursor, res);
+    } else {
+      await writeOrdersXlsx(cursor, res);
+    }
+  } catch (error) {
+    console.error('Error exporting orders:', error);
+    // Once the file has started there is no way to send an error response
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({
+      success: false,
+      error: 'Something went wrong!',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/orders/:id - Get order by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -65,21 +210,19 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/orders - Create new order
-router.post('/', async (req, res) => {
+router.post('/', optionalAuth, async (req, res) => {
   try {
-    const orderData = req.body;
-
     // Validate required fields
-    if (!orderData.customerInfo || !orderData.items || !orderData.pricing) {
+    if (!req.body.customerInfo || !req.body.items) {
       return res.status(400).json({
         success: false,
         error: 'Missing required fields',
-        message: 'Customer info, items, and pricing are required'
+        message: 'Customer info and items are required'
       });
     }
 
     // Validate items
-    if (!Array.isArray(orderData.items) || orderData.items.length === 0) {
+    if (!Array.isArray(req.body.items) || req.body.items.length === 0) {
       return res.status(400).json({
         success: false,
         error: 'Invalid items',
@@ -87,8 +230,134 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Validate pricing
-    if (!orderData.pricing.total || orderData.pricing.total <= 0) {
+    const orderData = toNewOrderData(req.body);
+
+    // Orders from logged-in customers belong to them
+    if (req.user) {
+      orderData.customerInfo.userId = req.user._id;
+    }
+
+    // Every item on a product with variants must reference one of them
+    const invalidVariants = await resolveItemVariants(orderData.items);
+    if (invalidVariants.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid variants',
+        message: 'Some items do not match an available size/color',
+        invalidItems: invalidVariants
+      });
+    }
+
+    // Make sure rental dates are still free before taking the order
+    const unavailableItems = await findUnavailableItems(orderData.items);
+    if (unavailableItems.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Items unavailable',
+        message: 'Some items are not available for the selected dates',
+        unavailableItems
+      });
+    }
+
+    // Purchased items must be in stock; they are taken out when the order is created
+    const stockShortages = await findStockShortages(orderData.items);
+    if (stockShortages.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Out of stock',
+        message: 'Some items do not have enough stock',
+        stockShortages
+      });
+    }
+
+    // Coupons are checked against the customer before their discount is priced in
+    let coupon = null;
+    if (req.body.couponCode) {
+      const result = await findUsableCoupon(req.body.couponCode, {
+        userId: req.user ? req.user._id : undefined,
+        email: orderData.customerInfo.email
+      });
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid coupon',
+          message: result.error
+        });
+      }
+      coupon = result.coupon;
+    }
+
+    // Totals always come from the catalogue; prices sent by the client are ignored.
+    // Items covered by the member's monthly quota cost nothing.
+    const subscription = req.user ? await getActiveSubscription(req.user._id) : null;
+    const priced = await priceOrder(orderData.items, {
+      subscription,
+      coupon,
+      shippingMethod: req.body.shipping?.method,
+      state: orderData.shippingAddress?.state,
+      pincode: orderData.shippingAddress?.postalCode
+    });
+    if (priced.problems) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid items',
+        message: 'Some items could not be priced',
+        invalidItems: priced.problems
+      });
+    }
+    if (priced.couponError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid coupon',
+        message: priced.couponError
+      });
+    }
+    if (priced.shippingError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Shipping unavailable',
+        message: priced.shippingError
+      });
+    }
+    const { covered } = priced;
+    orderData.pricing = priced.pricing;
+    orderData.coupon = priced.coupon || undefined;
+
+    // Signed-in customers can pay with store credit; it is debited with the order.
+    // An order the credit covers in full has nothing left to collect.
+    if (req.body.useStoreCredit && req.user) {
+      orderData.pricing.storeCredit = await getUsableStoreCredit(req.user._id, priced.amountDue);
+      if (orderData.pricing.storeCredit > 0 && orderData.pricing.storeCredit >= priced.amountDue) {
+        orderData.payment.status = 'Paid';
+        orderData.payment.paidAt = new Date();
+      }
+    }
+
+    // Delivery and pickup slots are only set by booking them; the zone,
+    // weight and delivery estimate come from the shipping quote
+    const slotChoice = { deliverySlotId: req.body.deliverySlotId, pickupSlotId: req.body.pickupSlotId };
+    orderData.shipping = {
+      method: priced.shipping.method,
+      zone: priced.shipping.zone,
+      weight: priced.shipping.weight,
+      estimatedDelivery: priced.shipping.estimatedDelivery
+    };
+
+    const invalidSlots = await validateOrderSlots(slotChoice, {
+      pincode: orderData.shippingAddress?.postalCode,
+      items: orderData.items
+    });
+    if (invalidSlots.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid slots',
+        message: invalidSlots.map(problem => problem.message).join(', '),
+        invalidSlots
+      });
+    }
+
+    // Members may owe nothing when their subscription or a coupon covers every item
+    if (orderData.pricing.total <= 0 && covered.quantity === 0 && !coupon) {
       return res.status(400).json({
         success: false,
         error: 'Invalid pricing',
@@ -96,13 +365,74 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Create order
-    const newOrder = await Order.create(orderData);
+    if (covered.quantity > 0) {
+      if (!(await reserveSubscriptionItems(subscription, covered.quantity))) {
+        return res.status(409).json({
+          success: false,
+          error: 'Subscription quota used',
+          message: 'Your subscription no longer has enough items left this month'
+        });
+      }
+      orderData.subscription = subscription._id;
+    }
+
+    // Create the order, book its rental dates, take its purchased items out of stock and
+    // redeem the coupon in one transaction. The reserved quota is given back when no
+    // order comes out of it.
+    let placed;
+    try {
+      placed = await placeOrder(orderData, { actor: req.user ? req.user._id : undefined });
+    } finally {
+      if (covered.quantity > 0 && !placed?.order) {
+        await releaseSubscriptionItems(subscription, covered.quantity);
+      }
+    }
+    if (placed.unavailableItems) {
+      return res.status(409).json({
+        success: false,
+        error: 'Items unavailable',
+        message: 'Some items are not available for the selected dates',
+        unavailableItems: placed.unavailableItems
+      });
+    }
+    if (placed.shortages) {
+      return res.status(409).json({
+        success: false,
+        error: 'Out of stock',
+        message: 'Some items do not have enough stock',
+        stockShortages: placed.shortages
+      });
+    }
+    if (placed.couponError) {
+      return res.status(409).json({
+        success: false,
+        error: 'Coupon unavailable',
+        message: placed.couponError
+      });
+    }
+    if (placed.storeCreditError) {
+      return res.status(409).json({
+        success: false,
+        error: 'Store credit unavailable',
+        message: placed.storeCreditError
+      });
+    }
+    const newOrder = placed.order;
+    if (covered.quantity > 0) {
+      await recordSubscriptionUsage(subscription, newOrder, covered.quantity);
+    }
+
+    let unbookedSlots = [];
+    if (slotChoice.deliverySlotId || slotChoice.pickupSlotId) {
+      unbookedSlots = await bookOrderSlots(newOrder, slotChoice);
+      await newOrder.save();
+    }
 
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
-      data: newOrder
+      data: newOrder,
+      unbookedSlots
     });
   } catch (error) {
     console.error('Error creating order:', error);
@@ -114,15 +444,37 @@ router.post('/', async (req, res) => {
   }
 });
 
-// PUT /api/orders/:id - Update order
-router.put('/:id', async (req, res) => {
+// PUT /api/orders/:id - Update customer, address, tracking and notes fields (admin only)
+router.put('/:id', authenticateToken, async (req, res) => {
   try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
     const { id } = req.params;
     const updateData = req.body;
 
+    // Status changes go through the status endpoint so they are checked and recorded
+    if (updateData.status !== undefined) {
+      const currentOrder = await Order.findById(id).select('status');
+      if (currentOrder && updateData.status !== currentOrder.status) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid update',
+          message: 'Use PUT /api/orders/:id/status to change the order status'
+        });
+      }
+    }
+
+    // Anything outside the editable fields is ignored
     const order = await Order.findByIdAndUpdate(
       id,
-      updateData,
+      { $set: toOrderUpdate(updateData) },
       { new: true, runValidators: true }
     );
 
@@ -164,8 +516,14 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    // Also delete associated payment
+    // Also delete associated payment and free up its rental dates
     await Payment.deleteOne({ orderId: id });
+    await releaseBookingsForOrder(id);
+    await releaseOrderSlots(order);
+    await releaseSubscriptionUsage(order);
+    await restockOrder(order, { type: 'Cancellation', reason: 'Order deleted' });
+    await releaseCouponRedemption(order);
+    await processWaitlistForOrder(order);
 
     res.json({
       success: true,
@@ -205,27 +563,30 @@ router.get('/customer/:email', async (req, res) => {
   }
 });
 
-// PUT /api/orders/:id/status - Update order status
-router.put('/:id/status', async (req, res) => {
+// PUT /api/orders/:id/status - Update order status (admin only)
+router.put('/:id/status', authenticateToken, async (req, res) => {
   try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, note, unitAssignments } = req.body;
 
-    const validStatuses = ['Pending', 'Confirmed', 'Processing', 'Shipped', 'Delivered', 'Cancelled', 'Returned'];
-    
-    if (!validStatuses.includes(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid status',
-        message: `Status must be one of: ${validStatuses.join(', ')}`
+        message: `Status must be one of: ${ORDER_STATUSES.join(', ')}`
       });
     }
 
-    const order = await Order.findByIdAndUpdate(
-      id,
-      { status },
-      { new: true, runValidators: true }
-    );
+    const order = await Order.findById(id);
 
     if (!order) {
       return res.status(404).json({
@@ -235,10 +596,34 @@ router.put('/:id/status', async (req, res) => {
       });
     }
 
+    const result = await transitionOrder(order, status, {
+      actor: req.user._id,
+      note,
+      unitAssignments
+    });
+
+    if (result.unassignedItems) {
+      return res.status(409).json({
+        success: false,
+        error: 'Units unavailable',
+        message: result.error,
+        unassignedItems: result.unassignedItems
+      });
+    }
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status transition',
+        message: result.error,
+        allowedStatuses: result.allowedStatuses
+      });
+    }
+
     res.json({
       success: true,
       message: 'Order status updated successfully',
-      data: order
+      data: result.order
     });
   } catch (error) {
     console.error('Error updating order status:', error);
@@ -250,4 +635,189 @@ router.put('/:id/status', async (req, res) => {
   }
 });
 
+// GET /api/orders/:id/timeline - Get the status history of an order
+router.get('/:id/timeline', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const order = await Order.findById(id)
+      .select('orderNumber status statusHistory createdAt')
+      .populate('statusHistory.actor', 'firstName lastName role');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found',
+        message: 'No order found with the provided ID'
+      });
+    }
+
+    const timeline = order.statusHistory.map(entry => ({
+      from: entry.from,
+      to: entry.to,
+      note: entry.note,
+      changedAt: entry.changedAt,
+      actor: entry.actor ? {
+        id: entry.actor._id,
+        name: `${entry.actor.firstName} ${entry.actor.lastName}`,
+        role: entry.actor.role
+      } : null
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        allowedStatuses: ORDER_STATUS_TRANSITIONS[order.status] || [],
+        timeline
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching order timeline:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Something went wrong!',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/orders/:id/invoice - Download the GST invoice of an order as a PDF (owner or admin)
+router.get('/:id/invoice', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('customerInfo orderNumber');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found',
+        message: 'No order found with the provided ID'
+      });
+    }
+
+    // Customers may only download invoices for their own orders
+    const isOwner = String(order.customerInfo.userId) === String(req.user._id) ||
+      order.customerInfo.email === req.user.email;
+    if (req.user.role !== 'admin' && !isOwner) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'You can only download invoices for your own orders'
+      });
+    }
+
+    const invoice = await Invoice.findOne({ order: order._id });
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found',
+        message: 'No invoice has been issued for this order yet'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${getInvoiceFileName(invoice)}"`);
+    renderInvoicePdf(invoice, res);
+  } catch (error) {
+    console.error('Error downloading invoice:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Something went wrong!',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/orders/:id/late-fees/:feeId - Override or waive a late fee (admin only)
+router.put('/:id/late-fees/:feeId', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { id, feeId } = req.params;
+    const { action, amount, reason } = req.body;
+
+    const validActions = ['Override', 'Waive'];
+    if (!validActions.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid action',
+        message: `Action must be one of: ${validActions.join(', ')}`
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing reason',
+        message: 'A reason is required to override or waive a late fee'
+      });
+    }
+
+    if (action === 'Override' && (amount === undefined || isNaN(amount) || Number(amount) < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid amount',
+        message: 'Amount must be a non-negative number'
+      });
+    }
+
+    const order = await Order.findById(id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found',
+        message: 'No order found with the provided ID'
+      });
+    }
+
+    const fee = order.pricing.adjustments.id(feeId);
+    if (!fee || fee.type !== 'Late Fee') {
+      return res.status(404).json({
+        success: false,
+        error: 'Late fee not found',
+        message: 'No late fee found with the provided ID on this order'
+      });
+    }
+
+    const { error } = await adjustLateFee(order, fee, {
+      action,
+      amount: Number(amount),
+      reason: reason.trim(),
+      actor: req.user._id
+    });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Late fee cannot be changed',
+        message: error
+      });
+    }
+
+    await order.save();
+
+    res.json({
+      success: true,
+      message: `Late fee ${action === 'Waive' ? 'waived' : 'overridden'} successfully`,
+      data: order
+    });
+  } catch (error) {
+    console.error('Error adjusting late fee:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Something went wrong!',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
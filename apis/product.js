@@ -5,9 +5,30 @@ const fs = require('fs');
 const Product = require('../models/ProductModel');
 const Category = require('../models/CategoryModel');
 const Subcategory = require('../models/SubcategoryModel');
+const Variant = require('../models/VariantModel');
+const { buildVariantFilter, findVariantForItem } = require('../services/variant');
+const { adjustStock, recordStockSet } = require('../services/inventory');
+const { priceItem } = require('../services/pricing');
+const { roundAmount } = require('../services/deposit');
+const Booking = require('../models/BookingModel');
+const InventoryMovement = require('../models/InventoryMovementModel');
+const {
+  toDay,
+  addDays,
+  formatDay,
+  parseRentalPeriod,
+  getTurnaroundDays,
+  getAvailabilityCalendar,
+  findUnavailableItems,
+  createMaintenanceBlock
+} = require('../services/booking');
+const { processWaitlistForProduct } = require('../services/waitlist');
 
 const router = express.Router();
 
+// Middleware to verify JWT token (imported from auth.js)
+const { authenticateToken } = require('./auth');
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -81,14 +102,9 @@ router.get('/', async (req, res) => {
       filter.brand = { $regex: brand, $options: 'i' };
     }
 
-    // Filter by color
-    if (color) {
-      filter.color = { $regex: color, $options: 'i' };
-    }
-
-    // Filter by size
-    if (size) {
-      filter.sizes = { $in: [size] };
+    // Filter by size and color, matching only variants that are in stock
+    if (size || color) {
+      filter.$and = [await buildVariantFilter({ size, color })];
     }
 
     // Filter by fabric
@@ -187,6 +203,79 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/products/:id/availability - Get day-by-day rental availability
+router.get('/:id/availability', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { size, variantId } = req.query;
+
+    // Default to a 30 day window starting today
+    const from = req.query.from || formatDay(toDay(new Date()));
+    const to = req.query.to || formatDay(addDays(toDay(from) || toDay(new Date()), 29));
+
+    const { startDate, endDate, error } = parseRentalPeriod(from, to);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range',
+        message: error
+      });
+    }
+
+    const product = await Product.findById(id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found',
+        message: `No product found with ID: ${id}`
+      });
+    }
+
+    if (size && !product.sizes.includes(size)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid size',
+        message: `Size ${size} is not offered for this product`
+      });
+    }
+
+    if (variantId) {
+      const variant = await Variant.findOne({ _id: variantId, product: product._id });
+      if (!variant) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid variant',
+          message: 'Variant not found for this product'
+        });
+      }
+    }
+
+    const calendar = await getAvailabilityCalendar(product, startDate, endDate, { size, variantId });
+    const turnaroundDays = await getTurnaroundDays(product);
+
+    res.json({
+      success: true,
+      data: {
+        productId: product._id,
+        size: size || null,
+        variantId: variantId || null,
+        // A new rental also needs this many free days after its end date
+        turnaroundDays,
+        from: formatDay(startDate),
+        to: formatDay(endDate),
+        isAvailable: calendar.every(day => day.isAvailable),
+        calendar
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch availability',
+      message: error.message
+    });
+  }
+});
+
 // POST /api/products - Create new product
 router.post('/', upload.fields([
   { name: 'image', maxCount: 1 },
@@ -276,6 +365,20 @@ router.post('/', upload.fields([
       });
     }
 
+    // Parse rental tiers if provided
+    let parsedRentalTiers = [];
+    if (productData.rentalTiers) {
+      try {
+        parsedRentalTiers = JSON.parse(productData.rentalTiers);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid rental tiers format',
+          message: 'Rental tiers must be a valid JSON array of { days, price }'
+        });
+      }
+    }
+
     // Process uploaded images
     const mainImageUrl = `/uploads/products/${req.files.image[0].filename}`;
     console.log('Uploaded main image:', req.files.image[0]);
@@ -297,6 +400,8 @@ router.post('/', upload.fields([
       sizes: parsedSizes, // Use already parsed sizes
       price: parseFloat(productData.price),
       stock: parseInt(productData.stock) || 0,
+      securityDeposit: parseFloat(productData.securityDeposit) || 0,
+      rentalTiers: parsedRentalTiers,
       isActive: productData.isActive !== 'false',
       featured: productData.featured === 'true',
       tags: productData.tags ? (Array.isArray(productData.tags) ? productData.tags : (() => {
@@ -311,6 +416,11 @@ router.post('/', upload.fields([
     console.log('Final product data with images:', productDataWithImages);
 
     const newProduct = await Product.create(productDataWithImages);
+    await recordStockSet({
+      product: newProduct._id,
+      stockAfter: newProduct.stock,
+      reason: 'Opening stock'
+    });
     
     // Populate the created product with category and subcategory details
     const populatedProduct = await Product.findById(newProduct._id)
@@ -398,6 +508,19 @@ router.put('/:id', upload.fields([
       }
     }
 
+    // Parse rental tiers if provided
+    if (updateData.rentalTiers && typeof updateData.rentalTiers === 'string') {
+      try {
+        updateData.rentalTiers = JSON.parse(updateData.rentalTiers);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid rental tiers format',
+          message: 'Rental tiers must be a valid JSON array of { days, price }'
+        });
+      }
+    }
+
     // Parse tags if provided
     if (updateData.tags) {
       try {
@@ -415,6 +538,17 @@ router.put('/:id', upload.fields([
     if (updateData.stock) {
       updateData.stock = parseInt(updateData.stock);
     }
+    if (updateData.securityDeposit !== undefined) {
+      updateData.securityDeposit = parseFloat(updateData.securityDeposit) || 0;
+    }
+    ['extraDayPrice', 'buyoutPrice', 'retailValue'].forEach(field => {
+      if (updateData[field] !== undefined) {
+        updateData[field] = updateData[field] === '' ? null : parseFloat(updateData[field]);
+      }
+    });
+    if (updateData.turnaroundDays !== undefined) {
+      updateData.turnaroundDays = updateData.turnaroundDays === '' ? null : parseInt(updateData.turnaroundDays);
+    }
 
     // Convert boolean fields
     if (updateData.isActive !== undefined) {
@@ -426,6 +560,9 @@ router.put('/:id', upload.fields([
 
     console.log('Updating product with data:', updateData);
 
+    // Stock edits are recorded in the inventory ledger
+    const previousProduct = updateData.stock !== undefined ? await Product.findById(id).select('stock') : null;
+
     const updatedProduct = await Product.findByIdAndUpdate(id, updateData, {
       new: true,
       runValidators: true
@@ -440,6 +577,15 @@ router.put('/:id', upload.fields([
       });
     }
 
+    if (previousProduct) {
+      await recordStockSet({
+        product: updatedProduct._id,
+        stockBefore: previousProduct.stock,
+        stockAfter: updatedProduct.stock,
+        reason: 'Product edited'
+      });
+    }
+
     res.json({
       success: true,
       message: 'Product updated successfully',
@@ -469,6 +615,9 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    // Remove the product's variants
+    await Variant.deleteMany({ product: id });
+
     // Delete associated image files from frontend uploads folder
     if (deletedProduct.image) {
       const filename = path.basename(deletedProduct.image);
@@ -503,11 +652,20 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// PATCH /api/products/:id/stock - Update product stock
-router.patch('/:id/stock', async (req, res) => {
+// PATCH /api/products/:id/stock - Update product stock (admin only)
+router.patch('/:id/stock', authenticateToken, async (req, res) => {
   try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
     const { id } = req.params;
-    const { stock, operation } = req.body; // operation: 'add', 'subtract', or 'set'
+    const { stock, operation, variantId, reason } = req.body; // operation: 'add', 'subtract', or 'set'
 
     const product = await Product.findById(id);
     if (!product) {
@@ -526,13 +684,36 @@ router.patch('/:id/stock', async (req, res) => {
       });
     }
 
+    // Products with variants keep stock per variant
+    const variantCount = await Variant.countDocuments({ product: id, isActive: true });
+    let variant = null;
+    if (variantId || variantCount > 0) {
+      // Without a variantId the filter would match any variant of the product
+      variant = variantId ? await Variant.findOne({ _id: variantId, product: id }) : null;
+      if (!variant) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid variant',
+          message: 'A valid variantId is required to update stock for a product with variants'
+        });
+      }
+    }
+
+    const currentStock = variant ? variant.stock : product.stock;
     let newStock;
     switch (operation) {
       case 'add':
-        newStock = product.stock + stock;
+        newStock = currentStock + stock;
         break;
       case 'subtract':
-        newStock = Math.max(0, product.stock - stock);
+        if (stock > currentStock) {
+          return res.status(400).json({
+            success: false,
+            error: 'Insufficient stock',
+            message: `Cannot subtract ${stock}; only ${currentStock} in stock`
+          });
+        }
+        newStock = currentStock - stock;
         break;
       case 'set':
       default:
@@ -540,11 +721,14 @@ router.patch('/:id/stock', async (req, res) => {
         break;
     }
 
-    const updatedProduct = await Product.findByIdAndUpdate(
-      id, 
-      { stock: newStock }, 
-      { new: true }
-    );
+    // Apply the difference and record it in the inventory ledger
+    if (newStock !== currentStock) {
+      await adjustStock(id, variant ? variant._id : null, newStock - currentStock, {
+        reason: reason || `Stock ${operation || 'set'} by admin`,
+        actor: req.user._id
+      });
+    }
+    const updatedProduct = await Product.findById(id);
 
     res.json({
       success: true,
@@ -560,6 +744,553 @@ router.patch('/:id/stock', async (req, res) => {
   }
 });
 
+// GET /api/products/:id/stock-movements - Inventory ledger for a product, newest first (admin only)
+router.get('/:id/stock-movements', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { variantId, type, limit = 100 } = req.query;
+    const filter = { product: req.params.id };
+    if (variantId) filter.variant = variantId;
+    if (type) filter.type = type;
+
+    const movements = await InventoryMovement.find(filter)
+      .populate('actor', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 100, 500));
+
+    res.json({
+      success: true,
+      count: movements.length,
+      data: movements
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stock movements',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/products/:id/quote - Get the exact price for renting a product over a date range
+router.post('/:id/quote', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { startDate, endDate, variantId, size, color } = req.body;
+    const quantity = parseInt(req.body.quantity) || 1;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing dates',
+        message: 'startDate and endDate are required'
+      });
+    }
+
+    const { error: dateError } = parseRentalPeriod(startDate, endDate);
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range',
+        message: dateError
+      });
+    }
+
+    const product = await Product.findById(id);
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found',
+        message: `No product found with ID: ${id}`
+      });
+    }
+
+    // Resolve the variant when the product has any
+    const variants = await Variant.find({ product: id, isActive: true });
+    let variant = null;
+    if (variants.length > 0 || variantId) {
+      variant = findVariantForItem(variants, { variantId, size, color });
+      if (!variant) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid variant',
+          message: 'Please select a valid size and color for this product'
+        });
+      }
+    }
+
+    const quote = priceItem(product, variant, { rentalStartDate: startDate, rentalEndDate: endDate });
+    if (quote.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot quote rental',
+        message: quote.error
+      });
+    }
+
+    const [unavailable] = await findUnavailableItems([{
+      productId: product._id,
+      productName: product.productName,
+      variantId: variant ? variant._id : undefined,
+      size: variant ? variant.size : size,
+      quantity,
+      rentalStartDate: startDate,
+      rentalEndDate: endDate
+    }]);
+
+    const rentalTotal = roundAmount(quote.unitPrice * quantity);
+    const deposit = roundAmount((product.securityDeposit || 0) * quantity);
+
+    res.json({
+      success: true,
+      data: {
+        productId: product._id,
+        variantId: variant ? variant._id : null,
+        startDate,
+        endDate,
+        days: quote.days,
+        quantity,
+        tier: quote.tier,
+        extraDays: quote.extraDays,
+        extraDayPrice: product.extraDayPrice,
+        unitPrice: quote.unitPrice,
+        rentalTotal,
+        deposit,
+        total: roundAmount(rentalTotal + deposit),
+        buyoutPrice: product.buyoutPrice,
+        retailValue: product.retailValue,
+        isAvailable: !unavailable,
+        unavailableDates: unavailable ? unavailable.unavailableDates || [] : []
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to quote product',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/products/:id/blocks - Get cleaning and maintenance blocks (admin only)
+router.get('/:id/blocks', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const blocks = await Booking.find({
+      product: req.params.id,
+      type: { $in: ['Cleaning', 'Maintenance'] },
+      status: 'Confirmed'
+    }).sort({ startDate: 1 });
+
+    res.json({
+      success: true,
+      count: blocks.length,
+      data: blocks
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch blocks',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/products/:id/blocks - Put units into cleaning or maintenance for a date range (admin only)
+router.post('/:id/blocks', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { id } = req.params;
+    const { type, startDate: start, endDate: end, quantity = 1, variantId, notes } = req.body;
+
+    const validTypes = ['Cleaning', 'Maintenance'];
+    if (!validTypes.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid type',
+        message: `Type must be one of: ${validTypes.join(', ')}`
+      });
+    }
+
+    const { startDate, endDate, error } = parseRentalPeriod(start, end);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range',
+        message: error
+      });
+    }
+
+    if (isNaN(quantity) || parseInt(quantity) < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid quantity',
+        message: 'Quantity must be at least 1'
+      });
+    }
+
+    const product = await Product.findById(id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found',
+        message: `No product found with ID: ${id}`
+      });
+    }
+
+    if (variantId && !(await Variant.exists({ _id: variantId, product: id }))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid variant',
+        message: 'Variant not found for this product'
+      });
+    }
+
+    const result = await createMaintenanceBlock(product, {
+      type,
+      startDate,
+      endDate,
+      quantity: parseInt(quantity),
+      variantId,
+      notes,
+      createdBy: req.user._id
+    });
+
+    if (result.error) {
+      return res.status(409).json({
+        success: false,
+        error: 'Units unavailable',
+        message: result.error,
+        unavailableDates: result.unavailableDates
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Units blocked for ${type.toLowerCase()} successfully`,
+      data: result.booking
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to block units',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/products/:id/blocks/:blockId - Release a cleaning or maintenance block (admin only)
+router.delete('/:id/blocks/:blockId', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { id, blockId } = req.params;
+
+    const block = await Booking.findOneAndUpdate(
+      { _id: blockId, product: id, type: { $in: ['Cleaning', 'Maintenance'] }, status: 'Confirmed' },
+      { status: 'Cancelled' },
+      { new: true }
+    );
+
+    if (!block) {
+      return res.status(404).json({
+        success: false,
+        error: 'Block not found',
+        message: `No active block found with ID: ${blockId}`
+      });
+    }
+
+    // The freed units may cover someone's waitlisted dates
+    await processWaitlistForProduct(id);
+
+    res.json({
+      success: true,
+      message: 'Block released successfully',
+      data: block
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to release block',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/products/:id/variants - Get all variants of a product
+router.get('/:id/variants', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { inStock } = req.query;
+
+    let filter = { product: id };
+    if (inStock === 'true') {
+      filter.stock = { $gt: 0 };
+      filter.isActive = true;
+    }
+
+    const variants = await Variant.find(filter).sort({ size: 1, color: 1 });
+
+    res.json({
+      success: true,
+      count: variants.length,
+      data: variants
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch variants',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/products/:id/variants - Create a variant for a product (admin only)
+router.post('/:id/variants', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { id } = req.params;
+    const { size, color, sku, barcode, stock, price, isActive } = req.body;
+
+    // Required field validation
+    const requiredFields = ['size', 'color', 'sku'];
+    const missingFields = requiredFields.filter(field => !req.body[field]);
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: `Required fields: ${missingFields.join(', ')}`
+      });
+    }
+
+    const product = await Product.findById(id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found',
+        message: `No product found with ID: ${id}`
+      });
+    }
+
+    if (stock !== undefined && (isNaN(stock) || stock < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid stock',
+        message: 'Stock must be a non-negative number'
+      });
+    }
+
+    if (price !== undefined && price !== null && (isNaN(price) || price < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid price',
+        message: 'Price must be a non-negative number'
+      });
+    }
+
+    const newVariant = await Variant.create({
+      product: id,
+      size,
+      color,
+      sku,
+      barcode,
+      stock: parseInt(stock) || 0,
+      price: price !== undefined && price !== null ? parseFloat(price) : null,
+      isActive: isActive !== false
+    });
+
+    // Make sure the size is listed on the product
+    if (!product.sizes.includes(size)) {
+      product.sizes.push(size);
+      await product.save();
+    }
+
+    await Variant.syncProductStock(id);
+    await recordStockSet({
+      product: id,
+      variant: newVariant._id,
+      stockAfter: newVariant.stock,
+      reason: 'Opening stock'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Variant created successfully',
+      data: newVariant
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Duplicate variant',
+        message: 'A variant with this size/color, SKU or barcode already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create variant',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/products/:id/variants/:variantId - Update a variant (admin only)
+router.put('/:id/variants/:variantId', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { id, variantId } = req.params;
+    const updateData = { ...req.body };
+
+    // The owning product cannot be changed
+    delete updateData.product;
+
+    if (updateData.stock !== undefined && (isNaN(updateData.stock) || updateData.stock < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid stock',
+        message: 'Stock must be a non-negative number'
+      });
+    }
+
+    // Stock edits are recorded in the inventory ledger
+    const previousVariant = updateData.stock !== undefined ? await Variant.findById(variantId).select('stock') : null;
+
+    const updatedVariant = await Variant.findOneAndUpdate(
+      { _id: variantId, product: id },
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedVariant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Variant not found',
+        message: `No variant found with ID: ${variantId}`
+      });
+    }
+
+    await Variant.syncProductStock(id);
+    if (previousVariant) {
+      await recordStockSet({
+        product: id,
+        variant: updatedVariant._id,
+        stockBefore: previousVariant.stock,
+        stockAfter: updatedVariant.stock,
+        reason: 'Variant edited'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Variant updated successfully',
+      data: updatedVariant
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Duplicate variant',
+        message: 'A variant with this size/color, SKU or barcode already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update variant',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/products/:id/variants/:variantId - Delete a variant (admin only)
+router.delete('/:id/variants/:variantId', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { id, variantId } = req.params;
+
+    const deletedVariant = await Variant.findOneAndDelete({ _id: variantId, product: id });
+
+    if (!deletedVariant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Variant not found',
+        message: `No variant found with ID: ${variantId}`
+      });
+    }
+
+    await Variant.syncProductStock(id);
+
+    res.json({
+      success: true,
+      message: 'Variant deleted successfully',
+      data: deletedVariant
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete variant',
+      message: error.message
+    });
+  }
+});
+
 // Error handling middleware for multer
 router.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -1,29 +1,120 @@
 const express = require('express');
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
 const Payment = require('../models/PaymentModel');
+const Booking = require('../models/BookingModel');
 const Order = require('../models/OrderModel');
+const Invoice = require('../models/InvoiceModel');
 const razorpayConfig = require('../config/razorpay');
+const { razorpay, verifyPaymentSignature, refundPayment } = require('../services/razorpay');
+const {
+  findUnavailableItems,
+  createHolds,
+  releaseHolds
+} = require('../services/booking');
+const { createDepositForOrder, roundAmount } = require('../services/deposit');
+const { getUsableStoreCredit } = require('../services/storeCredit');
+const { resolveItemVariants } = require('../services/variant');
+const { priceOrder } = require('../services/pricing');
+const { findStockShortages } = require('../services/inventory');
+const { findUsableCoupon } = require('../services/coupon');
+const { placeOrder } = require('../services/checkout');
+const { createInvoiceForOrder } = require('../services/invoice');
+const {
+  getClaimHoldId,
+  findClaimableEntry,
+  findClaimedItem,
+  claimWaitlistEntry
+} = require('../services/waitlist');
+const { validateOrderSlots, bookOrderSlots } = require('../services/slot');
+const {
+  getActiveSubscription,
+  reserveSubscriptionItems,
+  releaseSubscriptionItems,
+  recordSubscriptionUsage
+} = require('../services/subscription');
 
 const router = express.Router();
 
-// Initialize Razorpay instance (Test Mode Only)
-const razorpay = new Razorpay({
-  key_id: razorpayConfig.test.key_id,
-  key_secret: razorpayConfig.test.key_secret,
-});
+// Middleware to identify logged-in customers (imported from auth.js)
+const { optionalAuth } = require('./auth');
+
+// Map cart products sent by the frontend onto order items
+const toOrderItems = (products) => {
+  return (products || []).map(product => ({
+    productId: product.id,
+    productName: product.name,
+    quantity: product.quantity || 1,
+    unitPrice: product.price || product.rental_price || 0,
+    totalPrice: (product.price || product.rental_price || 0) * (product.quantity || 1),
+    variantId: product.variant_id,
+    size: product.size,
+    color: product.color,
+    rentalStartDate: product.rental_start_date,
+    rentalEndDate: product.rental_end_date
+  }));
+};
+
+// Give the money back for a verified payment that could not become an order, unless a
+// replay of the same payment already placed one. Failures are logged for support.
+// Returns true when a refund was made.
+const refundUnplacedPayment = async (paymentId, reason) => {
+  try {
+    if (await Order.exists({ 'payment.transactionId': paymentId })) return false;
+
+    const payment = await razorpay.payments.fetch(paymentId);
+    if (payment.status !== 'captured') return false;
+
+    await refundPayment(paymentId, null, { reason });
+    return true;
+  } catch (error) {
+    console.error(`Could not refund payment ${paymentId} for an order that was not placed:`, error);
+    return false;
+  }
+};
+
+// Answer a repeated verification with the order its payment already placed
+const sendPlacedOrder = async (res, order, { razorpay_order_id, razorpay_payment_id }) => {
+  const payment = await Payment.findOne({ paymentId: razorpay_payment_id });
+  const invoice = await Invoice.findOne({ order: order._id }).select('invoiceNumber');
+
+  return res.json({
+    success: true,
+    message: 'Payment already verified',
+    data: {
+      payment,
+      orderNumber: order.orderNumber,
+      invoiceNumber: invoice ? invoice.invoiceNumber : null,
+      razorpay_order_id,
+      razorpay_payment_id
+    }
+  });
+};
 
 // POST /api/razorpay/create-order - Create Razorpay order
-router.post('/create-order', async (req, res) => {
+router.post('/create-order', optionalAuth, async (req, res) => {
   try {
-    const { amount, currency = 'INR', receipt, notes } = req.body;
+    // Any amount sent by the client is ignored; the order is priced from the catalogue
+    const {
+      currency = 'INR',
+      receipt,
+      notes,
+      products,
+      shipping_method,
+      waitlist_id,
+      delivery_slot_id,
+      pickup_slot_id,
+      postal_code,
+      state,
+      coupon_code,
+      email,
+      use_store_credit
+    } = req.body;
 
     // Validate required fields
-    if (!amount || amount <= 0) {
+    if (!Array.isArray(products) || products.length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid amount',
-        message: 'Amount must be greater than 0'
+        error: 'Invalid items',
+        message: 'At least one product is required'
       });
     }
 
@@ -45,16 +136,188 @@ router.post('/create-order', async (req, res) => {
       });
     }
 
+    // Customers notified from the waitlist check out against the units held for them.
+    // Only the customer the entry belongs to can claim it.
+    let waitlistEntry = null;
+    if (waitlist_id) {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Access denied',
+          message: 'Please sign in to claim your waitlist offer'
+        });
+      }
+
+      waitlistEntry = await findClaimableEntry(waitlist_id, req.user._id);
+      if (!waitlistEntry) {
+        return res.status(400).json({
+          success: false,
+          error: 'Waitlist claim expired',
+          message: 'This waitlist offer is no longer available'
+        });
+      }
+    }
+
+    const items = toOrderItems(products);
+
+    // Every item on a product with variants must reference one of them
+    const invalidVariants = await resolveItemVariants(items);
+    if (invalidVariants.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid variants',
+        message: 'Some items do not match an available size/color',
+        invalidItems: invalidVariants
+      });
+    }
+
+    // The claim hold only covers the waitlisted product, variant and dates
+    const itemHoldExclusions = new Map();
+    if (waitlistEntry) {
+      const claimedItem = findClaimedItem(waitlistEntry, items);
+      if (!claimedItem) {
+        return res.status(400).json({
+          success: false,
+          error: 'Waitlist claim mismatch',
+          message: 'Your cart does not contain the waitlisted item for the offered dates'
+        });
+      }
+      itemHoldExclusions.set(claimedItem, getClaimHoldId(waitlistEntry));
+    }
+
+    // Only start checkout for dates that are still free
+    const unavailableItems = await findUnavailableItems(items, { itemHoldExclusions });
+    if (unavailableItems.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Items unavailable',
+        message: 'Some items are not available for the selected dates',
+        unavailableItems
+      });
+    }
+
+    // Purchased items must still be in stock
+    const stockShortages = await findStockShortages(items);
+    if (stockShortages.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Out of stock',
+        message: 'Some items do not have enough stock',
+        stockShortages
+      });
+    }
+
+    // Check the chosen delivery and pickup slots before taking payment
+    const invalidSlots = await validateOrderSlots(
+      { deliverySlotId: delivery_slot_id, pickupSlotId: pickup_slot_id },
+      { pincode: postal_code, items }
+    );
+    if (invalidSlots.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid slots',
+        message: invalidSlots.map(problem => problem.message).join(', '),
+        invalidSlots
+      });
+    }
+
+    // Check the coupon against the customer before pricing its discount in
+    let coupon = null;
+    if (coupon_code) {
+      const result = await findUsableCoupon(coupon_code, {
+        userId: req.user ? req.user._id : undefined,
+        email: email || (req.user ? req.user.email : undefined)
+      });
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid coupon',
+          message: result.error
+        });
+      }
+      coupon = result.coupon;
+    }
+
+    // Work out the amount to charge: the order total with GST plus the refundable deposit.
+    // Members pay nothing for the items their monthly quota covers.
+    const subscription = req.user ? await getActiveSubscription(req.user._id) : null;
+    const { problems, couponError, shippingError, pricing, deposit, covered, shipping, amountDue } = await priceOrder(items, {
+      subscription,
+      coupon,
+      shippingMethod: shipping_method,
+      state,
+      pincode: postal_code
+    });
+    if (problems) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid items',
+        message: 'Some items could not be priced',
+        invalidItems: problems
+      });
+    }
+    if (couponError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid coupon',
+        message: couponError
+      });
+    }
+    if (shippingError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Shipping unavailable',
+        message: shippingError
+      });
+    }
+
+    // Signed-in customers can put their store credit towards the order
+    const storeCredit = use_store_credit && req.user ? await getUsableStoreCredit(req.user._id, amountDue) : 0;
+    const amountToCharge = roundAmount(amountDue - storeCredit);
+
+    if (amountToCharge <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to pay',
+        message: 'Orders with nothing to pay are placed through /api/orders'
+      });
+    }
+
     // Create Razorpay order
     const options = {
-      amount: Math.round(amount * 100), // Convert to paise
+      amount: Math.round(amountToCharge * 100), // Convert to paise
       currency: currency,
       receipt: receipt,
-      notes: notes || {}
+      notes: {
+        ...(notes || {}),
+        rental_amount: pricing.total,
+        deposit_amount: deposit.total,
+        subscription_items: covered.quantity,
+        ...(coupon ? { coupon_code: coupon.code } : {}),
+        ...(storeCredit > 0 ? { store_credit: storeCredit } : {})
+      }
     };
 
     const razorpayOrder = await razorpay.orders.create(options);
 
+    // Reserve the items until payment is verified or the hold runs out. The dates are
+    // checked again with the holds, in case another checkout took them meanwhile.
+    const { expiresAt: holdExpiresAt, unavailableItems: lostItems } = await createHolds(items, razorpayOrder.id, {
+      heldBy: req.user ? req.user._id : undefined,
+      itemHoldExclusions
+    });
+    if (lostItems) {
+      return res.status(409).json({
+        success: false,
+        error: 'Items unavailable',
+        message: 'Some items are not available for the selected dates',
+        unavailableItems: lostItems
+      });
+    }
+    if (waitlistEntry) {
+      await claimWaitlistEntry(waitlistEntry);
+    }
+
     res.json({
       success: true,
       message: 'Razorpay order created successfully',
@@ -64,7 +327,14 @@ router.post('/create-order', async (req, res) => {
         currency: razorpayOrder.currency,
         receipt: razorpayOrder.receipt,
         status: razorpayOrder.status,
-        created_at: razorpayOrder.created_at
+        created_at: razorpayOrder.created_at,
+        pricing,
+        rentalAmount: pricing.total,
+        deposit: deposit,
+        storeCredit,
+        subscriptionCovered: covered,
+        shipping,
+        holdExpiresAt
       }
     });
 
@@ -79,7 +349,7 @@ router.post('/create-order', async (req, res) => {
 });
 
 // POST /api/razorpay/verify-payment - Verify payment signature
-router.post('/verify-payment', async (req, res) => {
+router.post('/verify-payment', optionalAuth, async (req, res) => {
   try {
     const { razorpay_order_id, razorpay_payment_id, razorpay_signature, orderData } = req.body;
 
@@ -106,21 +376,14 @@ router.post('/verify-payment', async (req, res) => {
     }
 
     // Verify payment signature (Test Mode Only)
-    const body = razorpay_order_id + "|" + razorpay_payment_id;
-    const expectedSignature = crypto
-      .createHmac("sha256", razorpayConfig.test.key_secret)
-      .update(body.toString())
-      .digest("hex");
+    const isAuthentic = verifyPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature);
 
     console.log('Signature verification:', {
-      body,
-      expectedSignature,
+      body: razorpay_order_id + "|" + razorpay_payment_id,
       receivedSignature: razorpay_signature,
-      isAuthentic: expectedSignature === razorpay_signature
+      isAuthentic
     });
 
-    const isAuthentic = expectedSignature === razorpay_signature;
-
     if (!isAuthentic) {
       console.log('Payment signature verification failed');
       return res.status(400).json({
@@ -130,16 +393,156 @@ router.post('/verify-payment', async (req, res) => {
       });
     }
 
+    // Verifying the same payment again returns its order instead of placing another
+    const placedOrder = await Order.findOne({ 'payment.transactionId': razorpay_payment_id });
+    if (placedOrder) {
+      return sendPlacedOrder(res, placedOrder, { razorpay_order_id, razorpay_payment_id });
+    }
+
+    const orderItems = toOrderItems(orderData?.products);
+
+    // Every item on a product with variants must reference one of them
+    const invalidVariants = await resolveItemVariants(orderItems);
+    if (invalidVariants.length > 0) {
+      console.log('Items with invalid variants:', invalidVariants);
+      const refunded = await refundUnplacedPayment(razorpay_payment_id, 'Items with invalid variants');
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid variants',
+        message: 'Some items do not match an available size/color',
+        invalidItems: invalidVariants,
+        refunded
+      });
+    }
+
+    // Reject the order if someone else booked the same dates in the meantime
+    // (possible once this checkout's holds have expired)
+    const unavailableItems = await findUnavailableItems(orderItems, { excludeHoldsFor: razorpay_order_id });
+    if (unavailableItems.length > 0) {
+      console.log('Items no longer available:', unavailableItems);
+      const refunded = await refundUnplacedPayment(razorpay_payment_id, 'Items no longer available');
+      return res.status(409).json({
+        success: false,
+        error: 'Items unavailable',
+        message: 'Some items are no longer available for the selected dates',
+        unavailableItems,
+        refunded
+      });
+    }
+
+    // The coupon applied at checkout must still be usable by this customer
+    let coupon = null;
+    if (orderData?.coupon_code) {
+      const result = await findUsableCoupon(orderData.coupon_code, {
+        userId: req.user ? req.user._id : undefined,
+        email: orderData?.customerInfo?.email
+      });
+      if (result.error) {
+        console.log('Coupon no longer usable:', result.error);
+        const refunded = await refundUnplacedPayment(razorpay_payment_id, 'Coupon no longer available');
+        return res.status(409).json({
+          success: false,
+          error: 'Coupon unavailable',
+          message: result.error,
+          refunded
+        });
+      }
+      coupon = result.coupon;
+    }
+
+    // Price the order again with the same calculator used at checkout
+    const subscription = req.user ? await getActiveSubscription(req.user._id) : null;
+    const priced = await priceOrder(orderItems, {
+      subscription,
+      coupon,
+      shippingMethod: orderData?.shipping_method,
+      state: orderData?.address?.state,
+      pincode: orderData?.address?.postal_code
+    });
+    if (priced.problems) {
+      console.log('Items that could not be priced:', priced.problems);
+      const refunded = await refundUnplacedPayment(razorpay_payment_id, 'Items could not be priced');
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid items',
+        message: 'Some items could not be priced',
+        invalidItems: priced.problems,
+        refunded
+      });
+    }
+    if (priced.couponError) {
+      console.log('Coupon no longer applies:', priced.couponError);
+      const refunded = await refundUnplacedPayment(razorpay_payment_id, 'Coupon no longer available');
+      return res.status(409).json({
+        success: false,
+        error: 'Coupon unavailable',
+        message: priced.couponError,
+        refunded
+      });
+    }
+    if (priced.shippingError) {
+      console.log('Shipping unavailable:', priced.shippingError);
+      const refunded = await refundUnplacedPayment(razorpay_payment_id, 'Shipping unavailable');
+      return res.status(400).json({
+        success: false,
+        error: 'Shipping unavailable',
+        message: priced.shippingError,
+        refunded
+      });
+    }
+    const { pricing, deposit, covered, amountDue } = priced;
+
     // Get payment details from Razorpay
     const payment = await razorpay.payments.fetch(razorpay_payment_id);
 
+    // Whatever store credit the customer chose covers the rest of the order; the
+    // balance is checked again when it is debited with the order
+    const paidAmount = payment.amount / 100;
+    const storeCredit = orderData?.use_store_credit && req.user ? roundAmount(amountDue - paidAmount) : 0;
+
+    // The captured payment must be for this checkout and, with the store credit,
+    // cover exactly what the order costs
+    if (payment.order_id !== razorpay_order_id || storeCredit < 0 ||
+      Math.round((paidAmount + storeCredit) * 100) !== Math.round(amountDue * 100)) {
+      console.log('Payment amount mismatch:', {
+        paymentOrderId: payment.order_id,
+        paidAmount: payment.amount,
+        storeCredit,
+        expectedAmount: Math.round(amountDue * 100)
+      });
+      const refunded = await refundUnplacedPayment(razorpay_payment_id, 'Amount mismatch');
+      return res.status(400).json({
+        success: false,
+        error: 'Amount mismatch',
+        message: 'The amount paid does not match the order total',
+        expectedAmount: amountDue,
+        paidAmount: payment.amount / 100,
+        refunded
+      });
+    }
+
+    // Items covered by the member's monthly quota are taken from it now
+    if (covered.quantity > 0 && !(await reserveSubscriptionItems(subscription, covered.quantity))) {
+      const refunded = await refundUnplacedPayment(razorpay_payment_id, 'Subscription quota used');
+      return res.status(409).json({
+        success: false,
+        error: 'Subscription quota used',
+        message: 'Your subscription no longer has enough items left this month',
+        refunded
+      });
+    }
+
     // Create order first
     const orderPayload = {
       customerInfo: {
         firstName: orderData?.customerInfo?.firstName || 'Guest',
         lastName: orderData?.customerInfo?.lastName || 'User',
         email: orderData?.customerInfo?.email || 'guest@example.com',
-        phoneNumber: orderData?.customerInfo?.phoneNumber || '0000000000'
+        phoneNumber: orderData?.customerInfo?.phoneNumber || '0000000000',
+        // Only a signed-in customer's own token links the order to an account
+        userId: req.user ? req.user._id : undefined,
+        companyName: orderData?.customerInfo?.companyName,
+        gstin: orderData?.customerInfo?.gstin
       },
       shippingAddress: {
         streetAddress: orderData?.address?.street_address || 'Address',
@@ -155,31 +558,103 @@ router.post('/verify-payment', async (req, res) => {
         postalCode: orderData?.address?.postal_code || '000000',
         country: orderData?.address?.country || 'India'
       },
-      items: orderData?.products?.map(product => ({
-        productId: product.id,
-        productName: product.name,
-        quantity: product.quantity || 1,
-        unitPrice: product.price || product.rental_price || 0,
-        totalPrice: (product.price || product.rental_price || 0) * (product.quantity || 1)
-      })) || [],
-      pricing: {
-        subtotal: orderData?.totalPrice || 0,
-        tax: 0,
-        shipping: 0,
-        discount: 0,
-        total: orderData?.totalPrice || 0
-      },
+      items: orderItems,
+      pricing: { ...pricing, storeCredit },
+      // A captured payment means the order is paid for; authorized ones are settled later
       payment: {
         method: 'Razorpay',
-        status: 'Pending',
-        transactionId: razorpay_payment_id
+        status: payment.status === 'captured' ? 'Paid' : 'Pending',
+        transactionId: razorpay_payment_id,
+        paidAt: payment.status === 'captured' ? new Date() : undefined
       },
+      shipping: {
+        method: priced.shipping.method,
+        zone: priced.shipping.zone,
+        weight: priced.shipping.weight,
+        estimatedDelivery: priced.shipping.estimatedDelivery
+      },
+      subscription: covered.quantity > 0 ? subscription._id : undefined,
+      coupon: priced.coupon || undefined,
       status: 'Pending'
     };
 
-    const newOrder = await Order.create(orderPayload);
+    // Create the order, book its dates over the checkout's holds, take its purchased
+    // items out of stock and redeem the coupon in one transaction. The reserved quota
+    // is given back when no order comes out of it.
+    let placed;
+    try {
+      placed = await placeOrder(orderPayload, {
+        actor: req.user ? req.user._id : undefined,
+        razorpayOrderId: razorpay_order_id
+      });
+    } finally {
+      if (covered.quantity > 0 && !placed?.order) {
+        await releaseSubscriptionItems(subscription, covered.quantity);
+      }
+    }
+    if (placed.duplicatePayment) {
+      const duplicateOrder = await Order.findOne({ 'payment.transactionId': razorpay_payment_id });
+      return sendPlacedOrder(res, duplicateOrder, { razorpay_order_id, razorpay_payment_id });
+    }
+    if (placed.unavailableItems) {
+      console.log('Items booked during payment:', placed.unavailableItems);
+      const refunded = await refundUnplacedPayment(razorpay_payment_id, 'Items no longer available');
+      return res.status(409).json({
+        success: false,
+        error: 'Items unavailable',
+        message: 'Some items are no longer available for the selected dates',
+        unavailableItems: placed.unavailableItems,
+        refunded
+      });
+    }
+    if (placed.shortages) {
+      console.log('Items out of stock:', placed.shortages);
+      const refunded = await refundUnplacedPayment(razorpay_payment_id, 'Items out of stock');
+      return res.status(409).json({
+        success: false,
+        error: 'Out of stock',
+        message: 'Some items no longer have enough stock',
+        stockShortages: placed.shortages,
+        refunded
+      });
+    }
+    if (placed.couponError) {
+      console.log('Coupon could not be redeemed:', placed.couponError);
+      const refunded = await refundUnplacedPayment(razorpay_payment_id, 'Coupon no longer available');
+      return res.status(409).json({
+        success: false,
+        error: 'Coupon unavailable',
+        message: placed.couponError,
+        refunded
+      });
+    }
+    if (placed.storeCreditError) {
+      console.log('Store credit could not be redeemed:', placed.storeCreditError);
+      const refunded = await refundUnplacedPayment(razorpay_payment_id, 'Store credit no longer available');
+      return res.status(409).json({
+        success: false,
+        error: 'Store credit unavailable',
+        message: placed.storeCreditError,
+        refunded
+      });
+    }
+    const newOrder = placed.order;
+    if (covered.quantity > 0) {
+      await recordSubscriptionUsage(subscription, newOrder, covered.quantity);
+    }
     console.log('Order created:', newOrder._id);
 
+    // Book the delivery and pickup slots. A slot that filled up during payment
+    // is left empty for the customer to choose again from their order.
+    let unbookedSlots = [];
+    if (orderData?.delivery_slot_id || orderData?.pickup_slot_id) {
+      unbookedSlots = await bookOrderSlots(newOrder, {
+        deliverySlotId: orderData.delivery_slot_id,
+        pickupSlotId: orderData.pickup_slot_id
+      });
+      await newOrder.save();
+    }
+
     // Create payment record in database
     const paymentData = {
       paymentId: razorpay_payment_id,
@@ -204,11 +679,12 @@ router.post('/verify-payment', async (req, res) => {
         }
       },
       amount: {
-        subtotal: orderData?.totalPrice || (payment.amount / 100), // Use order total or convert from paise
-        tax: 0,
-        shipping: 0,
-        discount: 0,
-        total: orderData?.totalPrice || (payment.amount / 100) // Use order total or convert from paise
+        subtotal: pricing.subtotal,
+        tax: pricing.tax,
+        shipping: pricing.shipping,
+        discount: pricing.discount,
+        deposit: deposit.total,
+        total: paidAmount
       },
       status: payment.status === 'captured' ? 'Completed' : 'Processing',
       transactionDetails: {
@@ -232,11 +708,33 @@ router.post('/verify-payment', async (req, res) => {
 
     const newPayment = await Payment.create(paymentData);
 
+    // Track the deposit as a separate ledger entry so it can be released after return
+    if (deposit.total > 0) {
+      await createDepositForOrder({
+        order: newOrder,
+        payment: newPayment,
+        paymentId: razorpay_payment_id,
+        items: deposit.items,
+        total: deposit.total
+      });
+    }
+
+    // Issue the GST invoice. The payment is already recorded, so a failure here
+    // is logged and the invoice can be issued later from the admin panel.
+    let invoice = null;
+    try {
+      invoice = await createInvoiceForOrder(newOrder, { payment: newPayment });
+    } catch (error) {
+      console.error('Error creating invoice for order', newOrder.orderNumber, error);
+    }
+
     res.json({
       success: true,
       message: 'Payment verified and recorded successfully',
       data: {
         payment: newPayment,
+        invoiceNumber: invoice ? invoice.invoiceNumber : null,
+        unbookedSlots,
         razorpay_order_id: razorpay_order_id,
         razorpay_payment_id: razorpay_payment_id,
         amount: payment.amount / 100,
@@ -255,6 +753,51 @@ router.post('/verify-payment', async (req, res) => {
   }
 });
 
+// POST /api/razorpay/release-hold - Release checkout holds when checkout is abandoned
+router.post('/release-hold', optionalAuth, async (req, res) => {
+  try {
+    const { razorpay_order_id } = req.body;
+
+    if (!razorpay_order_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing order ID',
+        message: 'razorpay_order_id is required'
+      });
+    }
+
+    // Holds placed for a signed-in customer can only be released by them (or an admin).
+    // Guest holds are released with the Razorpay order id only their checkout was given.
+    const holds = await Booking.find({ razorpayOrderId: razorpay_order_id, status: 'Hold' }).select('heldBy');
+    const isOwner = holds.every(hold => !hold.heldBy ||
+      (req.user && (String(hold.heldBy) === String(req.user._id) || req.user.role === 'admin')));
+    if (!isOwner) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'These holds belong to another customer'
+      });
+    }
+
+    const result = await releaseHolds(razorpay_order_id);
+
+    res.json({
+      success: true,
+      message: 'Checkout holds released successfully',
+      data: {
+        released: result.deletedCount
+      }
+    });
+  } catch (error) {
+    console.error('Error releasing holds:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to release holds',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/razorpay/payment/:id - Get payment details
 router.get('/payment/:id', async (req, res) => {
   try {
@@ -316,38 +859,8 @@ router.post('/refund', async (req, res) => {
       });
     }
 
-    // Create refund options
-    const refundOptions = {
-      payment_id: payment_id,
-      notes: notes || { reason: 'Customer request' }
-    };
-
-    // Add amount if partial refund
-    if (amount && amount > 0) {
-      refundOptions.amount = Math.round(amount * 100); // Convert to paise
-    }
-
-    // Process refund through Razorpay
-    const refund = await razorpay.payments.refund(payment_id, refundOptions);
-
-    // Update payment record in database
-    const payment = await Payment.findOne({ paymentId: payment_id });
-    if (payment) {
-      payment.refundDetails = {
-        refundId: refund.id,
-        refundAmount: refund.amount / 100,
-        refundStatus: refund.status,
-        refundReason: notes?.reason || 'Customer request',
-        refundedAt: new Date()
-      };
-
-      // Update payment status
-      if (refund.status === 'processed') {
-        payment.status = refund.amount === payment.amount.total * 100 ? 'Refunded' : 'Partially Refunded';
-      }
-
-      await payment.save();
-    }
+    // Process refund through Razorpay and update the payment record
+    const refund = await refundPayment(payment_id, amount, notes);
 
     res.json({
       success: true,
@@ -0,0 +1,543 @@
+const express = require('express');
+const ReturnRequest = require('../models/ReturnRequestModel');
+const Order = require('../models/OrderModel');
+const returnsConfig = require('../config/returns');
+const {
+  RETURN_STATUSES,
+  RETURN_STATUS_TRANSITIONS,
+  transitionReturn,
+  checkReturnWindow,
+  buildReturnItems,
+  getRefundableAmount,
+  scheduleReversePickup,
+  receiveReturn,
+  resolveReturn
+} = require('../services/returns');
+const { createImageUpload, toUploadUrl, removeUploadsOnError, handleUploadErrors } = require('../services/upload');
+
+const router = express.Router();
+
+// Middleware to verify JWT token (imported from auth.js)
+const { authenticateToken } = require('./auth');
+
+// Multer for return photo uploads, up to 5 per return
+const upload = createImageUpload({ folder: 'returns', prefix: 'return', maxFiles: 5 });
+
+// Load a return request with its order, for the admin routes below.
+// Sends the 404 and returns null when either is missing.
+const findReturnWithOrder = async (id, res) => {
+  const returnRequest = await ReturnRequest.findById(id);
+  const order = returnRequest ? await Order.findById(returnRequest.order) : null;
+
+  if (!returnRequest || !order) {
+    res.status(404).json({
+      success: false,
+      error: 'Return not found',
+      message: 'No return request found with the provided ID'
+    });
+    return null;
+  }
+
+  return { returnRequest, order };
+};
+
+// GET /api/returns/reasons - Reasons customers can give for a return
+router.get('/reasons', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      reasonCodes: returnsConfig.reasonCodes,
+      windowDays: returnsConfig.windowDays
+    }
+  });
+});
+
+// POST /api/returns - Request a return of delivered items, with optional photos
+router.post('/', authenticateToken, removeUploadsOnError, upload.array('photos', 5), async (req, res) => {
+  try {
+    const { orderId, description } = req.body;
+
+    // Items arrive as a JSON string when photos are uploaded with the form
+    let requestedItems = req.body.items;
+    if (typeof requestedItems === 'string') {
+      try {
+        requestedItems = JSON.parse(requestedItems);
+      } catch (parseError) {
+        requestedItems = null;
+      }
+    }
+
+    if (!orderId || !Array.isArray(requestedItems) || requestedItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing fields',
+        message: 'orderId and at least one item are required'
+      });
+    }
+
+    const order = await Order.findOne({
+      _id: orderId,
+      'customerInfo.userId': req.user._id
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found',
+        message: 'Order not found or you do not have permission to return it'
+      });
+    }
+
+    const windowError = checkReturnWindow(order);
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Order cannot be returned',
+        message: windowError
+      });
+    }
+
+    const { items, problems } = await buildReturnItems(order, requestedItems);
+    if (problems) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid items',
+        message: problems.map(problem => problem.message).join(', '),
+        invalidItems: problems
+      });
+    }
+
+    const returnRequest = await ReturnRequest.create({
+      order: order._id,
+      orderNumber: order.orderNumber,
+      customer: req.user._id,
+      customerEmail: order.customerInfo.email,
+      items,
+      description,
+      photos: (req.files || []).map(file => toUploadUrl('returns', file))
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested successfully',
+      data: returnRequest
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to request return',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/returns/my - Get the logged-in customer's return requests
+router.get('/my', authenticateToken, async (req, res) => {
+  try {
+    const returnRequests = await ReturnRequest.find({ customer: req.user._id })
+      .select('-statusHistory.actor -receipt.receivedBy -resolution.resolvedBy')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: returnRequests.length,
+      data: returnRequests
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch returns',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/returns - List return requests with filtering (admin only)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { status, reasonCode, resolution, from, to, search, page = 1, limit = 50 } = req.query;
+
+    // Build filter object
+    let filter = {};
+    if (status) {
+      filter.status = status;
+    }
+    if (reasonCode) {
+      filter['items.reasonCode'] = reasonCode;
+    }
+    if (resolution) {
+      filter['resolution.type'] = resolution;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+    if (search) {
+      filter.$or = [
+        { rmaNumber: { $regex: search, $options: 'i' } },
+        { orderNumber: { $regex: search, $options: 'i' } },
+        { customerEmail: { $regex: search, $options: 'i' } },
+        { 'pickup.awbNumber': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    const [returnRequests, total, statusCounts] = await Promise.all([
+      ReturnRequest.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(pageSize),
+      ReturnRequest.countDocuments(filter),
+      ReturnRequest.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    res.json({
+      success: true,
+      count: returnRequests.length,
+      total,
+      statusCounts: RETURN_STATUSES.reduce((counts, returnStatus) => {
+        const entry = statusCounts.find(item => item._id === returnStatus);
+        counts[returnStatus] = entry ? entry.count : 0;
+        return counts;
+      }, {}),
+      data: returnRequests
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch returns',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/returns/:id - Get a return request with its history (owner or admin)
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate('statusHistory.actor', 'firstName lastName role');
+
+    if (!returnRequest || (req.user.role !== 'admin' && String(returnRequest.customer) !== String(req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Return not found',
+        message: 'Return request not found or you do not have permission to view it'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        returnRequest,
+        refundableAmount: getRefundableAmount(returnRequest),
+        allowedStatuses: RETURN_STATUS_TRANSITIONS[returnRequest.status] || []
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch return',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/returns/:id/cancel - Withdraw a return request before it is collected (owner only)
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findOne({ _id: req.params.id, customer: req.user._id });
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Return not found',
+        message: 'Return request not found or you do not have permission to modify it'
+      });
+    }
+
+    const result = transitionReturn(returnRequest, 'Cancelled', {
+      actor: req.user._id,
+      note: req.body.reason || 'Cancelled by customer'
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Return cannot be cancelled',
+        message: result.error
+      });
+    }
+    await returnRequest.save();
+
+    res.json({
+      success: true,
+      message: 'Return request cancelled successfully',
+      data: returnRequest
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel return',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/returns/:id/approve - Approve a return request (admin only)
+router.post('/:id/approve', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const found = await findReturnWithOrder(req.params.id, res);
+    if (!found) return;
+    const { returnRequest } = found;
+
+    const result = transitionReturn(returnRequest, 'Approved', { actor: req.user._id, note: req.body.note });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status transition',
+        message: result.error,
+        allowedStatuses: result.allowedStatuses
+      });
+    }
+    await returnRequest.save();
+
+    res.json({
+      success: true,
+      message: 'Return approved successfully',
+      data: returnRequest
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve return',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/returns/:id/reject - Reject a return request with a reason (admin only)
+router.post('/:id/reject', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing reason',
+        message: 'A rejection reason is required'
+      });
+    }
+
+    const found = await findReturnWithOrder(req.params.id, res);
+    if (!found) return;
+    const { returnRequest } = found;
+
+    const result = transitionReturn(returnRequest, 'Rejected', { actor: req.user._id, note: reason });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status transition',
+        message: result.error,
+        allowedStatuses: result.allowedStatuses
+      });
+    }
+    returnRequest.rejectionReason = reason;
+    await returnRequest.save();
+
+    res.json({
+      success: true,
+      message: 'Return rejected',
+      data: returnRequest
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject return',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/returns/:id/pickup - Schedule a reverse pickup for an approved return (admin only)
+router.post('/:id/pickup', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const found = await findReturnWithOrder(req.params.id, res);
+    if (!found) return;
+
+    const { carrier, awbNumber, scheduledFor } = req.body;
+    const result = await scheduleReversePickup(found.returnRequest, found.order, {
+      carrier,
+      awbNumber,
+      scheduledFor,
+      actor: req.user._id
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot schedule pickup',
+        message: result.error,
+        allowedStatuses: result.allowedStatuses
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reverse pickup scheduled successfully',
+      data: {
+        returnRequest: result.returnRequest,
+        shipment: result.shipment
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Duplicate AWB',
+        message: 'A shipment with this carrier and AWB number already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to schedule pickup',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/returns/:id/receive - Confirm the returned items arrived (admin only)
+router.post('/:id/receive', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const found = await findReturnWithOrder(req.params.id, res);
+    if (!found) return;
+
+    const result = await receiveReturn(found.returnRequest, found.order, {
+      actor: req.user._id,
+      notes: req.body.notes
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status transition',
+        message: result.error,
+        allowedStatuses: result.allowedStatuses
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Return received successfully',
+      data: result.returnRequest
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to receive return',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/returns/:id/resolve - Refund a received return or issue store credit (admin only)
+router.post('/:id/resolve', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const found = await findReturnWithOrder(req.params.id, res);
+    if (!found) return;
+
+    const { type, amount, notes } = req.body;
+    const result = await resolveReturn(found.returnRequest, found.order, {
+      type,
+      amount,
+      notes,
+      actor: req.user._id
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot resolve return',
+        message: result.error,
+        allowedStatuses: result.allowedStatuses
+      });
+    }
+
+    res.json({
+      success: true,
+      message: type === 'Refund' ? 'Refund processed successfully' : 'Store credit issued successfully',
+      data: result.returnRequest
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve return',
+      message: error.message
+    });
+  }
+});
+
+// Error handling middleware for photo uploads
+router.use(handleUploadErrors(5));
+
+module.exports = router;
@@ -0,0 +1,339 @@
+const express = require('express');
+const Shipment = require('../models/ShipmentModel');
+const Order = require('../models/OrderModel');
+const courierConfig = require('../config/courier');
+const { verifyCourierSignature, parseCourierEvents, recordTrackingEvents } = require('../services/shipment');
+
+const router = express.Router();
+
+// Middleware to verify JWT token (imported from auth.js)
+const { authenticateToken } = require('./auth');
+
+// Orders that can be handed to a courier
+const SHIPPABLE_STATUSES = ['Confirmed', 'Processing', 'Shipped'];
+
+// POST /api/shipments/webhook - Tracking updates pushed by couriers
+router.post('/webhook', async (req, res) => {
+  try {
+    const timestamp = req.headers['x-courier-timestamp'];
+    const signature = req.headers['x-courier-signature'];
+
+    if (!verifyCourierSignature(req.rawBody || '', timestamp, signature)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid signature',
+        message: 'Webhook signature verification failed'
+      });
+    }
+
+    const { carrier, awb, expected_delivery, events } = req.body;
+    if (!awb || !Array.isArray(events)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid payload',
+        message: 'awb and an events array are required'
+      });
+    }
+
+    const { events: trackingEvents, problems } = parseCourierEvents(events);
+    if (problems) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid events',
+        message: problems.map(problem => problem.message).join(', '),
+        invalidEvents: problems
+      });
+    }
+
+    const filter = { awbNumber: String(awb).trim().toUpperCase() };
+    if (carrier) {
+      filter.carrier = carrier;
+    }
+    const shipment = await Shipment.findOne(filter);
+    if (!shipment) {
+      return res.json({ success: true, message: 'Unknown shipment' });
+    }
+
+    const estimatedDelivery = expected_delivery ? new Date(expected_delivery) : null;
+    const { added, orderError } = await recordTrackingEvents(shipment, trackingEvents, {
+      estimatedDelivery: estimatedDelivery && !isNaN(estimatedDelivery.getTime()) ? estimatedDelivery : null
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook processed successfully',
+      data: {
+        eventsAdded: added,
+        status: shipment.status,
+        orderError
+      }
+    });
+  } catch (error) {
+    console.error('Error processing courier webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process webhook',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/shipments - List shipments (admin only)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { status, carrier, search, page = 1, limit = 50 } = req.query;
+
+    // Build filter object
+    let filter = {};
+    if (status) {
+      filter.status = status;
+    }
+    if (carrier) {
+      filter.carrier = carrier;
+    }
+    if (search) {
+      filter.$or = [
+        { awbNumber: { $regex: search, $options: 'i' } },
+        { orderNumber: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    const [shipments, total] = await Promise.all([
+      Shipment.find(filter)
+        .select('-events')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(pageSize),
+      Shipment.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: shipments.length,
+      total,
+      data: shipments
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shipments',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/shipments/:id - Get a shipment with its tracking events (admin only)
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const shipment = await Shipment.findById(req.params.id)
+      .populate('order', 'orderNumber status customerInfo shippingAddress');
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shipment not found',
+        message: 'No shipment found with the provided ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: shipment
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shipment',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/shipments - Book an order's parcel with a courier (admin only)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { orderId, carrier, awbNumber, labelUrl, estimatedDelivery } = req.body;
+
+    if (!orderId || !carrier || !awbNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing fields',
+        message: 'orderId, carrier and awbNumber are required'
+      });
+    }
+
+    if (!courierConfig.carriers.includes(carrier)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid carrier',
+        message: `Carrier must be one of: ${courierConfig.carriers.join(', ')}`
+      });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found',
+        message: 'No order found with the provided ID'
+      });
+    }
+
+    if (!SHIPPABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Order not shippable',
+        message: `Orders that are ${order.status} cannot be shipped`
+      });
+    }
+
+    const shipment = await Shipment.create({
+      order: order._id,
+      orderNumber: order.orderNumber,
+      carrier,
+      awbNumber,
+      labelUrl,
+      estimatedDelivery: estimatedDelivery || order.shipping.estimatedDelivery,
+      events: [{
+        status: 'Created',
+        description: `Booked with ${carrier}`,
+        occurredAt: new Date(),
+        source: 'Admin',
+        actor: req.user._id
+      }],
+      createdBy: req.user._id
+    });
+
+    // The latest AWB is the tracking number shown on the order
+    order.shipping.trackingNumber = shipment.awbNumber;
+    if (estimatedDelivery) {
+      order.shipping.estimatedDelivery = shipment.estimatedDelivery;
+    }
+    await order.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipment created successfully',
+      data: shipment
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: errors.join(', ')
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Duplicate AWB',
+        message: 'A shipment with this carrier and AWB number already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create shipment',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/shipments/:id/events - Add a tracking event by hand (admin only)
+router.post('/:id/events', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { status, description, location, occurredAt } = req.body;
+    const statuses = Shipment.schema.path('status').enumValues;
+
+    if (!statuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: `Status must be one of: ${statuses.join(', ')}`
+      });
+    }
+
+    const eventDate = occurredAt ? new Date(occurredAt) : new Date();
+    if (isNaN(eventDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date',
+        message: 'occurredAt must be a valid date'
+      });
+    }
+
+    const shipment = await Shipment.findById(req.params.id);
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shipment not found',
+        message: 'No shipment found with the provided ID'
+      });
+    }
+
+    const { orderError } = await recordTrackingEvents(shipment, [{
+      status,
+      description,
+      location,
+      occurredAt: eventDate,
+      source: 'Admin',
+      actor: req.user._id
+    }]);
+
+    res.json({
+      success: true,
+      message: orderError
+        ? `Tracking event added, but the order could not be updated: ${orderError}`
+        : 'Tracking event added successfully',
+      data: shipment
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add tracking event',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
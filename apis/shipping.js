@@ -0,0 +1,77 @@
+const express = require('express');
+const { priceOrderItems } = require('../services/pricing');
+const { quoteShippingOptions } = require('../services/shipping');
+const { roundAmount } = require('../services/deposit');
+
+const router = express.Router();
+
+// POST /api/shipping/quote - Shipping charges and delivery estimates for a cart to a pincode
+router.post('/quote', async (req, res) => {
+  try {
+    const { pincode, items, method } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid items',
+        message: 'At least one item is required'
+      });
+    }
+
+    // Free-shipping thresholds are checked against the catalogue value of the cart
+    const quoteItems = items.map(item => ({
+      productId: item.productId,
+      variantId: item.variantId,
+      quantity: parseInt(item.quantity) || 1,
+      rentalStartDate: item.rentalStartDate,
+      rentalEndDate: item.rentalEndDate
+    }));
+    const problems = await priceOrderItems(quoteItems);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid items',
+        message: 'Some items could not be priced',
+        invalidItems: problems
+      });
+    }
+    const orderValue = roundAmount(quoteItems.reduce((sum, item) => sum + item.totalPrice, 0));
+
+    const result = await quoteShippingOptions(quoteItems, { pincode, orderValue });
+    if (result.problems) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pincode',
+        message: result.problems[0].message
+      });
+    }
+
+    const quotes = method ? result.quotes.filter(quote => quote.method === method) : result.quotes;
+    if (quotes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Shipping unavailable',
+        message: `${method} shipping is not available to pincode ${pincode}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        pincode,
+        zone: result.zone,
+        weight: result.weight,
+        orderValue,
+        quotes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to quote shipping',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
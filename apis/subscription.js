@@ -0,0 +1,416 @@
+const express = require('express');
+const SubscriptionPlan = require('../models/SubscriptionPlanModel');
+const Subscription = require('../models/SubscriptionModel');
+const razorpayConfig = require('../config/razorpay');
+const { getSubscriptionGateway } = require('../services/subscriptionGateway');
+const { OPEN_STATUSES, syncSubscription } = require('../services/subscription');
+
+const router = express.Router();
+
+// Middleware to verify JWT token (imported from auth.js)
+const { authenticateToken } = require('./auth');
+
+// GET /api/subscriptions/plans - Get active subscription plans
+router.get('/plans', async (req, res) => {
+  try {
+    const plans = await SubscriptionPlan.find({ isActive: true }).sort({ price: 1 });
+
+    res.json({
+      success: true,
+      count: plans.length,
+      data: plans
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch plans',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/subscriptions/plans - Create a subscription plan (admin only)
+router.post('/plans', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { name, description, price, itemsPerMonth, maxRentalDays } = req.body;
+
+    if (!name || !price || !itemsPerMonth) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'Required fields: name, price, itemsPerMonth'
+      });
+    }
+
+    if (isNaN(price) || price <= 0 || isNaN(itemsPerMonth) || itemsPerMonth < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid plan',
+        message: 'Price must be greater than 0 and itemsPerMonth at least 1'
+      });
+    }
+
+    // Validate locally before creating the plan on the gateway
+    const plan = new SubscriptionPlan({
+      name,
+      description,
+      price: parseFloat(price),
+      itemsPerMonth: parseInt(itemsPerMonth),
+      maxRentalDays: maxRentalDays ? parseInt(maxRentalDays) : null,
+      razorpayPlanId: 'pending'
+    });
+    await plan.validate();
+
+    const gatewayPlan = await getSubscriptionGateway().createPlan({
+      name: plan.name,
+      description: plan.description,
+      amount: plan.price
+    });
+    plan.razorpayPlanId = gatewayPlan.id;
+    await plan.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Plan created successfully',
+      data: plan
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create plan',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/subscriptions/plans/:id - Update a plan's details (admin only)
+router.put('/plans/:id', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { name, description, maxRentalDays, isActive } = req.body;
+
+    // Price and quota are billed on the gateway plan, so they need a new plan instead
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (description !== undefined) updateData.description = description;
+    if (maxRentalDays !== undefined) updateData.maxRentalDays = maxRentalDays ? parseInt(maxRentalDays) : null;
+    if (isActive !== undefined) updateData.isActive = isActive;
+
+    const plan = await SubscriptionPlan.findByIdAndUpdate(
+      req.params.id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Plan not found',
+        message: `No plan found with ID: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Plan updated successfully',
+      data: plan
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update plan',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/subscriptions - Start subscribing to a plan
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { planId } = req.body;
+
+    const plan = planId ? await SubscriptionPlan.findOne({ _id: planId, isActive: true }) : null;
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Plan not found',
+        message: 'No active plan found with the provided ID'
+      });
+    }
+
+    const existing = await Subscription.findOne({ user: req.user._id, status: { $in: OPEN_STATUSES } });
+    if (existing && existing.status !== 'Created') {
+      return res.status(400).json({
+        success: false,
+        error: 'Already subscribed',
+        message: 'You already have a subscription. Cancel it before choosing another plan.'
+      });
+    }
+
+    // An unpaid checkout is replaced by the new one
+    if (existing) {
+      existing.status = 'Expired';
+      await existing.save();
+    }
+
+    const gatewaySubscription = await getSubscriptionGateway().createSubscription({
+      planId: plan.razorpayPlanId,
+      notes: { user_id: String(req.user._id), plan_name: plan.name }
+    });
+
+    const subscription = await Subscription.create({
+      user: req.user._id,
+      plan: plan._id,
+      razorpaySubscriptionId: gatewaySubscription.id,
+      itemsPerMonth: plan.itemsPerMonth
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Subscription created successfully',
+      data: {
+        subscription,
+        razorpaySubscriptionId: gatewaySubscription.id,
+        key_id: razorpayConfig.test.key_id
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create subscription',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/subscriptions/verify - Verify the first subscription payment and activate it
+router.post('/verify', authenticateToken, async (req, res) => {
+  try {
+    const { razorpay_payment_id, razorpay_subscription_id, razorpay_signature } = req.body;
+
+    if (!razorpay_payment_id || !razorpay_subscription_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing payment details',
+        message: 'razorpay_payment_id and razorpay_subscription_id are required'
+      });
+    }
+
+    const subscription = await Subscription.findOne({
+      razorpaySubscriptionId: razorpay_subscription_id,
+      user: req.user._id
+    });
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscription not found',
+        message: 'Subscription not found or you do not have permission to view it'
+      });
+    }
+
+    const gateway = getSubscriptionGateway();
+    if (!gateway.verifyPaymentSignature(razorpay_payment_id, razorpay_subscription_id, razorpay_signature)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid signature',
+        message: 'Payment verification failed'
+      });
+    }
+
+    const entity = await gateway.fetchSubscription(razorpay_subscription_id);
+    syncSubscription(subscription, entity);
+    await subscription.save();
+    await subscription.populate('plan');
+
+    res.json({
+      success: true,
+      message: 'Subscription activated successfully',
+      data: subscription
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify subscription',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/subscriptions/my - Get the logged-in user's subscription and quota
+router.get('/my', authenticateToken, async (req, res) => {
+  try {
+    const subscription = await Subscription.findOne({ user: req.user._id, status: { $in: OPEN_STATUSES } })
+      .populate('plan')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch subscription',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/subscriptions/my/cancel - Cancel at the end of the current billing month
+router.post('/my/cancel', authenticateToken, async (req, res) => {
+  try {
+    const subscription = await Subscription.findOne({ user: req.user._id, status: { $in: OPEN_STATUSES } });
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscription not found',
+        message: 'You do not have an active subscription'
+      });
+    }
+
+    const entity = await getSubscriptionGateway().cancelSubscription(subscription.razorpaySubscriptionId);
+    syncSubscription(subscription, entity);
+    subscription.cancelAtPeriodEnd = true;
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: 'Subscription will be cancelled at the end of the billing month',
+      data: subscription
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel subscription',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/subscriptions/webhook - Subscription events from Razorpay
+router.post('/webhook', async (req, res) => {
+  try {
+    const signature = req.headers['x-razorpay-signature'];
+
+    if (!getSubscriptionGateway().verifyWebhookSignature(req.rawBody || '', signature)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid signature',
+        message: 'Webhook signature verification failed'
+      });
+    }
+
+    const { event, payload } = req.body;
+    const entity = payload?.subscription?.entity;
+
+    // Only subscription events are handled here
+    if (!event || !event.startsWith('subscription.') || !entity) {
+      return res.json({ success: true, message: 'Event ignored' });
+    }
+
+    const subscription = await Subscription.findOne({ razorpaySubscriptionId: entity.id });
+    if (!subscription) {
+      return res.json({ success: true, message: 'Unknown subscription' });
+    }
+
+    syncSubscription(subscription, entity);
+
+    // Each monthly charge is kept on the subscription
+    const payment = payload?.payment?.entity;
+    if (event === 'subscription.charged' && payment &&
+      !subscription.payments.some(entry => entry.paymentId === payment.id)) {
+      subscription.payments.push({
+        paymentId: payment.id,
+        amount: payment.amount / 100,
+        paidAt: payment.created_at ? new Date(payment.created_at * 1000) : new Date()
+      });
+    }
+
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook processed successfully'
+    });
+  } catch (error) {
+    console.error('Error processing subscription webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process webhook',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/subscriptions - Get all subscriptions (admin only)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { status, planId } = req.query;
+
+    // Build filter object
+    let filter = {};
+    if (status) {
+      filter.status = status;
+    }
+    if (planId) {
+      filter.plan = planId;
+    }
+
+    const subscriptions = await Subscription.find(filter)
+      .select('-usage')
+      .populate('plan', 'name price itemsPerMonth')
+      .populate('user', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: subscriptions.length,
+      data: subscriptions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch subscriptions',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
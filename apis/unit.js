@@ -0,0 +1,433 @@
+const express = require('express');
+const InventoryUnit = require('../models/InventoryUnitModel');
+const Product = require('../models/ProductModel');
+const Variant = require('../models/VariantModel');
+const { changeUnitStatus, getUnitRentalHistory } = require('../services/unit');
+
+const router = express.Router();
+
+// Middleware to verify JWT token (imported from auth.js)
+const { authenticateToken } = require('./auth');
+
+// GET /api/units - Get inventory units (admin only)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { productId, variantId, status, condition, search } = req.query;
+
+    // Build filter object
+    let filter = {};
+    if (productId) {
+      filter.product = productId;
+    }
+    if (variantId) {
+      filter.variant = variantId;
+    }
+    if (status) {
+      filter.status = status;
+    }
+    if (condition) {
+      filter.condition = condition;
+    }
+    if (search) {
+      filter.$or = [
+        { serialNumber: { $regex: search, $options: 'i' } },
+        { barcode: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const units = await InventoryUnit.find(filter)
+      .select('-history')
+      .populate('product', 'productName image')
+      .populate('variant', 'size color sku')
+      .populate('currentOrder', 'orderNumber status')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: units.length,
+      data: units
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch units',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/units/lookup/:code - Find a unit by scanning its serial number or barcode (admin only)
+router.get('/lookup/:code', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { code } = req.params;
+
+    const unit = await InventoryUnit.findOne({
+      $or: [{ serialNumber: code.toUpperCase() }, { barcode: code }]
+    })
+      .populate('product', 'productName image')
+      .populate('variant', 'size color sku')
+      .populate('currentOrder', 'orderNumber status customerInfo');
+
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unit not found',
+        message: `No unit found with serial number or barcode: ${code}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: unit
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up unit',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/units/:id/history - Get a unit's rental history and lifecycle events (admin only)
+router.get('/:id/history', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const unit = await InventoryUnit.findById(req.params.id)
+      .populate('product', 'productName image')
+      .populate('variant', 'size color sku')
+      .populate('history.actor', 'firstName lastName email');
+
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unit not found',
+        message: `No unit found with ID: ${req.params.id}`
+      });
+    }
+
+    const rentals = await getUnitRentalHistory(unit);
+
+    res.json({
+      success: true,
+      data: {
+        unit,
+        rentals,
+        events: unit.history,
+        summary: {
+          rentalCount: unit.rentalCount,
+          totalRevenue: unit.totalRevenue,
+          purchaseCost: unit.purchaseCost,
+          // Positive once the unit has earned back what it cost
+          netReturn: unit.totalRevenue - unit.purchaseCost
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch unit history',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/units - Register a physical unit (admin only)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { productId, variantId, serialNumber, barcode, condition, purchaseCost, purchasedAt, notes } = req.body;
+
+    if (!productId || !serialNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'Required fields: productId, serialNumber'
+      });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found',
+        message: `No product found with ID: ${productId}`
+      });
+    }
+
+    // Units of a product with variants belong to one of them
+    const variantCount = await Variant.countDocuments({ product: productId });
+    if (variantCount > 0) {
+      const variant = variantId ? await Variant.findOne({ _id: variantId, product: productId }) : null;
+      if (!variant) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid variant',
+          message: 'A valid variantId is required for products with variants'
+        });
+      }
+    }
+
+    if (purchaseCost !== undefined && (isNaN(purchaseCost) || purchaseCost < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid purchase cost',
+        message: 'Purchase cost must be a non-negative number'
+      });
+    }
+
+    const unit = await InventoryUnit.create({
+      product: productId,
+      variant: variantCount > 0 ? variantId : undefined,
+      serialNumber,
+      barcode: barcode || undefined,
+      condition,
+      purchaseCost: parseFloat(purchaseCost) || 0,
+      purchasedAt,
+      notes,
+      history: [{ action: 'Added', status: 'Available', actor: req.user._id }]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Unit created successfully',
+      data: unit
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Duplicate unit',
+        message: 'A unit with this serial number or barcode already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create unit',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/units/:id - Update a unit's details (admin only)
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { serialNumber, barcode, condition, purchaseCost, purchasedAt, notes } = req.body;
+
+    // Status, counts and revenue only change through orders, inspections and the status endpoint
+    const updateData = {};
+    if (serialNumber !== undefined) updateData.serialNumber = serialNumber;
+    if (barcode !== undefined) updateData.barcode = barcode || undefined;
+    if (condition !== undefined) updateData.condition = condition;
+    if (purchaseCost !== undefined) updateData.purchaseCost = parseFloat(purchaseCost);
+    if (purchasedAt !== undefined) updateData.purchasedAt = purchasedAt;
+    if (notes !== undefined) updateData.notes = notes;
+
+    const unit = await InventoryUnit.findByIdAndUpdate(
+      req.params.id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unit not found',
+        message: `No unit found with ID: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Unit updated successfully',
+      data: unit
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Duplicate unit',
+        message: 'A unit with this serial number or barcode already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update unit',
+      message: error.message
+    });
+  }
+});
+
+// PATCH /api/units/:id/status - Move a unit between available, cleaning and repair (admin only)
+router.patch('/:id/status', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { status, notes } = req.body;
+    const validStatuses = ['Available', 'Cleaning', 'Repair'];
+
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: `Status must be one of: ${validStatuses.join(', ')}`
+      });
+    }
+
+    const unit = await InventoryUnit.findById(req.params.id);
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unit not found',
+        message: `No unit found with ID: ${req.params.id}`
+      });
+    }
+
+    const result = await changeUnitStatus(unit, status, { notes, actor: req.user._id });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status change',
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Unit status updated successfully',
+      data: result.unit
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update unit status',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/units/:id/retire - Retire a unit from the rental fleet (admin only)
+router.post('/:id/retire', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing reason',
+        message: 'A reason is required to retire a unit'
+      });
+    }
+
+    const unit = await InventoryUnit.findById(req.params.id);
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unit not found',
+        message: `No unit found with ID: ${req.params.id}`
+      });
+    }
+
+    const result = await changeUnitStatus(unit, 'Retired', { notes: reason, actor: req.user._id });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot retire unit',
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Unit retired successfully',
+      data: result.unit
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retire unit',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
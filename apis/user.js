@@ -2,6 +2,23 @@ const express = require('express');
 const User = require('../models/UserModel');
 const Order = require('../models/OrderModel');
 const Address = require('../models/AddressModel');
+const Payment = require('../models/PaymentModel');
+const Notification = require('../models/NotificationModel');
+const Subscription = require('../models/SubscriptionModel');
+const Shipment = require('../models/ShipmentModel');
+const StoreCredit = require('../models/StoreCreditModel');
+const { razorpay, verifyPaymentSignature, refundPayment } = require('../services/razorpay');
+const { createHolds, releaseHolds } = require('../services/booking');
+const { validateOrderSlots, bookOrderSlots } = require('../services/slot');
+const { OPEN_STATUSES } = require('../services/subscription');
+const { cancelOrderForCustomer } = require('../services/cancellation');
+const { getStoreCreditBalance } = require('../services/storeCredit');
+const {
+  EXTENDABLE_STATUSES,
+  quoteExtension,
+  findUnavailableExtensionItems,
+  applyExtension
+} = require('../services/extension');
 
 const router = express.Router();
 
@@ -9,7 +26,7 @@ const router = express.Router();
 const { authenticateToken } = require('./auth');
 
 // GET /api/user/dashboard - Get user dashboard data
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', authenticateToken, async (req, res) => {
   try {
     const userId = req.user._id;
 
@@ -42,6 +59,11 @@ router.get('/dashboard', async (req, res) => {
       .sort({ isDefault: -1, createdAt: -1 })
       .limit(3);
 
+    // Get user's closet subscription and what is left of this month's quota
+    const subscription = await Subscription.findOne({ user: userId, status: { $in: OPEN_STATUSES } })
+      .populate('plan', 'name price itemsPerMonth maxRentalDays')
+      .sort({ createdAt: -1 });
+
     // Get user's favorite items (if you have a favorites system)
     const favorites = []; // This would come from your favorites collection
 
@@ -68,7 +90,17 @@ router.get('/dashboard', async (req, res) => {
         },
         recentOrders,
         addresses,
-        favorites
+        favorites,
+        subscription: subscription ? {
+          id: subscription._id,
+          plan: subscription.plan,
+          status: subscription.status,
+          itemsPerMonth: subscription.itemsPerMonth,
+          itemsUsed: subscription.itemsUsed,
+          itemsRemaining: subscription.itemsRemaining,
+          currentPeriodEnd: subscription.currentPeriodEnd,
+          cancelAtPeriodEnd: subscription.cancelAtPeriodEnd
+        } : null
       }
     });
   } catch (error) {
@@ -154,9 +186,14 @@ router.get('/orders/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    // Courier tracking for each parcel of the order, oldest event first
+    const shipments = await Shipment.find({ order: order._id })
+      .select('direction carrier awbNumber status estimatedDelivery deliveredAt events.status events.description events.location events.occurredAt createdAt')
+      .sort({ createdAt: 1 });
+
     res.json({
       success: true,
-      data: { order }
+      data: { order, shipments }
     });
   } catch (error) {
     res.status(500).json({
@@ -167,6 +204,415 @@ router.get('/orders/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/user/orders/:id/cancel - Cancel an order and get the refund the cancellation policy allows
+router.post('/orders/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const order = await Order.findOne({
+      _id: req.params.id,
+      'customerInfo.userId': req.user._id
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found',
+        message: 'Order not found or you do not have permission to modify it'
+      });
+    }
+
+    const result = await cancelOrderForCustomer(order, { actor: req.user._id, reason });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Order cannot be cancelled',
+        message: result.error
+      });
+    }
+
+    const failedRefunds = order.cancellation.refunds.filter(refund => refund.status === 'Failed');
+
+    res.json({
+      success: true,
+      message: failedRefunds.length > 0
+        ? 'Order cancelled, but the refund could not be processed. Our team will complete it shortly.'
+        : 'Order cancelled successfully',
+      data: {
+        order,
+        policy: result.terms.policy,
+        refundPercent: result.terms.refundPercent,
+        refundAmount: result.terms.refundAmount,
+        depositRefund: result.terms.depositRefund,
+        refunds: order.cancellation.refunds
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel order',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/user/orders/:id/extend - Request a later end date for a rental
+router.post('/orders/:id/extend', authenticateToken, async (req, res) => {
+  try {
+    const { newEndDate, itemId } = req.body;
+
+    if (!newEndDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing end date',
+        message: 'newEndDate is required'
+      });
+    }
+
+    const order = await Order.findOne({
+      _id: req.params.id,
+      'customerInfo.userId': req.user._id
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found',
+        message: 'Order not found or you do not have permission to modify it'
+      });
+    }
+
+    if (!EXTENDABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Order cannot be extended',
+        message: `Orders with status ${order.status} cannot be extended`
+      });
+    }
+
+    // A new request replaces any extension still waiting for payment
+    for (const pending of order.extensions.filter(extension => extension.status === 'Pending Payment')) {
+      pending.status = 'Failed';
+      if (pending.razorpayOrderId) {
+        await releaseHolds(pending.razorpayOrderId);
+      }
+    }
+
+    const quote = await quoteExtension(order, newEndDate, itemId);
+    if (quote.error) {
+      return res.status(quote.unavailableItems ? 409 : 400).json({
+        success: false,
+        error: quote.unavailableItems ? 'Items unavailable' : 'Invalid extension',
+        message: quote.error,
+        unavailableItems: quote.unavailableItems
+      });
+    }
+
+    order.extensions.push({ items: quote.items, subtotal: quote.subtotal, tax: quote.tax, amount: quote.amount });
+    const extension = order.extensions[order.extensions.length - 1];
+
+    // Longer rentals can cost nothing extra when they fall in the same price tier
+    if (quote.amount === 0) {
+      await applyExtension(order, extension);
+
+      return res.json({
+        success: true,
+        message: 'Rental extended successfully',
+        data: { order, extension }
+      });
+    }
+
+    // Charge the difference through Razorpay and hold the extra days until it is paid
+    const razorpayOrder = await razorpay.orders.create({
+      amount: Math.round(quote.amount * 100), // Convert to paise
+      currency: 'INR',
+      receipt: `ext_${order.orderNumber}_${order.extensions.length}`,
+      notes: {
+        order_number: order.orderNumber,
+        type: 'rental_extension'
+      }
+    });
+
+    const { expiresAt: holdExpiresAt, unavailableItems } = await createHolds(quote.holdItems, razorpayOrder.id, {
+      heldBy: req.user._id,
+      excludeOrder: order._id
+    });
+    if (unavailableItems) {
+      return res.status(409).json({
+        success: false,
+        error: 'Items unavailable',
+        message: 'Some items are already booked for the extra days',
+        unavailableItems
+      });
+    }
+    extension.razorpayOrderId = razorpayOrder.id;
+    await order.save();
+
+    res.json({
+      success: true,
+      message: 'Extension quoted successfully',
+      data: {
+        extension,
+        razorpayOrder: {
+          id: razorpayOrder.id,
+          amount: razorpayOrder.amount,
+          currency: razorpayOrder.currency,
+          receipt: razorpayOrder.receipt
+        },
+        holdExpiresAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to extend rental',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/user/orders/:id/extend/verify - Verify the extension payment and extend the booking
+router.post('/orders/:id/extend/verify', authenticateToken, async (req, res) => {
+  try {
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing payment details',
+        message: 'razorpay_order_id, razorpay_payment_id and razorpay_signature are required'
+      });
+    }
+
+    const order = await Order.findOne({
+      _id: req.params.id,
+      'customerInfo.userId': req.user._id
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found',
+        message: 'Order not found or you do not have permission to modify it'
+      });
+    }
+
+    const extension = order.extensions.find(extension => extension.razorpayOrderId === razorpay_order_id);
+    if (!extension || extension.status !== 'Pending Payment') {
+      return res.status(404).json({
+        success: false,
+        error: 'Extension not found',
+        message: 'No pending extension found for this payment'
+      });
+    }
+
+    if (!verifyPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid signature',
+        message: 'Payment verification failed'
+      });
+    }
+
+    // Only extend once Razorpay has actually captured the full extension amount
+    const payment = await razorpay.payments.fetch(razorpay_payment_id);
+    if (payment.order_id !== razorpay_order_id || payment.status !== 'captured' ||
+      payment.amount !== Math.round(extension.amount * 100)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Payment not captured',
+        message: 'The extension payment has not been captured for the full amount'
+      });
+    }
+
+    // The holds may have lapsed before payment, so check the extra days once more.
+    // The captured payment is given back when they were booked in the meantime.
+    const unavailableItems = await findUnavailableExtensionItems(order, extension);
+    if (unavailableItems.length > 0) {
+      extension.status = 'Failed';
+      await order.save();
+
+      let refunded = false;
+      try {
+        await refundPayment(razorpay_payment_id, null, { reason: 'Extension dates no longer available' });
+        refunded = true;
+      } catch (error) {
+        console.error(`Could not refund extension payment ${razorpay_payment_id}:`, error);
+      }
+
+      return res.status(409).json({
+        success: false,
+        error: 'Items unavailable',
+        message: refunded
+          ? 'Some items were booked by someone else before payment completed. Your payment has been refunded.'
+          : 'Some items were booked by someone else before payment completed. Please contact support for a refund.',
+        unavailableItems,
+        refunded
+      });
+    }
+
+    await applyExtension(order, extension, razorpay_payment_id);
+
+    const newPayment = await Payment.create({
+      paymentId: razorpay_payment_id,
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      customerInfo: {
+        firstName: order.customerInfo.firstName,
+        lastName: order.customerInfo.lastName,
+        email: order.customerInfo.email,
+        phoneNumber: order.customerInfo.phoneNumber
+      },
+      paymentMethod: {
+        type: 'Razorpay',
+        details: {
+          razorpayOrderId: razorpay_order_id,
+          razorpayPaymentId: razorpay_payment_id,
+          razorpaySignature: razorpay_signature,
+          method: payment.method
+        }
+      },
+      amount: {
+        subtotal: extension.subtotal !== undefined ? extension.subtotal : extension.amount,
+        tax: extension.tax || 0,
+        total: extension.amount
+      },
+      status: 'Completed',
+      transactionDetails: {
+        transactionId: razorpay_payment_id,
+        gatewayTransactionId: razorpay_payment_id,
+        gatewayResponse: payment,
+        gatewayName: 'Razorpay'
+      },
+      timestamps: {
+        initiatedAt: extension.requestedAt,
+        processedAt: new Date(),
+        completedAt: new Date()
+      },
+      notes: 'Rental extension'
+    });
+
+    res.json({
+      success: true,
+      message: 'Rental extended successfully',
+      data: { order, extension, payment: newPayment }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify extension payment',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/user/orders/:id/slots - Choose or change the delivery and pickup slots of an order
+router.put('/orders/:id/slots', authenticateToken, async (req, res) => {
+  try {
+    const { deliverySlotId, pickupSlotId } = req.body;
+
+    if (!deliverySlotId && !pickupSlotId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing slots',
+        message: 'deliverySlotId or pickupSlotId is required'
+      });
+    }
+
+    const order = await Order.findOne({
+      _id: req.params.id,
+      'customerInfo.userId': req.user._id
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found',
+        message: 'Order not found or you do not have permission to modify it'
+      });
+    }
+
+    // The delivery can only move until the order is dispatched, the pickup until it is collected
+    if (deliverySlotId && !['Pending', 'Confirmed', 'Processing'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Delivery slot locked',
+        message: `The delivery slot cannot be changed for orders with status ${order.status}`
+      });
+    }
+    if (pickupSlotId && ['Cancelled', 'Returned'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Pickup slot locked',
+        message: `The pickup slot cannot be changed for orders with status ${order.status}`
+      });
+    }
+
+    const slotChoice = { deliverySlotId, pickupSlotId };
+    const invalidSlots = await validateOrderSlots(slotChoice, {
+      pincode: order.shippingAddress.postalCode,
+      items: order.items
+    });
+    if (invalidSlots.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid slots',
+        message: invalidSlots.map(problem => problem.message).join(', '),
+        invalidSlots
+      });
+    }
+
+    const unbookedSlots = await bookOrderSlots(order, slotChoice);
+    await order.save();
+
+    if (unbookedSlots.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Slot unavailable',
+        message: unbookedSlots.map(problem => problem.message).join(', '),
+        unbookedSlots,
+        data: { shipping: order.shipping }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Slots updated successfully',
+      data: { shipping: order.shipping }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update slots',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/user/store-credit - Get store credit balance and history
+router.get('/store-credit', authenticateToken, async (req, res) => {
+  try {
+    const [balance, entries] = await Promise.all([
+      getStoreCreditBalance(req.user._id),
+      StoreCredit.find({ user: req.user._id })
+        .select('-createdBy')
+        .sort({ createdAt: -1 })
+        .limit(100)
+    ]);
+
+    res.json({
+      success: true,
+      data: { balance, entries }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch store credit',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/user/addresses - Get user's addresses
 router.get('/addresses', authenticateToken, async (req, res) => {
   try {
@@ -579,48 +1025,33 @@ router.get('/notifications', authenticateToken, async (req, res) => {
     const userId = req.user._id;
     const { page = 1, limit = 20, unreadOnly = false } = req.query;
 
-    // Get user notifications (you might want to create a Notifications model)
-    const notifications = [
-      {
-        id: '1',
-        type: 'order',
-        title: 'Order Confirmed',
-        message: 'Your order #12345 has been confirmed',
-        isRead: false,
-        createdAt: new Date(Date.now() - 1000 * 60 * 30), // 30 minutes ago
-        data: { orderId: '12345' }
-      },
-      {
-        id: '2',
-        type: 'promotion',
-        title: 'Special Offer',
-        message: 'Get 20% off on your next rental',
-        isRead: true,
-        createdAt: new Date(Date.now() - 1000 * 60 * 60 * 2), // 2 hours ago
-        data: { discountCode: 'SAVE20' }
-      }
-    ];
-
     // Filter unread if requested
-    let filteredNotifications = notifications;
+    let filter = { userId };
     if (unreadOnly === 'true') {
-      filteredNotifications = notifications.filter(n => !n.isRead);
+      filter.isRead = false;
     }
 
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    const paginatedNotifications = filteredNotifications.slice(skip, skip + parseInt(limit));
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalNotifications = await Notification.countDocuments(filter);
+    const unreadCount = await Notification.countDocuments({ userId, isRead: false });
 
     res.json({
       success: true,
       data: {
-        notifications: paginatedNotifications,
-        unreadCount: notifications.filter(n => !n.isRead).length,
+        notifications,
+        unreadCount,
         pagination: {
           currentPage: parseInt(page),
-          totalPages: Math.ceil(filteredNotifications.length / parseInt(limit)),
-          totalNotifications: filteredNotifications.length,
-          hasNext: skip + parseInt(limit) < filteredNotifications.length,
+          totalPages: Math.ceil(totalNotifications / parseInt(limit)),
+          totalNotifications,
+          hasNext: skip + parseInt(limit) < totalNotifications,
           hasPrev: parseInt(page) > 1
         }
       }
@@ -640,12 +1071,24 @@ router.put('/notifications/:id/read', authenticateToken, async (req, res) => {
     const userId = req.user._id;
     const notificationId = req.params.id;
 
-    // Mark notification as read (you would update in your Notifications collection)
-    // await Notification.findByIdAndUpdate(notificationId, { isRead: true });
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, userId },
+      { isRead: true },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found',
+        message: 'Notification not found or you do not have permission to modify it'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Notification marked as read'
+      message: 'Notification marked as read',
+      data: { notification }
     });
   } catch (error) {
     res.status(500).json({
@@ -0,0 +1,232 @@
+const express = require('express');
+const Waitlist = require('../models/WaitlistModel');
+const Product = require('../models/ProductModel');
+const { parseRentalPeriod, findUnavailableItems } = require('../services/booking');
+const { resolveItemVariants } = require('../services/variant');
+const { cancelWaitlistEntry } = require('../services/waitlist');
+
+const router = express.Router();
+
+// Middleware to verify JWT token (imported from auth.js)
+const { authenticateToken } = require('./auth');
+
+// POST /api/waitlist - Join the waitlist for a product that is booked on the requested dates
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { productId, variantId, size, color, startDate, endDate } = req.body;
+    const quantity = parseInt(req.body.quantity) || 1;
+
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing product',
+        message: 'productId is required'
+      });
+    }
+
+    const period = parseRentalPeriod(startDate, endDate);
+    if (period.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dates',
+        message: period.error
+      });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found',
+        message: 'No active product found with the provided ID'
+      });
+    }
+
+    const item = {
+      productId: product._id,
+      productName: product.productName,
+      variantId,
+      size,
+      color,
+      quantity,
+      rentalStartDate: period.startDate,
+      rentalEndDate: period.endDate
+    };
+
+    const invalidVariants = await resolveItemVariants([item]);
+    if (invalidVariants.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid variant',
+        message: invalidVariants[0].message
+      });
+    }
+
+    // Nothing to wait for when the dates can be booked right away
+    const unavailableItems = await findUnavailableItems([item]);
+    if (unavailableItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Item available',
+        message: 'This item is available for the selected dates and can be booked now'
+      });
+    }
+
+    const existingEntry = await Waitlist.findOne({
+      user: req.user._id,
+      product: product._id,
+      variant: item.variantId || null,
+      startDate: period.startDate,
+      endDate: period.endDate,
+      status: { $in: ['Waiting', 'Notified'] }
+    });
+    if (existingEntry) {
+      return res.status(400).json({
+        success: false,
+        error: 'Already waitlisted',
+        message: 'You are already on the waitlist for these dates'
+      });
+    }
+
+    const entry = await Waitlist.create({
+      user: req.user._id,
+      product: product._id,
+      variant: item.variantId,
+      size: item.size,
+      color: item.color,
+      quantity,
+      startDate: period.startDate,
+      endDate: period.endDate
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to waitlist successfully',
+      data: entry
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to join waitlist',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/waitlist/my - Get the logged-in user's waitlist entries
+router.get('/my', authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let filter = { user: req.user._id };
+    if (status) {
+      filter.status = status;
+    }
+
+    const entries = await Waitlist.find(filter)
+      .populate('product', 'productName image price')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch waitlist',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/waitlist/:id - Leave the waitlist
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const entry = await Waitlist.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Waitlist entry not found',
+        message: 'Waitlist entry not found or you do not have permission to remove it'
+      });
+    }
+
+    if (!['Waiting', 'Notified'].includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Entry closed',
+        message: `Waitlist entries with status ${entry.status} cannot be cancelled`
+      });
+    }
+
+    await cancelWaitlistEntry(entry);
+
+    res.json({
+      success: true,
+      message: 'Removed from waitlist successfully',
+      data: entry
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to leave waitlist',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/waitlist - Get all waitlist entries (admin only)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Admin access required'
+      });
+    }
+
+    const { status, productId } = req.query;
+
+    // Build filter object
+    let filter = {};
+    if (status) {
+      filter.status = status;
+    }
+    if (productId) {
+      filter.product = productId;
+    }
+
+    const entries = await Waitlist.find(filter)
+      .populate('product', 'productName')
+      .populate('user', 'firstName lastName email')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch waitlist',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+// Cancellation Policy
+// How much customers get back when they cancel an order themselves.
+// The security deposit is always returned in full since nothing has left the store.
+
+const cancellationConfig = {
+  // Rentals cancelled at least this many days before they start are refunded in full
+  fullRefundDays: process.env.CANCELLATION_FULL_REFUND_DAYS !== undefined
+    ? parseInt(process.env.CANCELLATION_FULL_REFUND_DAYS)
+    : 3,
+
+  // Share of the order charges (%) refunded for later cancellations, until the order ships
+  partialRefundPercent: process.env.CANCELLATION_PARTIAL_REFUND_PERCENT !== undefined
+    ? parseFloat(process.env.CANCELLATION_PARTIAL_REFUND_PERCENT)
+    : 50,
+
+  // Order statuses customers can cancel from; shipped orders are returned instead
+  cancellableStatuses: ['Pending', 'Confirmed', 'Processing']
+};
+
+module.exports = cancellationConfig;
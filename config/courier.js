@@ -0,0 +1,18 @@
+// Courier Configuration
+// Tracking updates couriers push to /api/shipments/webhook
+
+const courierConfig = {
+  // Carriers shipments can be booked with
+  carriers: (process.env.COURIER_CARRIERS || 'Delhivery,Blue Dart,DTDC,Ecom Express,Xpressbees,India Post')
+    .split(',')
+    .map(carrier => carrier.trim())
+    .filter(Boolean),
+
+  // Shared secret couriers sign webhook requests with (HMAC-SHA256)
+  webhookSecret: process.env.COURIER_WEBHOOK_SECRET || '',
+
+  // Webhook requests signed longer ago than this are rejected as replays
+  webhookToleranceSeconds: parseInt(process.env.COURIER_WEBHOOK_TOLERANCE_SECONDS) || 300
+};
+
+module.exports = courierConfig;
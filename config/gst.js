@@ -0,0 +1,66 @@
+// GST Configuration
+// Seller registration details printed on tax invoices, and the codes GST uses
+
+// GST state codes, keyed by state/union territory name as customers enter it
+const stateCodes = {
+  'Jammu and Kashmir': '01',
+  'Himachal Pradesh': '02',
+  'Punjab': '03',
+  'Chandigarh': '04',
+  'Uttarakhand': '05',
+  'Haryana': '06',
+  'Delhi': '07',
+  'Rajasthan': '08',
+  'Uttar Pradesh': '09',
+  'Bihar': '10',
+  'Sikkim': '11',
+  'Arunachal Pradesh': '12',
+  'Nagaland': '13',
+  'Manipur': '14',
+  'Mizoram': '15',
+  'Tripura': '16',
+  'Meghalaya': '17',
+  'Assam': '18',
+  'West Bengal': '19',
+  'Jharkhand': '20',
+  'Odisha': '21',
+  'Chhattisgarh': '22',
+  'Madhya Pradesh': '23',
+  'Gujarat': '24',
+  'Dadra and Nagar Haveli and Daman and Diu': '26',
+  'Maharashtra': '27',
+  'Karnataka': '29',
+  'Goa': '30',
+  'Lakshadweep': '31',
+  'Kerala': '32',
+  'Tamil Nadu': '33',
+  'Puducherry': '34',
+  'Andaman and Nicobar Islands': '35',
+  'Telangana': '36',
+  'Andhra Pradesh': '37',
+  'Ladakh': '38'
+};
+
+const gstConfig = {
+  seller: {
+    name: process.env.SELLER_NAME || 'StyleHub',
+    gstin: process.env.SELLER_GSTIN || '',
+    address: process.env.SELLER_ADDRESS || '',
+    state: process.env.SELLER_STATE || 'Gujarat',
+    email: process.env.SELLER_EMAIL || '',
+    phone: process.env.SELLER_PHONE || ''
+  },
+
+  // GST rate (%) for items whose category does not set its own rate
+  defaultRate: process.env.GST_DEFAULT_RATE !== undefined ? parseFloat(process.env.GST_DEFAULT_RATE) : 18,
+
+  // SAC for renting out garments, and the HSN used for sold items without their own code
+  rentalSacCode: process.env.RENTAL_SAC_CODE || '997329',
+  defaultHsnCode: process.env.DEFAULT_HSN_CODE || '6204',
+  // SAC for delivery charges
+  shippingSacCode: process.env.SHIPPING_SAC_CODE || '996812',
+
+  stateCodes
+};
+
+module.exports = gstConfig;
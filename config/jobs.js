@@ -0,0 +1,17 @@
+// Background Jobs Configuration
+// Vercel runs the app as serverless functions, where in-process timers do not
+// survive between requests. There the jobs are triggered by Vercel Cron
+// (see "crons" in vercel.json) calling /api/jobs/*; on a long-running host
+// (node server.js) they can run on timers instead.
+
+const jobsConfig = {
+  // Secret Vercel Cron sends as "Authorization: Bearer <secret>"
+  cronSecret: process.env.CRON_SECRET || '',
+
+  // Run the jobs on in-process timers. Off on Vercel unless set explicitly.
+  runInProcess: process.env.RUN_JOBS_IN_PROCESS !== undefined
+    ? process.env.RUN_JOBS_IN_PROCESS === 'true'
+    : !process.env.VERCEL
+};
+
+module.exports = jobsConfig;
@@ -0,0 +1,32 @@
+// Document Numbering Configuration
+// Formats for the numbers printed on orders, payments, invoices, credit notes and return requests.
+// {seq} is the running number; {fy} (financial year, e.g. 2026-27) and {yyyy}
+// restart the sequence when the period changes.
+
+const numberingConfig = {
+  // Time zone used to decide which financial year (April-March) a document falls in
+  timeZone: process.env.NUMBERING_TIME_ZONE || 'Asia/Kolkata',
+
+  order: {
+    format: process.env.ORDER_NUMBER_FORMAT || 'ORD-{seq}',
+    padding: parseInt(process.env.ORDER_NUMBER_PADDING) || 6
+  },
+  payment: {
+    format: process.env.PAYMENT_NUMBER_FORMAT || 'PAY-{seq}',
+    padding: parseInt(process.env.PAYMENT_NUMBER_PADDING) || 6
+  },
+  invoice: {
+    format: process.env.INVOICE_NUMBER_FORMAT || 'SH/{fy}/{seq}',
+    padding: parseInt(process.env.INVOICE_NUMBER_PADDING) || 6
+  },
+  creditNote: {
+    format: process.env.CREDIT_NOTE_NUMBER_FORMAT || 'CN/{fy}/{seq}',
+    padding: parseInt(process.env.CREDIT_NOTE_NUMBER_PADDING) || 6
+  },
+  returnRequest: {
+    format: process.env.RETURN_NUMBER_FORMAT || 'RMA-{seq}',
+    padding: parseInt(process.env.RETURN_NUMBER_PADDING) || 6
+  }
+};
+
+module.exports = numberingConfig;
@@ -0,0 +1,15 @@
+// Rental Configuration
+// Store-wide defaults, used when a product or its category does not set its own value
+
+const rentalConfig = {
+  // Days a returned garment is kept back for cleaning before it can be rented again
+  turnaroundDays: process.env.TURNAROUND_DAYS !== undefined ? parseInt(process.env.TURNAROUND_DAYS) : 2,
+
+  // Minutes items stay reserved between creating a Razorpay order and verifying payment
+  holdMinutes: parseInt(process.env.CHECKOUT_HOLD_MINUTES) || 15,
+
+  // Minutes a waitlisted customer has to check out once their dates free up
+  waitlistClaimMinutes: parseInt(process.env.WAITLIST_CLAIM_MINUTES) || 120
+};
+
+module.exports = rentalConfig;
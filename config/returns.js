@@ -0,0 +1,30 @@
+// Returns Configuration
+// Rules for customer return requests (RMAs) and how they are resolved
+
+const returnsConfig = {
+  // Days after delivery within which customers can ask to return items
+  windowDays: parseInt(process.env.RETURN_WINDOW_DAYS) || 7,
+
+  // Reasons customers choose from for each returned item
+  reasonCodes: [
+    'Wrong Size',
+    'Wrong Item',
+    'Damaged',
+    'Defective',
+    'Not As Described',
+    'Quality Issue',
+    'Changed Mind',
+    'Other'
+  ],
+
+  // Courier booked for reverse pickups unless the admin chooses another
+  pickupCarrier: process.env.RETURN_PICKUP_CARRIER || 'Delhivery',
+
+  // Working days between scheduling a reverse pickup and the courier collecting it
+  pickupLeadDays: parseInt(process.env.RETURN_PICKUP_LEAD_DAYS) || 1,
+
+  // Days store credit issued for a return can be used
+  storeCreditValidityDays: parseInt(process.env.STORE_CREDIT_VALIDITY_DAYS) || 365
+};
+
+module.exports = returnsConfig;
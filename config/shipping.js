@@ -0,0 +1,61 @@
+// Shipping Configuration
+// Courier rates by pincode zone, parcel weight and OrderModel shipping method.
+// Amounts are in rupees before GST, which is added when the order is priced.
+
+const shippingConfig = {
+  // Pincode orders are dispatched from
+  originPincode: process.env.SHIPPING_ORIGIN_PINCODE || '380001',
+
+  // Weight in grams for products that do not set their own, and the packaging added to every parcel
+  defaultItemWeight: parseInt(process.env.SHIPPING_DEFAULT_ITEM_WEIGHT) || 500,
+  packagingWeight: parseInt(process.env.SHIPPING_PACKAGING_WEIGHT) || 200,
+
+  // Parcels are charged in slabs of this many grams: the first slab at the base
+  // rate and every further slab (or part of one) at the additional rate
+  slabWeight: 500,
+
+  // Pincode prefixes couriers treat as remote: Jammu & Kashmir, Ladakh,
+  // Himachal hill areas, Sikkim, the North East and the Andaman & Nicobar Islands
+  remotePrefixes: ['18', '19', '172', '175', '737', '744', '78', '79'],
+
+  // Rates for each zone; a method missing from a zone is not offered there
+  rates: {
+    Local: {
+      Standard: { base: 40, additional: 20 },
+      Express: { base: 70, additional: 30 },
+      Overnight: { base: 120, additional: 40 }
+    },
+    Regional: {
+      Standard: { base: 50, additional: 25 },
+      Express: { base: 90, additional: 40 },
+      Overnight: { base: 160, additional: 60 }
+    },
+    National: {
+      Standard: { base: 70, additional: 35 },
+      Express: { base: 120, additional: 50 }
+    },
+    Remote: {
+      Standard: { base: 110, additional: 50 }
+    }
+  },
+
+  // Working days from dispatch to delivery for each zone and method
+  transitDays: {
+    Local: { Standard: 2, Express: 1, Overnight: 1 },
+    Regional: { Standard: 4, Express: 2, Overnight: 1 },
+    National: { Standard: 6, Express: 3 },
+    Remote: { Standard: 9 }
+  },
+
+  // Working days to pack an order before the courier collects it
+  handlingDays: process.env.SHIPPING_HANDLING_DAYS !== undefined ? parseInt(process.env.SHIPPING_HANDLING_DAYS) : 1,
+
+  // Order value from which a method ships free (null when it never does)
+  freeShippingThresholds: {
+    Standard: parseFloat(process.env.FREE_SHIPPING_THRESHOLD_STANDARD) || 1999,
+    Express: parseFloat(process.env.FREE_SHIPPING_THRESHOLD_EXPRESS) || null,
+    Overnight: null
+  }
+};
+
+module.exports = shippingConfig;
@@ -0,0 +1,15 @@
+// Subscription Configuration
+// Recurring closet plans billed through Razorpay Subscriptions
+
+const subscriptionConfig = {
+  // 'razorpay' for real billing, 'mock' for local development without Razorpay keys
+  gateway: process.env.SUBSCRIPTION_GATEWAY || 'razorpay',
+
+  // Number of monthly charges a subscription is created for
+  totalCount: parseInt(process.env.SUBSCRIPTION_TOTAL_COUNT) || 12,
+
+  // Secret set on the Razorpay dashboard for subscription webhooks
+  webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET || ''
+};
+
+module.exports = subscriptionConfig;
@@ -0,0 +1,74 @@
+const Order = require('../models/OrderModel');
+const { toDay } = require('../services/booking');
+const {
+  OUT_ON_RENTAL_STATUSES,
+  accrueLateFees,
+  sendLateFeePaymentLinks,
+  syncPaymentLinkStatus
+} = require('../services/lateFee');
+
+// Run every hour by default; late fees are charged per whole day
+const LATE_FEE_JOB_INTERVAL_MS = parseInt(process.env.LATE_FEE_JOB_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Find overdue rentals, update their running late fees, retry payment links that
+// could not be created and pick up paid fee links. A failing order is logged and
+// skipped so the rest still run.
+const runLateFeeJob = async () => {
+  const today = toDay(new Date());
+  let failed = 0;
+
+  const overdueOrders = await Order.find({
+    status: { $in: OUT_ON_RENTAL_STATUSES },
+    items: { $elemMatch: { rentalEndDate: { $lt: today }, returnedAt: null } }
+  });
+
+  for (const order of overdueOrders) {
+    try {
+      await accrueLateFees(order);
+      await order.save();
+    } catch (error) {
+      failed++;
+      console.error(`Late fee job could not update order ${order.orderNumber}:`, error.message);
+    }
+  }
+
+  const ordersWithFeeLinks = await Order.find({
+    'pricing.adjustments': { $elemMatch: { status: 'Billed', billedVia: 'Payment Link' } }
+  });
+
+  for (const order of ordersWithFeeLinks) {
+    try {
+      await sendLateFeePaymentLinks(order);
+      await syncPaymentLinkStatus(order);
+      await order.save();
+    } catch (error) {
+      failed++;
+      console.error(`Late fee job could not check payment links of order ${order.orderNumber}:`, error.message);
+    }
+  }
+
+  return {
+    overdueOrders: overdueOrders.length,
+    ordersWithFeeLinks: ordersWithFeeLinks.length,
+    failed
+  };
+};
+
+// Schedule the late fee job to run in the background
+const startLateFeeJob = () => {
+  const run = () => {
+    runLateFeeJob()
+      .then(result => console.log('⏰ Late fee job finished:', result))
+      .catch(error => console.error('❌ Late fee job failed:', error.message));
+  };
+
+  run();
+  const timer = setInterval(run, LATE_FEE_JOB_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runLateFeeJob,
+  startLateFeeJob
+};
@@ -0,0 +1,43 @@
+const Waitlist = require('../models/WaitlistModel');
+const { expireWaitlistEntries, processWaitlistForProduct } = require('../services/waitlist');
+
+// Run every 15 minutes by default, so lapsed claims and checkout holds are passed on quickly
+const WAITLIST_JOB_INTERVAL_MS = parseInt(process.env.WAITLIST_JOB_INTERVAL_MS) || 15 * 60 * 1000;
+
+// Expire stale entries and notify anyone whose dates have opened up
+const runWaitlistJob = async () => {
+  const expired = await expireWaitlistEntries();
+
+  const productIds = await Waitlist.distinct('product', { status: 'Waiting' });
+  let notified = 0;
+
+  for (const productId of productIds) {
+    const entries = await processWaitlistForProduct(productId);
+    notified += entries.length;
+  }
+
+  return {
+    expired,
+    products: productIds.length,
+    notified
+  };
+};
+
+// Schedule the waitlist job to run in the background
+const startWaitlistJob = () => {
+  const run = () => {
+    runWaitlistJob()
+      .then(result => console.log('⏰ Waitlist job finished:', result))
+      .catch(error => console.error('❌ Waitlist job failed:', error.message));
+  };
+
+  run();
+  const timer = setInterval(run, WAITLIST_JOB_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runWaitlistJob,
+  startWaitlistJob
+};
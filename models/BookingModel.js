@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const bookingSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product reference is required']
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // The order line this booking was made for
+  orderItemId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Variant'
+  },
+  size: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1'],
+    default: 1
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(endDate) {
+        return !this.startDate || endDate >= this.startDate;
+      },
+      message: 'End date cannot be before start date'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['Hold', 'Confirmed', 'Cancelled', 'Completed'],
+    default: 'Confirmed'
+  },
+  // Checkout holds: the Razorpay order they were placed for and when they lapse
+  razorpayOrderId: {
+    type: String,
+    trim: true
+  },
+  expiresAt: {
+    type: Date
+  },
+  // Customer the hold was placed for; guest checkouts have none
+  heldBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Rentals come from orders; cleaning and maintenance blocks are set by admins
+  type: {
+    type: String,
+    enum: ['Rental', 'Cleaning', 'Maintenance'],
+    default: 'Rental'
+  },
+  // Turnaround days kept free after the end date for cleaning
+  bufferDays: {
+    type: Number,
+    min: [0, 'Buffer days cannot be negative'],
+    default: 0
+  },
+  // Last day the unit is unavailable, including the turnaround buffer
+  blockedUntil: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+// Index for overlap lookups when checking availability
+bookingSchema.index({ product: 1, status: 1, startDate: 1, blockedUntil: 1 });
+bookingSchema.index({ order: 1 });
+bookingSchema.index({ razorpayOrderId: 1 });
+
+// MongoDB removes checkout holds once they expire; confirmed bookings have no expiresAt
+bookingSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Work out the last blocked day before validating
+bookingSchema.pre('validate', function(next) {
+  if (this.endDate) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    this.blockedUntil = new Date(this.endDate.getTime() + (this.bufferDays || 0) * DAY_MS);
+  }
+  next();
+});
+
+// Create the Booking model
+const Booking = mongoose.model('Booking', bookingSchema);
+
+module.exports = Booking;
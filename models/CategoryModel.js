@@ -22,6 +22,24 @@ const categorySchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Cleaning days between rentals; falls back to the store default when not set
+  turnaroundDays: {
+    type: Number,
+    min: [0, 'Turnaround days cannot be negative'],
+    default: null
+  },
+  lateFeePerDay: {
+    type: Number,
+    min: [0, 'Late fee cannot be negative'],
+    default: 0
+  },
+  // GST rate (%) charged on items in this category; falls back to the store default
+  gstRate: {
+    type: Number,
+    min: [0, 'GST rate cannot be negative'],
+    max: [28, 'GST rate cannot exceed 28%'],
+    default: null
+  },
   subcategories: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Subcategory'
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Running sequence behind a document number, one per sequence and period
+// (e.g. "invoice:SH/2026-27/{seq}")
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Counter key is required'],
+    unique: true,
+    trim: true
+  },
+  seq: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  }
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+// Create the Counter model
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3 to 30 letters, numbers, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Coupon type is required'],
+    enum: ['Percentage', 'Flat', 'Free Shipping']
+  },
+  // Percent off for Percentage coupons, amount off for Flat coupons
+  value: {
+    type: Number,
+    min: [0, 'Value cannot be negative'],
+    default: 0,
+    validate: {
+      validator: function(value) {
+        return this.type !== 'Percentage' || value <= 100;
+      },
+      message: 'Percentage discounts cannot exceed 100%'
+    }
+  },
+  // Cap on the discount of a Percentage coupon
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative'],
+    default: null
+  },
+  minOrderValue: {
+    type: Number,
+    min: [0, 'Minimum order value cannot be negative'],
+    default: 0
+  },
+  // When set, only items from these categories or products are discounted
+  applicableCategories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  applicableProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Total redemptions allowed across all customers (null for no limit)
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1'],
+    default: null
+  },
+  // Redemptions allowed per customer (null for no limit)
+  perUserLimit: {
+    type: Number,
+    min: [1, 'Per-user limit must be at least 1'],
+    default: 1
+  },
+  usedCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    validate: {
+      validator: function(expiresAt) {
+        return !expiresAt || !this.startsAt || expiresAt > this.startsAt;
+      },
+      message: 'Expiry must be after the start date'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+// Create the Coupon model
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A coupon used on an order
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: [true, 'Coupon reference is required']
+  },
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    trim: true,
+    uppercase: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order reference is required']
+  },
+  orderNumber: {
+    type: String,
+    trim: true
+  },
+  discount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  freeShipping: {
+    type: Boolean,
+    default: false
+  },
+  // Released when the order is cancelled, giving the use back to the customer
+  status: {
+    type: String,
+    enum: ['Redeemed', 'Released'],
+    default: 'Redeemed'
+  },
+  releasedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+couponRedemptionSchema.index({ coupon: 1, email: 1, status: 1 });
+couponRedemptionSchema.index({ order: 1 });
+
+// Create the CouponRedemption model
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+module.exports = CouponRedemption;
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const { nextNumber } = require('../services/counter');
+
+// A GST credit note: reduces the value of an issued invoice when the customer
+// is refunded (or given store credit) for a cancelled or returned order
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    unique: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: [true, 'Invoice reference is required']
+  },
+  invoiceNumber: {
+    type: String,
+    trim: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order reference is required']
+  },
+  orderNumber: {
+    type: String,
+    trim: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Razorpay refund the credit note accompanies, when the value went back as money
+  refundId: {
+    type: String,
+    trim: true
+  },
+  placeOfSupply: {
+    type: String,
+    trim: true
+  },
+  supplyType: {
+    type: String,
+    enum: ['Intra-State', 'Inter-State'],
+    default: 'Intra-State'
+  },
+  totals: {
+    taxableValue: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    cgst: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    sgst: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    igst: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    totalTax: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: [0, 'Credit note total cannot be negative']
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+creditNoteSchema.index({ invoice: 1 });
+creditNoteSchema.index({ order: 1 });
+creditNoteSchema.index({ issuedAt: -1 });
+
+// Number credit notes from their own sequence, restarting each financial year
+creditNoteSchema.pre('save', async function(next) {
+  if (!this.creditNoteNumber) {
+    this.creditNoteNumber = await nextNumber('creditNote', {
+      date: this.issuedAt,
+      existing: { model: mongoose.model('CreditNote'), field: 'creditNoteNumber' }
+    });
+  }
+  next();
+});
+
+// Create the CreditNote model
+const CreditNote = mongoose.model('CreditNote', creditNoteSchema);
+
+module.exports = CreditNote;
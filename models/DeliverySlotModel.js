@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const deliverySlotSchema = new mongoose.Schema({
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryZone',
+    required: [true, 'Zone reference is required']
+  },
+  // Calendar day of the slot (midnight UTC)
+  date: {
+    type: Date,
+    required: [true, 'Slot date is required']
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_FORMAT, 'Start time must be in HH:mm format']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_FORMAT, 'End time must be in HH:mm format'],
+    validate: {
+      validator: function(endTime) {
+        return !this.startTime || endTime > this.startTime;
+      },
+      message: 'End time must be after start time'
+    }
+  },
+  // Deliveries and pickups share the zone's runs, so they share the capacity
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [0, 'Capacity cannot be negative']
+  },
+  booked: {
+    type: Number,
+    min: [0, 'Booked count cannot be negative'],
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+deliverySlotSchema.index({ zone: 1, date: 1, startTime: 1 }, { unique: true });
+
+// Create the DeliverySlot model
+const DeliverySlot = mongoose.model('DeliverySlot', deliverySlotSchema);
+
+module.exports = DeliverySlot;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const deliveryZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Zone name cannot exceed 100 characters']
+  },
+  // Postal codes served by this zone's delivery runs
+  pincodes: [{
+    type: String,
+    trim: true,
+    match: [/^\d{6}$/, 'Pincode must be 6 digits']
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+deliveryZoneSchema.index({ pincodes: 1 });
+
+// Create the DeliveryZone model
+const DeliveryZone = mongoose.model('DeliveryZone', deliveryZoneSchema);
+
+module.exports = DeliveryZone;
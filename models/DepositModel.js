@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const depositSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order reference is required']
+  },
+  orderNumber: {
+    type: String,
+    trim: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Razorpay payment the deposit was captured with, used for refunds
+  paymentId: {
+    type: String,
+    required: [true, 'Payment ID is required'],
+    trim: true
+  },
+  customerEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  items: [{
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    productName: {
+      type: String,
+      trim: true
+    },
+    quantity: {
+      type: Number,
+      min: 1
+    },
+    unitDeposit: {
+      type: Number,
+      min: 0
+    },
+    amount: {
+      type: Number,
+      min: 0
+    }
+  }],
+  amount: {
+    type: Number,
+    required: [true, 'Deposit amount is required'],
+    min: [0, 'Deposit amount cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['Held', 'Released', 'Partially Released', 'Forfeited'],
+    default: 'Held'
+  },
+  deductions: [{
+    amount: {
+      type: Number,
+      required: [true, 'Deduction amount is required'],
+      min: [0, 'Deduction amount cannot be negative']
+    },
+    reason: {
+      type: String,
+      required: [true, 'Deduction reason is required'],
+      trim: true,
+      maxlength: [500, 'Deduction reason cannot exceed 500 characters']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  refund: {
+    refundId: {
+      type: String,
+      trim: true
+    },
+    amount: {
+      type: Number,
+      min: 0
+    },
+    status: {
+      type: String,
+      trim: true
+    },
+    refundedAt: {
+      type: Date
+    }
+  },
+  settledAt: {
+    type: Date
+  },
+  settledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+// Index for better query performance
+depositSchema.index({ order: 1 });
+depositSchema.index({ status: 1 });
+
+// Virtual for the total amount withheld from the customer
+depositSchema.virtual('totalDeductions').get(function() {
+  return (this.deductions || []).reduce((sum, deduction) => sum + deduction.amount, 0);
+});
+
+// Ensure virtual fields are serialized
+depositSchema.set('toJSON', { virtuals: true });
+
+// Create the Deposit model
+const Deposit = mongoose.model('Deposit', depositSchema);
+
+module.exports = Deposit;
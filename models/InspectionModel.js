@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const inspectionSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order reference is required']
+  },
+  orderNumber: {
+    type: String,
+    trim: true
+  },
+  // The order item (subdocument) being inspected
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Order item reference is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product reference is required']
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Variant'
+  },
+  productName: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    min: [1, 'Quantity must be at least 1'],
+    default: 1
+  },
+  conditionGrade: {
+    type: String,
+    enum: ['Excellent', 'Good', 'Fair', 'Poor', 'Damaged']
+  },
+  damageNotes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Damage notes cannot exceed 1000 characters']
+  },
+  photos: [{
+    type: String,
+    trim: true
+  }],
+  repairCost: {
+    type: Number,
+    min: [0, 'Repair cost cannot be negative'],
+    default: 0
+  },
+  decision: {
+    type: String,
+    enum: ['Restock', 'Repair', 'Retire']
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Completed'],
+    default: 'Pending'
+  },
+  // Tracks items sent out for repair until they are back in stock
+  repairStatus: {
+    type: String,
+    enum: ['In Repair', 'Repaired']
+  },
+  inspectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: {
+    type: Date
+  },
+  repairedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+// One inspection per order item
+inspectionSchema.index({ order: 1, itemId: 1 }, { unique: true });
+inspectionSchema.index({ status: 1 });
+
+// Create the Inspection model
+const Inspection = mongoose.model('Inspection', inspectionSchema);
+
+module.exports = Inspection;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One entry in the inventory ledger: every change to a product or variant's stock
+const inventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product reference is required']
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Variant'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Movement type is required'],
+    enum: ['Sale', 'Cancellation', 'Return', 'Adjustment', 'Inspection', 'Unit Status']
+  },
+  // Units added (positive) or taken out (negative)
+  change: {
+    type: Number,
+    required: [true, 'Stock change is required']
+  },
+  stockBefore: {
+    type: Number,
+    min: [0, 'Stock cannot be negative']
+  },
+  stockAfter: {
+    type: Number,
+    min: [0, 'Stock cannot be negative']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ order: 1 });
+
+// Create the InventoryMovement model
+const InventoryMovement = mongoose.model('InventoryMovement', inventoryMovementSchema);
+
+module.exports = InventoryMovement;
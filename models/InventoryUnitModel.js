@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+const inventoryUnitSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product reference is required']
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Variant'
+  },
+  // Serial number printed on the garment tag
+  serialNumber: {
+    type: String,
+    required: [true, 'Serial number is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'Serial number cannot exceed 50 characters']
+  },
+  barcode: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
+  condition: {
+    type: String,
+    enum: ['New', 'Excellent', 'Good', 'Fair', 'Poor', 'Damaged'],
+    default: 'New'
+  },
+  // Available to rent, out with a customer, being cleaned, in repair or retired from the fleet
+  status: {
+    type: String,
+    enum: ['Available', 'Rented', 'Cleaning', 'Repair', 'Retired'],
+    default: 'Available'
+  },
+  rentalCount: {
+    type: Number,
+    min: [0, 'Rental count cannot be negative'],
+    default: 0
+  },
+  // Rental income earned by this unit across all orders
+  totalRevenue: {
+    type: Number,
+    min: [0, 'Revenue cannot be negative'],
+    default: 0
+  },
+  purchaseCost: {
+    type: Number,
+    min: [0, 'Purchase cost cannot be negative'],
+    default: 0
+  },
+  purchasedAt: {
+    type: Date
+  },
+  // The order the unit is currently out on
+  currentOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  retiredAt: {
+    type: Date
+  },
+  retirementReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Retirement reason cannot exceed 500 characters']
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // Lifecycle events: dispatches, returns, status changes
+  history: [{
+    action: {
+      type: String,
+      enum: ['Added', 'Dispatched', 'Returned', 'Released', 'Inspected', 'Status Changed', 'Retired'],
+      required: true
+    },
+    status: {
+      type: String
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    orderNumber: {
+      type: String
+    },
+    notes: {
+      type: String,
+      maxlength: 500
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+inventoryUnitSchema.index({ product: 1, variant: 1, status: 1 });
+inventoryUnitSchema.index({ currentOrder: 1 });
+
+// Create the InventoryUnit model
+const InventoryUnit = mongoose.model('InventoryUnit', inventoryUnitSchema);
+
+module.exports = InventoryUnit;
@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const { nextNumber } = require('../services/counter');
+
+const partySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  state: {
+    type: String,
+    trim: true
+  },
+  stateCode: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const invoiceItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, 'Item description is required'],
+    trim: true
+  },
+  // HSN for goods sold, SAC for rentals and delivery
+  hsnSac: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  unitPrice: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxableValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cgst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order reference is required']
+  },
+  orderNumber: {
+    type: String,
+    required: [true, 'Order number is required'],
+    trim: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  paymentId: {
+    type: String,
+    trim: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  seller: {
+    type: partySchema,
+    required: true
+  },
+  buyer: {
+    type: partySchema,
+    required: true
+  },
+  // State the supply is made to; decides between CGST+SGST and IGST
+  placeOfSupply: {
+    type: String,
+    trim: true
+  },
+  supplyType: {
+    type: String,
+    enum: ['Intra-State', 'Inter-State'],
+    default: 'Intra-State'
+  },
+  items: [invoiceItemSchema],
+  totals: {
+    taxableValue: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    cgst: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    sgst: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    igst: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    totalTax: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    total: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Refundable deposit collected with the payment; not part of the taxable supply
+    deposit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    amountPaid: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  status: {
+    type: String,
+    enum: ['Issued', 'Cancelled'],
+    default: 'Issued'
+  }
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+// One invoice per order
+invoiceSchema.index({ order: 1 }, { unique: true });
+invoiceSchema.index({ customer: 1, issuedAt: -1 });
+invoiceSchema.index({ issuedAt: -1 });
+
+// Number invoices from their own sequence, restarting each financial year
+invoiceSchema.pre('save', async function(next) {
+  if (!this.invoiceNumber) {
+    this.invoiceNumber = await nextNumber('invoice', {
+      date: this.issuedAt,
+      existing: { model: mongoose.model('Invoice'), field: 'invoiceNumber' }
+    });
+  }
+  next();
+});
+
+// Create the Invoice model
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
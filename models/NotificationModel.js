@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  type: {
+    type: String,
+    enum: ['order', 'promotion', 'waitlist', 'system'],
+    default: 'system'
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Notification message is required'],
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  // Extra details the frontend needs to link the notification (order ID, waitlist entry, ...)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+notificationSchema.index({ userId: 1, isRead: 1, createdAt: -1 });
+
+// Create the Notification model
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -1,4 +1,26 @@
 const mongoose = require('mongoose');
+const { nextNumber } = require('../services/counter');
+
+// A booked delivery or pickup slot, copied onto the order for the manifest
+const slotSchema = new mongoose.Schema({
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliverySlot'
+  },
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryZone'
+  },
+  date: {
+    type: Date
+  },
+  startTime: {
+    type: String
+  },
+  endTime: {
+    type: String
+  }
+}, { _id: false });
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -26,6 +48,23 @@ const orderSchema = new mongoose.Schema({
       type: String,
       required: [true, 'Customer phone number is required'],
       trim: true
+    },
+    // Set when the order was placed by a logged-in customer
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Business customers who want GST input credit on their invoice
+    companyName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Company name cannot exceed 100 characters']
+    },
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Please enter a valid GSTIN']
     }
   },
   shippingAddress: {
@@ -95,7 +134,11 @@ const orderSchema = new mongoose.Schema({
     quantity: {
       type: Number,
       required: true,
-      min: 1
+      min: 1,
+      validate: {
+        validator: Number.isInteger,
+        message: 'Quantity must be a whole number'
+      }
     },
     unitPrice: {
       type: Number,
@@ -106,7 +149,70 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       required: true,
       min: 0
-    }
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Variant'
+    },
+    sku: {
+      type: String,
+      trim: true
+    },
+    size: {
+      type: String,
+      trim: true
+    },
+    color: {
+      type: String,
+      trim: true
+    },
+    rentalStartDate: {
+      type: Date
+    },
+    rentalEndDate: {
+      type: Date
+    },
+    rentalDays: {
+      type: Number,
+      min: 1
+    },
+    returnedAt: {
+      type: Date
+    },
+    // Paid for by the member's subscription quota instead of the rental price
+    coveredBySubscription: {
+      type: Boolean,
+      default: false
+    },
+    // GST on the line: the value after discount, the rate and the tax split
+    taxableValue: {
+      type: Number,
+      min: 0
+    },
+    taxRate: {
+      type: Number,
+      min: 0
+    },
+    cgst: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    sgst: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    igst: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Physical units sent to the customer, assigned at dispatch
+    unitIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryUnit'
+    }]
   }],
   pricing: {
     subtotal: {
@@ -129,11 +235,154 @@ const orderSchema = new mongoose.Schema({
       default: 0,
       min: 0
     },
+    // Refundable security deposit, collected on top of the total
+    deposit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     total: {
       type: Number,
       required: true,
       min: 0
-    }
+    },
+    // Part of the total and deposit paid with store credit instead of the payment
+    storeCredit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // How the tax above splits into CGST+SGST (within the seller's state) or IGST
+    taxBreakdown: {
+      supplyType: {
+        type: String,
+        enum: ['Intra-State', 'Inter-State']
+      },
+      placeOfSupply: {
+        type: String,
+        trim: true
+      },
+      cgst: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      sgst: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      igst: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      // Delivery is taxed at the rate of the main item it comes with
+      shippingTaxRate: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      shippingTax: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    },
+    // Charges added after the order was placed, billed separately from the total
+    lateFees: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    adjustments: [{
+      type: {
+        type: String,
+        enum: ['Late Fee'],
+        required: true
+      },
+      itemId: {
+        type: mongoose.Schema.Types.ObjectId
+      },
+      productName: {
+        type: String,
+        trim: true
+      },
+      days: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      dailyRate: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      amount: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      status: {
+        type: String,
+        enum: ['Accruing', 'Billed', 'Paid', 'Waived'],
+        default: 'Accruing'
+      },
+      billedVia: {
+        type: String,
+        enum: ['Deposit', 'Payment Link']
+      },
+      depositDeductionId: {
+        type: mongoose.Schema.Types.ObjectId
+      },
+      paymentLink: {
+        id: {
+          type: String,
+          trim: true
+        },
+        url: {
+          type: String,
+          trim: true
+        },
+        // Why the link could not be created; the late fee job tries again
+        error: {
+          type: String,
+          trim: true
+        }
+      },
+      // Set when an admin fixes the amount so the job stops recalculating it
+      overridden: {
+        type: Boolean,
+        default: false
+      },
+      audit: [{
+        action: {
+          type: String,
+          enum: ['Override', 'Waive'],
+          required: true
+        },
+        previousAmount: {
+          type: Number
+        },
+        amount: {
+          type: Number
+        },
+        reason: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: [500, 'Reason cannot exceed 500 characters']
+        },
+        actor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now
+        }
+      }]
+    }]
   },
   payment: {
     method: {
@@ -144,7 +393,7 @@ const orderSchema = new mongoose.Schema({
     status: {
       type: String,
       required: true,
-      enum: ['Pending', 'Paid', 'Failed', 'Refunded'],
+      enum: ['Pending', 'Paid', 'Failed', 'Refunded', 'Partially Refunded'],
       default: 'Pending'
     },
     transactionId: {
@@ -167,6 +416,15 @@ const orderSchema = new mongoose.Schema({
       enum: ['Standard', 'Express', 'Overnight'],
       default: 'Standard'
     },
+    // Courier zone and parcel weight (grams) the shipping charge was worked out from
+    zone: {
+      type: String,
+      enum: ['Local', 'Regional', 'National', 'Remote']
+    },
+    weight: {
+      type: Number,
+      min: 0
+    },
     trackingNumber: {
       type: String,
       trim: true
@@ -179,8 +437,208 @@ const orderSchema = new mongoose.Schema({
     },
     deliveredAt: {
       type: Date
+    },
+    // Doorstep delivery before the rental starts and pickup when it ends
+    deliverySlot: slotSchema,
+    pickupSlot: slotSchema
+  },
+  // Every status change, oldest first
+  statusHistory: [{
+    from: {
+      type: String
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Subscription whose monthly quota covered some of the items
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  // Coupon applied at checkout; its discount is pricing.discount
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    freeShipping: {
+      type: Boolean,
+      default: false
     }
   },
+  // Set when the customer cancels the order, with what the policy refunded
+  cancellation: {
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+    },
+    cancelledAt: {
+      type: Date
+    },
+    // Share of the order charges refunded under the cancellation policy
+    refundPercent: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    refundAmount: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    depositRefund: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    refunds: [{
+      paymentId: {
+        type: String,
+        trim: true
+      },
+      refundId: {
+        type: String,
+        trim: true
+      },
+      amount: {
+        type: Number,
+        min: 0
+      },
+      status: {
+        type: String,
+        enum: ['Pending', 'Processed', 'Failed'],
+        default: 'Pending'
+      },
+      // Set when the refund went back as store credit instead of to a payment
+      storeCredit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StoreCredit'
+      },
+      error: {
+        type: String,
+        trim: true
+      },
+      refundedAt: {
+        type: Date
+      }
+    }]
+  },
+  // Customer requests to keep rented items longer
+  extensions: [{
+    items: [{
+      itemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+      },
+      productName: {
+        type: String,
+        trim: true
+      },
+      previousEndDate: {
+        type: Date,
+        required: true
+      },
+      newEndDate: {
+        type: Date,
+        required: true
+      },
+      // Extra charge before GST
+      amount: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      taxRate: {
+        type: Number,
+        min: 0
+      },
+      tax: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      cgst: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      sgst: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      igst: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    }],
+    subtotal: {
+      type: Number,
+      min: 0
+    },
+    tax: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Amount charged, GST included
+    amount: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['Pending Payment', 'Completed', 'Failed'],
+      default: 'Pending Payment'
+    },
+    razorpayOrderId: {
+      type: String,
+      trim: true
+    },
+    paymentId: {
+      type: String,
+      trim: true
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    completedAt: {
+      type: Date
+    }
+  }],
   notes: {
     type: String,
     maxlength: [500, 'Notes cannot exceed 500 characters']
@@ -189,11 +647,23 @@ const orderSchema = new mongoose.Schema({
   timestamps: true // This adds createdAt and updatedAt automatically
 });
 
+// A Razorpay payment pays for one order only, so a replayed verification cannot place another
+orderSchema.index(
+  { 'payment.transactionId': 1 },
+  { unique: true, partialFilterExpression: { 'payment.transactionId': { $type: 'string' } } }
+);
+
 // Generate order number before saving
 orderSchema.pre('save', async function(next) {
   if (!this.orderNumber) {
-    const count = await mongoose.model('Order').countDocuments();
-    this.orderNumber = `ORD-${String(count + 1).padStart(6, '0')}`;
+    this.orderNumber = await nextNumber('order', {
+      existing: { model: mongoose.model('Order'), field: 'orderNumber' }
+    });
+  }
+
+  // Start the status history with the status the order was placed in
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, note: 'Order placed' });
   }
   next();
 });
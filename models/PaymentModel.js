@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { nextNumber } = require('../services/counter');
 
 const paymentSchema = new mongoose.Schema({
   paymentId: {
@@ -125,6 +126,11 @@ const paymentSchema = new mongoose.Schema({
       default: 0,
       min: [0, 'Discount cannot be negative']
     },
+    deposit: {
+      type: Number,
+      default: 0,
+      min: [0, 'Deposit cannot be negative']
+    },
     total: {
       type: Number,
       required: [true, 'Total amount is required'],
@@ -159,7 +165,8 @@ const paymentSchema = new mongoose.Schema({
       min: [0, 'Processing fee cannot be negative']
     }
   },
-  refundDetails: {
+  // Every refund made against this payment: deposit releases, cancellations and returns
+  refunds: [{
     refundId: {
       type: String,
       trim: true
@@ -180,6 +187,29 @@ const paymentSchema = new mongoose.Schema({
     refundedAt: {
       type: Date
     }
+  }],
+  // The single refund stored before payments kept a list of refunds. It is read
+  // into refunds on load; scripts/migrate-payment-refunds.js copies it for good.
+  refundDetails: {
+    refundId: {
+      type: String,
+      trim: true
+    },
+    refundAmount: {
+      type: Number,
+      min: [0, 'Refund amount cannot be negative']
+    },
+    refundReason: {
+      type: String,
+      trim: true
+    },
+    refundStatus: {
+      type: String,
+      enum: ['Pending', 'Processed', 'Failed']
+    },
+    refundedAt: {
+      type: Date
+    }
   },
   timestamps: {
     initiatedAt: {
@@ -207,12 +237,27 @@ const paymentSchema = new mongoose.Schema({
 // Generate payment ID before saving
 paymentSchema.pre('save', async function(next) {
   if (!this.paymentId) {
-    const count = await mongoose.model('Payment').countDocuments();
-    this.paymentId = `PAY-${String(count + 1).padStart(6, '0')}`;
+    this.paymentId = await nextNumber('payment', {
+      existing: { model: mongoose.model('Payment'), field: 'paymentId' }
+    });
   }
   next();
 });
 
+// Payments refunded before the refunds list existed still count their refund
+paymentSchema.post('init', function(doc) {
+  const legacy = doc.refundDetails;
+  if (doc.refunds.length === 0 && legacy && legacy.refundId) {
+    doc.refunds.push({
+      refundId: legacy.refundId,
+      refundAmount: legacy.refundAmount,
+      refundReason: legacy.refundReason,
+      refundStatus: legacy.refundStatus || 'Pending',
+      refundedAt: legacy.refundedAt
+    });
+  }
+});
+
 // Create the Payment model
 const Payment = mongoose.model('Payment', paymentSchema);
 
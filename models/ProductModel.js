@@ -38,6 +38,67 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative']
   },
+  // Duration tiers, e.g. [{ days: 3, price: 1500 }, { days: 7, price: 3000 }].
+  // Without tiers the price above is charged as a flat rental price.
+  rentalTiers: [{
+    days: {
+      type: Number,
+      required: [true, 'Tier duration is required'],
+      min: [1, 'Tier duration must be at least 1 day']
+    },
+    price: {
+      type: Number,
+      required: [true, 'Tier price is required'],
+      min: [0, 'Tier price cannot be negative']
+    }
+  }],
+  // Charged for each day beyond a tier's duration
+  extraDayPrice: {
+    type: Number,
+    min: [0, 'Extra day price cannot be negative'],
+    default: null
+  },
+  // Price to buy the item outright instead of renting it
+  buyoutPrice: {
+    type: Number,
+    min: [0, 'Buy-out price cannot be negative'],
+    default: null
+  },
+  retailValue: {
+    type: Number,
+    min: [0, 'Retail value cannot be negative'],
+    default: null
+  },
+  securityDeposit: {
+    type: Number,
+    min: [0, 'Security deposit cannot be negative'],
+    default: 0
+  },
+  // Cleaning days between rentals; falls back to the category, then the store default
+  turnaroundDays: {
+    type: Number,
+    min: [0, 'Turnaround days cannot be negative'],
+    default: null
+  },
+  // Daily late-return fee; falls back to the category rate when not set
+  lateFeePerDay: {
+    type: Number,
+    min: [0, 'Late fee cannot be negative'],
+    default: null
+  },
+  // Shipping weight in grams; falls back to the store default
+  weight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative'],
+    default: null
+  },
+  // HSN code printed on invoices when the product is sold; falls back to the store default
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4,8}$/, 'HSN code must be 4 to 8 digits'],
+    default: null
+  },
   sizes: {
     type: [String],
     required: [true, 'At least one size is required'],
@@ -72,6 +133,12 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Bumped inside booking transactions so two bookings of the product cannot interleave
+  bookingLock: {
+    type: Number,
+    default: 0,
+    select: false
+  },
   featured: {
     type: Boolean,
     default: false
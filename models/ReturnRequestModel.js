@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const returnsConfig = require('../config/returns');
+const { nextNumber } = require('../services/counter');
+
+// An order item the customer wants to send back
+const returnItemSchema = new mongoose.Schema({
+  // The order item (subdocument) being returned
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Order item reference is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product reference is required']
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Variant'
+  },
+  productName: {
+    type: String,
+    trim: true
+  },
+  size: {
+    type: String,
+    trim: true
+  },
+  color: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  // Amount paid per unit including GST, the most a refund can give back
+  unitAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  isRental: {
+    type: Boolean,
+    default: false
+  },
+  reasonCode: {
+    type: String,
+    required: [true, 'Return reason is required'],
+    enum: returnsConfig.reasonCodes
+  },
+  reasonNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason notes cannot exceed 500 characters']
+  }
+});
+
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order reference is required']
+  },
+  orderNumber: {
+    type: String,
+    trim: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer reference is required']
+  },
+  customerEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'At least one item must be returned'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  photos: [{
+    type: String,
+    trim: true
+  }],
+  status: {
+    type: String,
+    enum: ['Requested', 'Approved', 'Rejected', 'Pickup Scheduled', 'Received', 'Resolved', 'Cancelled'],
+    default: 'Requested'
+  },
+  statusHistory: [{
+    from: {
+      type: String
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  },
+  // Reverse pickup booked with a courier to collect the items
+  pickup: {
+    shipment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shipment'
+    },
+    carrier: {
+      type: String,
+      trim: true
+    },
+    awbNumber: {
+      type: String,
+      trim: true
+    },
+    scheduledFor: {
+      type: Date
+    }
+  },
+  receipt: {
+    receivedAt: {
+      type: Date
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Receipt notes cannot exceed 1000 characters']
+    }
+  },
+  resolution: {
+    type: {
+      type: String,
+      enum: ['Refund', 'Store Credit']
+    },
+    amount: {
+      type: Number,
+      min: [0, 'Resolution amount cannot be negative']
+    },
+    // Razorpay payment refunded; the refund is also listed in its PaymentModel refunds
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    paymentId: {
+      type: String,
+      trim: true
+    },
+    refundId: {
+      type: String,
+      trim: true
+    },
+    refundStatus: {
+      type: String,
+      enum: ['Pending', 'Processed', 'Failed']
+    },
+    storeCredit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StoreCredit'
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Resolution notes cannot exceed 500 characters']
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: {
+      type: Date
+    }
+  }
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ customer: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+// Generate the RMA number and record the first status before saving
+returnRequestSchema.pre('save', async function(next) {
+  if (!this.rmaNumber) {
+    this.rmaNumber = await nextNumber('returnRequest');
+  }
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, actor: this.customer, note: 'Return requested' });
+  }
+  next();
+});
+
+// Create the ReturnRequest model
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+module.exports = ReturnRequest;
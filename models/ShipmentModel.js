@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const SHIPMENT_STATUSES = [
+  'Created',
+  'Picked Up',
+  'In Transit',
+  'Out for Delivery',
+  'Delivery Failed',
+  'Delivered',
+  'RTO Initiated',
+  'RTO Delivered'
+];
+
+// A tracking update from the courier or entered by an admin
+const trackingEventSchema = new mongoose.Schema({
+  // Courier's own ID for the event, used to ignore repeated deliveries of a webhook
+  eventId: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: SHIPMENT_STATUSES
+  },
+  // Status code as sent by the courier
+  code: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['Courier', 'Admin'],
+    default: 'Courier'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: 'receivedAt', updatedAt: false }
+});
+
+const shipmentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order reference is required']
+  },
+  orderNumber: {
+    type: String,
+    trim: true
+  },
+  // Reverse shipments collect returned items from the customer
+  direction: {
+    type: String,
+    enum: ['Forward', 'Reverse'],
+    default: 'Forward'
+  },
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+  carrier: {
+    type: String,
+    required: [true, 'Carrier is required'],
+    trim: true
+  },
+  // Air waybill number the courier tracks the parcel by
+  awbNumber: {
+    type: String,
+    required: [true, 'AWB number is required'],
+    trim: true,
+    uppercase: true
+  },
+  labelUrl: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    default: 'Created'
+  },
+  events: [trackingEventSchema],
+  estimatedDelivery: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+shipmentSchema.index({ carrier: 1, awbNumber: 1 }, { unique: true });
+shipmentSchema.index({ order: 1 });
+shipmentSchema.index({ status: 1, updatedAt: -1 });
+
+// Create the Shipment model
+const Shipment = mongoose.model('Shipment', shipmentSchema);
+
+module.exports = Shipment;
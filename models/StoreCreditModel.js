@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// An entry in a customer's store credit ledger: credits are positive, spends negative
+const storeCreditSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required']
+  },
+  type: {
+    type: String,
+    enum: ['Credit', 'Debit'],
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: {
+    type: String,
+    trim: true
+  },
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+  // Credits can no longer be spent after this date
+  expiresAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+storeCreditSchema.index({ user: 1, createdAt: -1 });
+
+// Create the StoreCredit model
+const StoreCredit = mongoose.model('StoreCredit', storeCreditSchema);
+
+module.exports = StoreCredit;
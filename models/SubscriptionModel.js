@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubscriptionPlan',
+    required: [true, 'Plan reference is required']
+  },
+  razorpaySubscriptionId: {
+    type: String,
+    required: [true, 'Gateway subscription ID is required'],
+    unique: true,
+    trim: true
+  },
+  // Mirrors the Razorpay subscription lifecycle
+  status: {
+    type: String,
+    enum: ['Created', 'Authenticated', 'Active', 'Pending', 'Halted', 'Paused', 'Cancelled', 'Completed', 'Expired'],
+    default: 'Created'
+  },
+  // Quota copied from the plan when subscribing
+  itemsPerMonth: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  itemsUsed: {
+    type: Number,
+    min: [0, 'Items used cannot be negative'],
+    default: 0
+  },
+  currentPeriodStart: {
+    type: Date
+  },
+  currentPeriodEnd: {
+    type: Date
+  },
+  cancelAtPeriodEnd: {
+    type: Boolean,
+    default: false
+  },
+  cancelledAt: {
+    type: Date
+  },
+  // Items taken from the quota, per order
+  usage: [{
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    orderNumber: {
+      type: String
+    },
+    quantity: {
+      type: Number,
+      min: 1
+    },
+    periodStart: {
+      type: Date
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Monthly charges collected by the gateway
+  payments: [{
+    paymentId: {
+      type: String
+    },
+    amount: {
+      type: Number
+    },
+    paidAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+// Items left in the current billing month
+subscriptionSchema.virtual('itemsRemaining').get(function() {
+  return Math.max(0, this.itemsPerMonth - this.itemsUsed);
+});
+
+subscriptionSchema.set('toJSON', { virtuals: true });
+
+subscriptionSchema.index({ user: 1, status: 1 });
+
+// Create the Subscription model
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+
+module.exports = Subscription;
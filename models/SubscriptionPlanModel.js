@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const subscriptionPlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true,
+    maxlength: [100, 'Plan name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  // Monthly price in rupees
+  price: {
+    type: Number,
+    required: [true, 'Plan price is required'],
+    min: [1, 'Plan price must be at least 1']
+  },
+  // Items a member can rent each billing month at no extra charge
+  itemsPerMonth: {
+    type: Number,
+    required: [true, 'Items per month is required'],
+    min: [1, 'Items per month must be at least 1']
+  },
+  // Longest rental a covered item may have; longer rentals are charged normally
+  maxRentalDays: {
+    type: Number,
+    min: [1, 'Max rental days must be at least 1'],
+    default: null
+  },
+  // Plan created on the payment gateway, which bills the members
+  razorpayPlanId: {
+    type: String,
+    required: [true, 'Gateway plan ID is required'],
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+// Create the SubscriptionPlan model
+const SubscriptionPlan = mongoose.model('SubscriptionPlan', subscriptionPlanSchema);
+
+module.exports = SubscriptionPlan;
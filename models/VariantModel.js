@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const variantSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product reference is required']
+  },
+  size: {
+    type: String,
+    required: [true, 'Size is required'],
+    trim: true
+  },
+  color: {
+    type: String,
+    required: [true, 'Color is required'],
+    trim: true
+  },
+  sku: {
+    type: String,
+    required: [true, 'SKU is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  barcode: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
+  stock: {
+    type: Number,
+    required: [true, 'Stock is required'],
+    min: [0, 'Stock cannot be negative'],
+    default: 0
+  },
+  // Overrides the product price for this size/color when set
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative'],
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+// One variant per size/color combination of a product
+variantSchema.index({ product: 1, size: 1, color: 1 }, { unique: true });
+variantSchema.index({ size: 1, color: 1, stock: 1 });
+
+// Keep the product's aggregate stock equal to the sum of its variants.
+// Pass a session to run inside an order's stock transaction.
+variantSchema.statics.syncProductStock = async function(productId, session = null) {
+  const [result] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), isActive: true } },
+    { $group: { _id: null, stock: { $sum: '$stock' } } }
+  ]).session(session);
+
+  return mongoose.model('Product').findByIdAndUpdate(
+    productId,
+    { stock: result ? result.stock : 0 },
+    { new: true, session }
+  );
+};
+
+// Create the Variant model
+const Variant = mongoose.model('Variant', variantSchema);
+
+module.exports = Variant;
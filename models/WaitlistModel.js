@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const waitlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product reference is required']
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Variant'
+  },
+  size: {
+    type: String,
+    trim: true
+  },
+  color: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    min: [1, 'Quantity must be at least 1'],
+    default: 1
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(endDate) {
+        return !this.startDate || endDate >= this.startDate;
+      },
+      message: 'End date cannot be before start date'
+    }
+  },
+  // Waiting until units free up, then Notified with a claim window
+  status: {
+    type: String,
+    enum: ['Waiting', 'Notified', 'Claimed', 'Expired', 'Cancelled'],
+    default: 'Waiting'
+  },
+  notifiedAt: {
+    type: Date
+  },
+  claimExpiresAt: {
+    type: Date
+  },
+  claimedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true // This adds createdAt and updatedAt automatically
+});
+
+// First come, first served per product
+waitlistSchema.index({ product: 1, status: 1, createdAt: 1 });
+waitlistSchema.index({ user: 1, status: 1 });
+
+// Create the Waitlist model
+const Waitlist = mongoose.model('Waitlist', waitlistSchema);
+
+module.exports = Waitlist;
@@ -0,0 +1,69 @@
+// Fake courier for local testing: signs tracking events the way a courier
+// would and posts them to the shipment webhook.
+// Usage: node scripts/fake-courier.js <awb> [status ...]
+// e.g.   node scripts/fake-courier.js AWB123 PICKED_UP IN_TRANSIT OUT_FOR_DELIVERY DELIVERED
+const crypto = require('crypto');
+const axios = require('axios');
+require('dotenv').config();
+
+const API_URL = process.env.API_URL || 'http://localhost:5000';
+const SECRET = process.env.COURIER_WEBHOOK_SECRET;
+const CARRIER = process.env.FAKE_COURIER_CARRIER;
+
+const descriptions = {
+  PICKED_UP: 'Shipment picked up from seller',
+  IN_TRANSIT: 'Shipment in transit',
+  OUT_FOR_DELIVERY: 'Out for delivery',
+  DELIVERY_FAILED: 'Customer not available',
+  DELIVERED: 'Delivered to consignee',
+  RTO_INITIATED: 'Return to origin initiated',
+  RTO_DELIVERED: 'Returned to seller'
+};
+
+async function sendEvents() {
+  const [awb, ...statuses] = process.argv.slice(2);
+
+  if (!awb) {
+    console.error('Usage: node scripts/fake-courier.js <awb> [status ...]');
+    console.error('Statuses:', Object.keys(descriptions).join(', '));
+    process.exit(1);
+  }
+  if (!SECRET) {
+    console.error('❌ COURIER_WEBHOOK_SECRET is not set');
+    process.exit(1);
+  }
+
+  // One minute apart, ending now
+  const codes = statuses.length > 0 ? statuses : ['PICKED_UP'];
+  const events = codes.map((status, index) => ({
+    id: `${awb}-${status}-${crypto.randomBytes(4).toString('hex')}`,
+    status,
+    description: descriptions[status] || status,
+    location: 'Ahmedabad Hub',
+    occurred_at: new Date(Date.now() - (codes.length - 1 - index) * 60000).toISOString()
+  }));
+
+  const body = JSON.stringify({ carrier: CARRIER, awb, events });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+
+  try {
+    console.log(`🚚 Sending ${codes.join(', ')} for ${awb}...`);
+    const response = await axios.post(`${API_URL}/api/shipments/webhook`, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Courier-Timestamp': timestamp,
+        'X-Courier-Signature': signature
+      }
+    });
+    console.log('✅ Webhook response:', response.data);
+  } catch (error) {
+    console.error('❌ Webhook failed:', error.message);
+    if (error.response) {
+      console.error('Response status:', error.response.status);
+      console.error('Response data:', error.response.data);
+    }
+  }
+}
+
+sendEvents();
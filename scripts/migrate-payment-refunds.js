@@ -0,0 +1,38 @@
+// One-off migration: copy the single refund stored in refundDetails into the
+// refunds list of payments that do not have one yet.
+// Usage: node scripts/migrate-payment-refunds.js
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Payment = require('../models/PaymentModel');
+
+const migrate = async () => {
+  await connectDB();
+
+  const result = await Payment.collection.updateMany(
+    {
+      'refundDetails.refundId': { $exists: true, $ne: null },
+      $or: [{ refunds: { $exists: false } }, { refunds: { $size: 0 } }]
+    },
+    [{
+      $set: {
+        refunds: [{
+          _id: new mongoose.Types.ObjectId(),
+          refundId: '$refundDetails.refundId',
+          refundAmount: '$refundDetails.refundAmount',
+          refundReason: '$refundDetails.refundReason',
+          refundStatus: { $ifNull: ['$refundDetails.refundStatus', 'Pending'] },
+          refundedAt: '$refundDetails.refundedAt'
+        }]
+      }
+    }]
+  );
+
+  console.log(`Copied refundDetails into refunds on ${result.modifiedCount} payment(s)`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -17,7 +17,22 @@ const faqRoutes = require('./apis/faq');
 const userRoutes = require('./apis/user');
 const { router: authRoutes } = require('./apis/auth');
 const uploadRoutes = require('./apis/upload');
+const depositRoutes = require('./apis/deposit');
+const inspectionRoutes = require('./apis/inspection');
+const waitlistRoutes = require('./apis/waitlist');
+const unitRoutes = require('./apis/unit');
+const logisticsRoutes = require('./apis/logistics');
+const subscriptionRoutes = require('./apis/subscription');
+const invoiceRoutes = require('./apis/invoice');
+const couponRoutes = require('./apis/coupon');
+const shippingRoutes = require('./apis/shipping');
+const shipmentRoutes = require('./apis/shipment');
+const returnRoutes = require('./apis/returns');
+const jobRoutes = require('./apis/jobs');
 const connectDB = require('./config/database');
+const jobsConfig = require('./config/jobs');
+const { startLateFeeJob } = require('./jobs/lateFees');
+const { startWaitlistJob } = require('./jobs/waitlist');
 
 // Connect to MongoDB
 connectDB();
@@ -54,7 +69,12 @@ app.use(cors({
   },
   credentials: true
 }));
-app.use(bodyParser.json());
+// Keep the raw body so webhook signatures can be checked
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Handle preflight requests explicitly
@@ -107,6 +127,18 @@ app.use('/api/faqs', faqRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/deposits', depositRoutes);
+app.use('/api/inspections', inspectionRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/units', unitRoutes);
+app.use('/api/logistics', logisticsRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/shipments', shipmentRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Debug: Log all routes
 console.log('📋 Registered API Routes:');
@@ -124,6 +156,18 @@ console.log('  - /api/faqs');
 console.log('  - /api/user');
 console.log('  - /api/auth');
 console.log('  - /api/upload');
+console.log('  - /api/deposits');
+console.log('  - /api/inspections');
+console.log('  - /api/waitlist');
+console.log('  - /api/units');
+console.log('  - /api/logistics');
+console.log('  - /api/subscriptions');
+console.log('  - /api/invoices');
+console.log('  - /api/coupons');
+console.log('  - /api/shipping');
+console.log('  - /api/shipments');
+console.log('  - /api/returns');
+console.log('  - /api/jobs');
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -170,6 +214,12 @@ app.listen(PORT, () => {
   console.log(`🚀 Server is running on port ${PORT}`);
   console.log(`📡 API endpoints available at http://localhost:${PORT}/api`);
   console.log(`🏥 Health check: http://localhost:${PORT}/api/health`);
+
+  // Start background jobs. On Vercel, Vercel Cron calls /api/jobs instead.
+  if (jobsConfig.runInProcess) {
+    startLateFeeJob();
+    startWaitlistJob();
+  }
 });
 
 module.exports = app;
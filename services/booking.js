@@ -0,0 +1,465 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/BookingModel');
+const Product = require('../models/ProductModel');
+const Variant = require('../models/VariantModel');
+const Category = require('../models/CategoryModel');
+const rentalConfig = require('../config/rental');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range a single availability request or rental may cover
+const MAX_RANGE_DAYS = 366;
+
+// Booking statuses that still occupy a unit. Completed rentals keep
+// blocking their turnaround days after the actual return date, and
+// checkout holds block until they expire.
+const ACTIVE_BOOKING_STATUSES = ['Hold', 'Confirmed', 'Completed'];
+
+// Normalize a date input to midnight UTC so bookings compare by calendar day
+const toDay = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// Number of calendar days in an inclusive range
+const countDays = (startDate, endDate) => Math.round((endDate - startDate) / DAY_MS) + 1;
+
+// Parse and validate a rental period, returning { startDate, endDate } or { error }
+const parseRentalPeriod = (start, end) => {
+  const startDate = toDay(start);
+  const endDate = toDay(end);
+
+  if (!startDate || !endDate) {
+    return { error: 'Valid start and end dates are required' };
+  }
+  if (endDate < startDate) {
+    return { error: 'End date cannot be before start date' };
+  }
+  if (countDays(startDate, endDate) > MAX_RANGE_DAYS) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { startDate, endDate };
+};
+
+// Cleaning days to keep free after a rental of this product:
+// the product setting, then its category, then the store default
+const getTurnaroundDays = async (product) => {
+  if (product.turnaroundDays !== null && product.turnaroundDays !== undefined) {
+    return product.turnaroundDays;
+  }
+
+  const categoryId = product.category?._id || product.category;
+  const category = categoryId ? await Category.findById(categoryId).select('turnaroundDays') : null;
+  if (category && category.turnaroundDays !== null && category.turnaroundDays !== undefined) {
+    return category.turnaroundDays;
+  }
+
+  return rentalConfig.turnaroundDays;
+};
+
+// Active bookings for a product whose blocked period (including turnaround) overlaps the given range.
+// Pass excludeHoldsFor to ignore the checkout holds of one Razorpay order,
+// and excludeOrder to ignore an order's own bookings (when extending it).
+const findOverlappingBookings = (productId, startDate, endDate, filter = {}, { excludeHoldsFor, excludeOrder } = {}) => {
+  const holdFilter = { status: 'Hold', expiresAt: { $gt: new Date() } };
+  if (excludeHoldsFor) {
+    holdFilter.razorpayOrderId = { $ne: excludeHoldsFor };
+  }
+
+  const query = { ...filter };
+  if (excludeOrder) {
+    query.order = { $ne: excludeOrder };
+  }
+
+  return Booking.find({
+    ...query,
+    product: productId,
+    status: { $in: ACTIVE_BOOKING_STATUSES },
+    startDate: { $lte: endDate },
+    $and: [
+      {
+        $or: [
+          { blockedUntil: { $gte: startDate } },
+          // Bookings created before turnaround buffers existed
+          { blockedUntil: null, endDate: { $gte: startDate } }
+        ]
+      },
+      {
+        // Expired holds stop counting even before the TTL index removes them
+        $or: [
+          { status: { $ne: 'Hold' } },
+          holdFilter
+        ]
+      }
+    ]
+  });
+};
+
+// Work out how many units can be booked and which bookings count against them:
+// a single variant, every variant of a size, or the product as a whole
+const getCapacity = async (product, { size, variantId } = {}) => {
+  if (variantId) {
+    const variant = await Variant.findById(variantId);
+    return { totalUnits: variant ? variant.stock : 0, filter: { variant: variantId } };
+  }
+
+  if (size) {
+    const variants = await Variant.find({ product: product._id, size, isActive: true });
+    if (variants.length > 0) {
+      const totalUnits = variants.reduce((sum, variant) => sum + variant.stock, 0);
+      return { totalUnits, filter: { size } };
+    }
+  }
+
+  return { totalUnits: product.stock || 0, filter: {} };
+};
+
+// Build a day-by-day availability calendar for a product, optionally
+// narrowed down to one size or variant
+const getAvailabilityCalendar = async (product, startDate, endDate, options = {}) => {
+  const { totalUnits, filter } = await getCapacity(product, options);
+  const bookings = await findOverlappingBookings(product._id, startDate, endDate, filter, options);
+  const calendar = [];
+
+  for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+    let booked = 0;
+    let held = 0;
+    let turnaround = 0;
+    let maintenance = 0;
+
+    bookings.forEach(booking => {
+      const blockedUntil = booking.blockedUntil || booking.endDate;
+      if (booking.startDate > day || blockedUntil < day) return;
+
+      if (booking.type === 'Cleaning' || booking.type === 'Maintenance') {
+        maintenance += booking.quantity;
+      } else if (booking.endDate >= day && booking.status === 'Hold') {
+        held += booking.quantity;
+      } else if (booking.endDate >= day) {
+        booked += booking.quantity;
+      } else {
+        turnaround += booking.quantity;
+      }
+    });
+
+    const available = Math.max(0, totalUnits - booked - held - turnaround - maintenance);
+
+    calendar.push({
+      date: formatDay(day),
+      totalUnits,
+      booked,
+      held,
+      turnaround,
+      maintenance,
+      available,
+      isAvailable: available > 0
+    });
+  }
+
+  return calendar;
+};
+
+// Check a list of order items against existing bookings.
+// Items without rental dates are not rentals and are skipped.
+// Pass excludeHoldsFor so a checkout's own holds do not count against it,
+// itemHoldExclusions (a Map of item to hold key) to ignore a hold for one item only,
+// and excludeOrder so an order being extended does not clash with itself.
+// Returns an array of conflicts; an empty array means every item can be booked.
+const findUnavailableItems = async (items, { excludeHoldsFor, itemHoldExclusions, excludeOrder } = {}) => {
+  const conflicts = [];
+  // Units already claimed by earlier lines of the same request, keyed by variant (or product) and day
+  const claimed = {};
+
+  for (const item of items) {
+    if (!item.rentalStartDate && !item.rentalEndDate) continue;
+
+    const { startDate, endDate, error } = parseRentalPeriod(item.rentalStartDate, item.rentalEndDate);
+    if (error) {
+      conflicts.push({ productId: item.productId, productName: item.productName, message: error });
+      continue;
+    }
+
+    const product = await Product.findById(item.productId);
+    if (!product || !product.isActive) {
+      conflicts.push({ productId: item.productId, productName: item.productName, message: 'Product not found or inactive' });
+      continue;
+    }
+
+    if (!item.variantId && item.size && !product.sizes.includes(item.size)) {
+      conflicts.push({
+        productId: item.productId,
+        productName: product.productName,
+        message: `Size ${item.size} is not offered for this product`
+      });
+      continue;
+    }
+
+    // The unit also has to be free for its cleaning days after the rental
+    const turnaroundDays = await getTurnaroundDays(product);
+    const quantity = item.quantity || 1;
+    const unitKey = item.variantId || product._id;
+    const calendar = await getAvailabilityCalendar(product, startDate, addDays(endDate, turnaroundDays), {
+      variantId: item.variantId,
+      excludeHoldsFor: (itemHoldExclusions && itemHoldExclusions.get(item)) || excludeHoldsFor,
+      excludeOrder
+    });
+    const unavailableDates = calendar
+      .filter(day => day.available - (claimed[`${unitKey}|${day.date}`] || 0) < quantity)
+      .map(day => day.date);
+
+    if (unavailableDates.length > 0) {
+      conflicts.push({
+        productId: item.productId,
+        productName: product.productName,
+        startDate: formatDay(startDate),
+        endDate: formatDay(endDate),
+        message: 'Not enough units available for the selected dates',
+        unavailableDates
+      });
+      continue;
+    }
+
+    calendar.forEach(day => {
+      const key = `${unitKey}|${day.date}`;
+      claimed[key] = (claimed[key] || 0) + quantity;
+    });
+  }
+
+  return conflicts;
+};
+
+// Check availability and write bookings as one serialized step per product. The
+// work runs in a transaction that first bumps the lock counter of every product
+// involved; a second booking of the same products conflicts on that update and is
+// retried by withTransaction once the first commits, so its check sees the first
+// one's bookings. Pass a session to join a transaction that is already running.
+const withBookingLock = async (productIds, work, session = null) => {
+  const lockAndWork = async (activeSession) => {
+    const ids = [...new Set(productIds.map(String))];
+    if (ids.length > 0) {
+      await Product.updateMany(
+        { _id: { $in: ids } },
+        { $inc: { bookingLock: 1 } },
+        { session: activeSession, timestamps: false }
+      );
+    }
+    return work(activeSession);
+  };
+
+  if (session) return lockAndWork(session);
+
+  const ownSession = await mongoose.startSession();
+  try {
+    let result;
+    await ownSession.withTransaction(async () => {
+      result = await lockAndWork(ownSession);
+    });
+    return result;
+  } finally {
+    await ownSession.endSession();
+  }
+};
+
+// Build booking documents for every rental item in a list
+const buildBookings = async (items, fields) => {
+  const bookings = [];
+
+  for (const item of items) {
+    if (!item.rentalStartDate || !item.rentalEndDate) continue;
+
+    const product = await Product.findById(item.productId).select('turnaroundDays category');
+    bookings.push({
+      ...fields,
+      orderItemId: item._id,
+      product: item.productId,
+      variant: item.variantId,
+      size: item.size,
+      quantity: item.quantity || 1,
+      startDate: toDay(item.rentalStartDate),
+      endDate: toDay(item.rentalEndDate),
+      bufferDays: product ? await getTurnaroundDays(product) : rentalConfig.turnaroundDays
+    });
+  }
+
+  return bookings;
+};
+
+// Check the rental items of an order are still free and create its confirmed
+// bookings in one locked step. Pass razorpayOrderId to book over (and drop) the
+// checkout holds of a paid checkout, and session to book inside the order's transaction.
+// Returns { bookings } or { unavailableItems }.
+const createBookingsForOrder = async (order, { razorpayOrderId, session } = {}) => {
+  const bookings = await buildBookings(order.items, { order: order._id, status: 'Confirmed' });
+
+  return withBookingLock(bookings.map(booking => booking.product), async (activeSession) => {
+    if (bookings.length > 0) {
+      const unavailableItems = await findUnavailableItems(order.items, { excludeHoldsFor: razorpayOrderId });
+      if (unavailableItems.length > 0) return { unavailableItems };
+    }
+
+    if (razorpayOrderId) {
+      await Booking.deleteMany({ razorpayOrderId, status: 'Hold' }, { session: activeSession });
+    }
+    if (bookings.length === 0) return { bookings: [] };
+    return { bookings: await Booking.insertMany(bookings, { session: activeSession }) };
+  }, session);
+};
+
+// Check rental items are free and place time-limited checkout holds on them for a
+// Razorpay order in one locked step. Other options are passed to findUnavailableItems.
+// Returns { expiresAt } (null when nothing needed holding) or { unavailableItems }.
+const createHolds = async (items, razorpayOrderId, { minutes = rentalConfig.holdMinutes, heldBy, ...checkOptions } = {}) => {
+  const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+  const holds = await buildBookings(items, { status: 'Hold', razorpayOrderId, expiresAt, heldBy });
+
+  if (holds.length === 0) return { expiresAt: null };
+  return withBookingLock(holds.map(hold => hold.product), async (session) => {
+    const unavailableItems = await findUnavailableItems(items, checkOptions);
+    if (unavailableItems.length > 0) return { unavailableItems };
+
+    await Booking.insertMany(holds, { session });
+    return { expiresAt };
+  });
+};
+
+// Drop the checkout holds of a Razorpay order
+const releaseHolds = (razorpayOrderId) => {
+  return Booking.deleteMany({ razorpayOrderId, status: 'Hold' });
+};
+
+// Move the end date of an order line's booking after an extension
+const extendBookingForItem = async (orderId, item, newEndDate) => {
+  const booking = await Booking.findOne({
+    order: orderId,
+    status: 'Confirmed',
+    $or: [
+      { orderItemId: item._id },
+      // Bookings made before order lines were linked
+      { orderItemId: null, product: item.productId }
+    ]
+  });
+  if (!booking) return null;
+
+  booking.endDate = toDay(newEndDate);
+  return booking.save();
+};
+
+// Block units for cleaning or maintenance over a date range, checked and booked in one locked step.
+// Returns { booking } or { error, unavailableDates } when the units are not free.
+const createMaintenanceBlock = async (product, { type, startDate, endDate, quantity = 1, variantId, notes, createdBy }) => {
+  return withBookingLock([product._id], async (session) => {
+    const calendar = await getAvailabilityCalendar(product, startDate, endDate, { variantId });
+    const unavailableDates = calendar
+      .filter(day => day.available < quantity)
+      .map(day => day.date);
+
+    if (unavailableDates.length > 0) {
+      return { error: 'Not enough free units for the selected dates', unavailableDates };
+    }
+
+    const [booking] = await Booking.create([{
+      product: product._id,
+      variant: variantId,
+      quantity,
+      startDate,
+      endDate,
+      type,
+      notes,
+      createdBy,
+      status: 'Confirmed'
+    }], { session });
+
+    return { booking };
+  });
+};
+
+// Cancel an order's bookings so their dates become free again
+const releaseBookingsForOrder = (orderId) => {
+  return Booking.updateMany(
+    { order: orderId, status: 'Confirmed' },
+    { status: 'Cancelled' }
+  );
+};
+
+// Close an order's bookings on return. The booking is cut (or stretched) to the
+// actual return date so the turnaround buffer starts from when the item came back.
+const completeBookingsForOrder = async (orderId, returnedAt = new Date()) => {
+  const returnDay = toDay(returnedAt);
+  const bookings = await Booking.find({ order: orderId, status: 'Confirmed' });
+
+  for (const booking of bookings) {
+    booking.endDate = returnDay < booking.startDate ? booking.startDate : returnDay;
+    booking.status = 'Completed';
+    await booking.save();
+  }
+
+  return bookings;
+};
+
+// Close the booking of an order line for the units that came back early in a
+// partial return. The rest of the line stays booked until it is returned too.
+const completeBookingForItem = async (orderId, item, quantity, returnedAt = new Date()) => {
+  const booking = await Booking.findOne({
+    order: orderId,
+    status: 'Confirmed',
+    $or: [
+      { orderItemId: item._id },
+      // Bookings made before order lines were linked
+      { orderItemId: null, product: item.productId }
+    ]
+  });
+  if (!booking) return null;
+
+  const returnDay = toDay(returnedAt);
+  const endDate = returnDay < booking.startDate ? booking.startDate : returnDay;
+
+  if (quantity >= booking.quantity) {
+    booking.endDate = endDate;
+    booking.status = 'Completed';
+    return booking.save();
+  }
+
+  booking.quantity -= quantity;
+  await booking.save();
+
+  return Booking.create({
+    order: booking.order,
+    orderItemId: booking.orderItemId,
+    product: booking.product,
+    variant: booking.variant,
+    size: booking.size,
+    quantity,
+    startDate: booking.startDate,
+    endDate,
+    bufferDays: booking.bufferDays,
+    status: 'Completed'
+  });
+};
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  toDay,
+  addDays,
+  formatDay,
+  countDays,
+  parseRentalPeriod,
+  getTurnaroundDays,
+  findOverlappingBookings,
+  getAvailabilityCalendar,
+  findUnavailableItems,
+  createBookingsForOrder,
+  createHolds,
+  releaseHolds,
+  extendBookingForItem,
+  createMaintenanceBlock,
+  releaseBookingsForOrder,
+  completeBookingsForOrder,
+  completeBookingForItem
+};
@@ -0,0 +1,249 @@
+const Deposit = require('../models/DepositModel');
+const Payment = require('../models/PaymentModel');
+const StoreCredit = require('../models/StoreCreditModel');
+const cancellationConfig = require('../config/cancellation');
+const { toDay, countDays } = require('./booking');
+const { roundAmount } = require('./deposit');
+const { refundPayment, toRefundStatus, getRefundedAmount } = require('./razorpay');
+const { transitionOrder } = require('./orderStatus');
+const { createCreditNoteForRefund } = require('./creditNote');
+const { issueStoreCredit } = require('./storeCredit');
+
+// Earliest rental start date of an order, or null for purchase-only orders
+const getRentalStart = (order) => {
+  const starts = order.items
+    .filter(item => item.rentalStartDate)
+    .map(item => toDay(item.rentalStartDate).getTime());
+  return starts.length > 0 ? new Date(Math.min(...starts)) : null;
+};
+
+// Payment records that still hold money for the order
+const PAID_PAYMENT_STATUSES = ['Completed', 'Partially Refunded'];
+
+// What was actually collected for an order, taken from its payment records and
+// store credit debit rather than from order fields: the order payment (charges
+// without extensions, plus the deposit), each paid extension and the store credit
+// spent. Payments taken outside Razorpay are settled by hand, so for those only
+// the order says they were paid; their refunds are recorded as pending.
+const getCollectedAmounts = async (order) => {
+  const orderPayment = order.payment.transactionId
+    ? await Payment.findOne({
+      paymentId: order.payment.transactionId,
+      orderId: order._id,
+      status: { $in: PAID_PAYMENT_STATUSES }
+    })
+    : null;
+
+  const extensionPaymentIds = order.extensions
+    .filter(extension => extension.status === 'Completed' && extension.paymentId)
+    .map(extension => extension.paymentId);
+  const extensionPayments = extensionPaymentIds.length > 0
+    ? await Payment.find({ paymentId: { $in: extensionPaymentIds }, orderId: order._id, status: { $in: PAID_PAYMENT_STATUSES } })
+    : [];
+
+  const storeCreditDebit = await StoreCredit.findOne({ order: order._id, type: 'Debit' });
+  const storeCredit = storeCreditDebit ? roundAmount(-storeCreditDebit.amount) : 0;
+
+  const isManualPayment = !orderPayment && order.payment.method !== 'Razorpay' && order.payment.status === 'Paid';
+  let paymentTotal = 0;
+  if (orderPayment) {
+    paymentTotal = orderPayment.amount.total;
+  } else if (isManualPayment) {
+    const extensionCharges = order.extensions
+      .filter(extension => extension.status === 'Completed')
+      .reduce((sum, extension) => sum + extension.amount, 0);
+    paymentTotal = Math.max(0, roundAmount(order.pricing.total + (order.pricing.deposit || 0) - extensionCharges - storeCredit));
+  }
+
+  const orderTotal = roundAmount(paymentTotal + storeCredit);
+  const deposit = Math.min(orderTotal, orderPayment ? orderPayment.amount.deposit || 0 : order.pricing.deposit || 0);
+
+  return {
+    orderPayment,
+    isManualPayment,
+    extensionPayments,
+    storeCreditDebit,
+    storeCredit,
+    orderTotal,
+    deposit,
+    orderCharges: roundAmount(orderTotal - deposit),
+    extensionTotal: roundAmount(extensionPayments.reduce((sum, payment) => sum + payment.amount.total, 0))
+  };
+};
+
+// Work out what a customer gets back for cancelling an order now under the
+// cancellation policy. Rentals are refunded in full up to fullRefundDays before
+// they start and partially after that; purchases in full until dispatch.
+// Returns { refundPercent, refundAmount, depositRefund, policy } or { error }.
+const getCancellationTerms = (order, collected, now = new Date()) => {
+  if (!cancellationConfig.cancellableStatuses.includes(order.status)) {
+    return {
+      error: ['Shipped', 'Delivered'].includes(order.status)
+        ? 'Orders that have shipped cannot be cancelled; please request a return instead'
+        : `Orders with status ${order.status} cannot be cancelled`
+    };
+  }
+
+  let refundPercent = 100;
+  let policy = 'Full refund';
+  const rentalStart = getRentalStart(order);
+  if (rentalStart) {
+    const daysBeforeStart = countDays(toDay(now), rentalStart) - 1;
+    if (daysBeforeStart < cancellationConfig.fullRefundDays) {
+      refundPercent = cancellationConfig.partialRefundPercent;
+      policy = `Partial refund for cancelling less than ${cancellationConfig.fullRefundDays} day(s) before the rental starts`;
+    }
+  }
+
+  // Nothing was collected for unpaid orders
+  if (collected.orderTotal <= 0 && collected.extensionTotal <= 0) {
+    return { refundPercent, refundAmount: 0, depositRefund: 0, policy: 'No payment to refund' };
+  }
+
+  return {
+    refundPercent,
+    refundAmount: roundAmount((collected.orderCharges + collected.extensionTotal) * refundPercent / 100),
+    depositRefund: roundAmount(collected.deposit),
+    policy
+  };
+};
+
+// Refund one payment record of a cancelled order, never more than it captured less
+// what was already refunded from it. Failures are recorded rather than thrown so the
+// cancellation itself stands and the refund can be retried by support.
+const refundCancelledPayment = async (order, payment, amount) => {
+  const paymentId = payment.paymentId;
+  amount = Math.min(amount, roundAmount(payment.amount.total - getRefundedAmount(payment)));
+  if (amount <= 0) return null;
+
+  try {
+    const refund = await refundPayment(paymentId, amount, {
+      reason: 'Order cancelled',
+      orderNumber: order.orderNumber
+    });
+    return {
+      paymentId,
+      refundId: refund.id,
+      amount: refund.amount / 100,
+      status: toRefundStatus(refund.status),
+      refundedAt: new Date()
+    };
+  } catch (error) {
+    console.error(`Refund of ${paymentId} for cancelled order ${order.orderNumber} failed:`, error);
+    return { paymentId, amount, status: 'Failed', error: error.message || String(error) };
+  }
+};
+
+// Cancel an order for its customer: check the policy, cancel it (which frees its
+// dates, units and slots and restocks purchased items) and refund the order payment,
+// any paid extensions, the held deposit and the store credit spent on it.
+// Returns { order, terms } or { error }.
+const cancelOrderForCustomer = async (order, { actor, reason } = {}) => {
+  const collected = await getCollectedAmounts(order);
+  const terms = getCancellationTerms(order, collected);
+  if (terms.error) return terms;
+
+  const result = await transitionOrder(order, 'Cancelled', {
+    actor,
+    note: reason ? `Cancelled by customer: ${reason}` : 'Cancelled by customer'
+  });
+  if (result.error) return result;
+
+  const refunds = [];
+  const chargesRefund = roundAmount(collected.orderCharges * terms.refundPercent / 100);
+  const orderRefund = roundAmount(chargesRefund + terms.depositRefund);
+
+  // Store credit spent on the order goes back to whoever spent it, in the same
+  // share of the refund as it paid of the order
+  const creditRefund = collected.storeCredit > 0
+    ? roundAmount(Math.min(collected.storeCredit, orderRefund * collected.storeCredit / collected.orderTotal))
+    : 0;
+  if (creditRefund > 0) {
+    const credit = await issueStoreCredit({
+      user: collected.storeCreditDebit.user,
+      amount: creditRefund,
+      reason: `Order ${order.orderNumber} cancelled`,
+      order,
+      createdBy: actor
+    });
+    refunds.push({ amount: creditRefund, status: 'Processed', storeCredit: credit._id, refundedAt: new Date() });
+  }
+
+  // The rest goes back to the order payment; manual payments are refunded by hand
+  const paymentRefund = roundAmount(orderRefund - creditRefund);
+  let orderPaymentRefund = null;
+  if (paymentRefund > 0 && collected.orderPayment) {
+    orderPaymentRefund = await refundCancelledPayment(order, collected.orderPayment, paymentRefund);
+  } else if (paymentRefund > 0 && collected.isManualPayment) {
+    orderPaymentRefund = { paymentId: order.payment.transactionId, amount: paymentRefund, status: 'Pending' };
+  }
+  if (orderPaymentRefund) refunds.push(orderPaymentRefund);
+
+  // Each paid extension is refunded from its own payment
+  for (const payment of collected.extensionPayments) {
+    const extensionRefund = roundAmount(payment.amount.total * terms.refundPercent / 100);
+    if (extensionRefund > 0) {
+      const refund = await refundCancelledPayment(order, payment, extensionRefund);
+      if (refund) refunds.push(refund);
+    }
+  }
+
+  // The held deposit went back with the order payment refund
+  const orderPaymentRefunded = orderPaymentRefund && orderPaymentRefund.status !== 'Failed';
+  const deposit = await Deposit.findOne({ order: order._id, status: 'Held' });
+  if (deposit && orderPaymentRefunded) {
+    deposit.status = 'Released';
+    deposit.refund = {
+      refundId: orderPaymentRefund.refundId,
+      amount: deposit.amount,
+      status: orderPaymentRefund.status.toLowerCase(),
+      refundedAt: orderPaymentRefund.refundedAt
+    };
+    deposit.notes = 'Order cancelled';
+    deposit.settledBy = actor;
+    deposit.settledAt = new Date();
+    await deposit.save();
+  }
+
+  // Payment status follows what actually went back against everything collected
+  const refunded = refunds
+    .filter(refund => refund.status !== 'Failed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  if (refunded > 0) {
+    const total = collected.orderTotal + collected.extensionTotal;
+    order.payment.status = Math.round(refunded * 100) >= Math.round(total * 100) ? 'Refunded' : 'Partially Refunded';
+  }
+
+  // The refunded order charges (not the deposit or extensions) are credited against the invoice
+  const orderChargesRefunded = roundAmount((orderPaymentRefunded ? orderPaymentRefund.amount : 0) + creditRefund);
+  if (orderChargesRefunded > 0) {
+    try {
+      await createCreditNoteForRefund(order, {
+        amount: Math.min(chargesRefund, orderChargesRefunded),
+        reason: 'Order cancelled',
+        refundId: orderPaymentRefunded ? orderPaymentRefund.refundId : undefined,
+        actor
+      });
+    } catch (error) {
+      console.error(`Could not issue credit note for cancelled order ${order.orderNumber}:`, error);
+    }
+  }
+
+  order.cancellation = {
+    requestedBy: actor,
+    reason,
+    cancelledAt: new Date(),
+    refundPercent: terms.refundPercent,
+    refundAmount: terms.refundAmount,
+    depositRefund: terms.depositRefund,
+    refunds
+  };
+  await order.save();
+
+  return { order, terms };
+};
+
+module.exports = {
+  getCancellationTerms,
+  cancelOrderForCustomer
+};
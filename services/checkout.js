@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Order = require('../models/OrderModel');
+const { isPurchaseItem, reserveStockForOrder } = require('./inventory');
+const { redeemCoupon } = require('./coupon');
+const { redeemStoreCredit } = require('./storeCredit');
+const { createBookingsForOrder } = require('./booking');
+
+// Another order was already placed with the same payment
+const isDuplicatePayment = (error) => error.code === 11000 && Boolean(error.keyPattern?.['payment.transactionId']);
+
+// Create an order in one transaction with everything that has to happen with it:
+// rental dates are booked (over the checkout's holds when razorpayOrderId is given),
+// purchased items are taken out of stock, the coupon use is recorded and any
+// store credit spent is debited. Either all of it is saved or none of it is.
+// Returns { order }, { unavailableItems }, { shortages }, { couponError },
+// { storeCreditError } or { duplicatePayment }.
+const placeOrder = async (payload, { actor, razorpayOrderId } = {}) => {
+  const items = payload.items || [];
+  const hasCoupon = Boolean(payload.coupon && payload.coupon.coupon);
+  const hasStoreCredit = Boolean(payload.pricing && payload.pricing.storeCredit > 0);
+  const hasRentals = items.some(item => item.rentalStartDate && item.rentalEndDate);
+
+  // Orders without rentals, purchases, a coupon or store credit have nothing to reserve
+  if (!hasCoupon && !hasStoreCredit && !hasRentals && !items.some(isPurchaseItem)) {
+    try {
+      return { order: await Order.create(payload) };
+    } catch (error) {
+      if (isDuplicatePayment(error)) return { duplicatePayment: true };
+      throw error;
+    }
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let order;
+    await session.withTransaction(async () => {
+      [order] = await Order.create([payload], { session });
+
+      const { unavailableItems } = await createBookingsForOrder(order, { razorpayOrderId, session });
+      if (unavailableItems) {
+        const error = new Error('Some items are no longer available');
+        error.unavailableItems = unavailableItems;
+        throw error;
+      }
+
+      const shortages = await reserveStockForOrder(order, { session, actor });
+      if (shortages.length > 0) {
+        const error = new Error('Some items are out of stock');
+        error.shortages = shortages;
+        throw error;
+      }
+
+      if (hasCoupon) {
+        const { error: couponError } = await redeemCoupon(order, session);
+        if (couponError) {
+          const error = new Error(couponError);
+          error.couponError = couponError;
+          throw error;
+        }
+      }
+
+      if (hasStoreCredit) {
+        const { error: storeCreditError } = await redeemStoreCredit(order, session);
+        if (storeCreditError) {
+          const error = new Error(storeCreditError);
+          error.storeCreditError = storeCreditError;
+          throw error;
+        }
+      }
+    });
+
+    return { order };
+  } catch (error) {
+    if (error.unavailableItems) return { unavailableItems: error.unavailableItems };
+    if (error.shortages) return { shortages: error.shortages };
+    if (error.couponError) return { couponError: error.couponError };
+    if (error.storeCreditError) return { storeCreditError: error.storeCreditError };
+    if (isDuplicatePayment(error)) return { duplicatePayment: true };
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  placeOrder
+};
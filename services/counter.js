@@ -0,0 +1,84 @@
+const Counter = require('../models/CounterModel');
+const numberingConfig = require('../config/numbering');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Calendar year and financial year (April-March, e.g. 2026-27) a date falls in
+const getPeriod = (date = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: numberingConfig.timeZone,
+    year: 'numeric',
+    month: 'numeric'
+  }).formatToParts(date);
+  const year = parseInt(parts.find(part => part.type === 'year').value);
+  const month = parseInt(parts.find(part => part.type === 'month').value);
+
+  const startYear = month >= 4 ? year : year - 1;
+  return {
+    yyyy: String(year),
+    fy: `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`
+  };
+};
+
+// The number format of a sequence with its period filled in, e.g. "SH/2026-27/{seq}"
+const getNumberBase = (name, date) => {
+  const { format } = numberingConfig[name];
+  const period = getPeriod(date);
+  return format.replace(/\{fy\}/g, period.fy).replace(/\{yyyy\}/g, period.yyyy);
+};
+
+// Highest running number already used by documents of a model for a number base,
+// so a new counter carries on from numbers issued before counters existed.
+// Numbers are compared by value, since ORD-1000000 sorts before ORD-999999 as text.
+const findLastSequence = async (model, field, base) => {
+  const pattern = new RegExp(`^${escapeRegExp(base).replace('\\{seq\\}', '(\\d+)')}$`);
+  const [last] = await model.aggregate([
+    { $match: { [field]: pattern } },
+    {
+      $project: {
+        seq: {
+          $let: {
+            vars: { found: { $regexFind: { input: `$${field}`, regex: pattern } } },
+            in: { $toLong: { $arrayElemAt: ['$$found.captures', 0] } }
+          }
+        }
+      }
+    },
+    { $sort: { seq: -1 } },
+    { $limit: 1 }
+  ]);
+  return last ? Number(last.seq) : 0;
+};
+
+// Issue the next number of a sequence (order, payment, invoice, creditNote, returnRequest).
+// The increment is atomic, so concurrent callers never get the same number, and
+// numbers are never reused when documents are deleted. Pass existing: { model, field }
+// to start a new counter after the highest number already stored on that model.
+const nextNumber = async (name, { date = new Date(), existing } = {}) => {
+  const { padding } = numberingConfig[name];
+  const base = getNumberBase(name, date);
+  const key = `${name}:${base}`;
+
+  if (existing && !(await Counter.exists({ key }))) {
+    const lastSequence = await findLastSequence(existing.model, existing.field, base);
+    try {
+      await Counter.updateOne({ key }, { $setOnInsert: { seq: lastSequence } }, { upsert: true });
+    } catch (error) {
+      // Another request created the counter first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const counter = await Counter.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return base.replace('{seq}', String(counter.seq).padStart(padding, '0'));
+};
+
+module.exports = {
+  getPeriod,
+  nextNumber
+};
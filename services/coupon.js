@@ -0,0 +1,186 @@
+const Coupon = require('../models/CouponModel');
+const CouponRedemption = require('../models/CouponRedemptionModel');
+const Order = require('../models/OrderModel');
+const Product = require('../models/ProductModel');
+const { roundAmount } = require('./deposit');
+
+// Match a customer's documents by account or by email
+const customerFilter = ({ userId, email } = {}, userField, emailField) => {
+  const conditions = [];
+  if (userId) conditions.push({ [userField]: userId });
+  if (email) conditions.push({ [emailField]: email.trim().toLowerCase() });
+  return conditions.length > 0 ? { $or: conditions } : null;
+};
+
+// Times a customer has used a coupon on orders that were not cancelled
+const countCustomerRedemptions = (coupon, customer, session = null) => {
+  return CouponRedemption.countDocuments({
+    coupon: coupon._id,
+    status: 'Redeemed',
+    ...customerFilter(customer, 'user', 'email')
+  }).session(session);
+};
+
+// Look up a coupon code and check the rules that do not depend on the cart:
+// active, inside its validity window, usage limits and first order only.
+// customer is { userId, email }. Returns { coupon } or { error }.
+const findUsableCoupon = async (code, customer = {}, now = new Date()) => {
+  if (!code || typeof code !== 'string') {
+    return { error: 'Coupon code is required' };
+  }
+
+  const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+  if (!coupon || !coupon.isActive) {
+    return { error: 'Invalid coupon code' };
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return { error: 'This coupon is not active yet' };
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    return { error: 'This coupon has expired' };
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return { error: 'This coupon has reached its usage limit' };
+  }
+
+  const hasCustomer = Boolean(customerFilter(customer, 'user', 'email'));
+  if ((coupon.perUserLimit || coupon.firstOrderOnly) && !hasCustomer) {
+    return { error: 'Log in or enter your email to use this coupon' };
+  }
+
+  if (coupon.perUserLimit && (await countCustomerRedemptions(coupon, customer)) >= coupon.perUserLimit) {
+    return { error: 'You have already used this coupon' };
+  }
+
+  if (coupon.firstOrderOnly) {
+    const previousOrders = await Order.countDocuments({
+      status: { $ne: 'Cancelled' },
+      ...customerFilter(customer, 'customerInfo.userId', 'customerInfo.email')
+    });
+    if (previousOrders > 0) {
+      return { error: 'This coupon is only valid on your first order' };
+    }
+  }
+
+  return { coupon };
+};
+
+// Value of each priced item that the coupon applies to, in item order.
+// Coupons without category or product restrictions apply to everything.
+const getEligibleAmounts = async (coupon, items) => {
+  const productIds = (coupon.applicableProducts || []).map(String);
+  const categoryIds = (coupon.applicableCategories || []).map(String);
+  if (productIds.length === 0 && categoryIds.length === 0) {
+    return items.map(item => item.totalPrice);
+  }
+
+  const amounts = [];
+  for (const item of items) {
+    let isEligible = productIds.includes(String(item.productId));
+    if (!isEligible && categoryIds.length > 0) {
+      const product = await Product.findById(item.productId).select('category');
+      isEligible = Boolean(product && categoryIds.includes(String(product.category)));
+    }
+    amounts.push(isEligible ? item.totalPrice : 0);
+  }
+
+  return amounts;
+};
+
+// Work out a coupon's discount on priced items (after any subscription cover).
+// Returns { discount, freeShipping, eligibleAmounts } or { error }.
+const calculateCouponDiscount = async (coupon, items) => {
+  const subtotal = roundAmount(items.reduce((sum, item) => sum + item.totalPrice, 0));
+  if (subtotal < (coupon.minOrderValue || 0)) {
+    return { error: `Orders must be at least ${coupon.minOrderValue} to use this coupon` };
+  }
+
+  const eligibleAmounts = await getEligibleAmounts(coupon, items);
+  const eligibleTotal = roundAmount(eligibleAmounts.reduce((sum, amount) => sum + amount, 0));
+  if (eligibleTotal <= 0) {
+    return { error: 'This coupon does not apply to any items in your cart' };
+  }
+
+  let discount = 0;
+  if (coupon.type === 'Percentage') {
+    discount = eligibleTotal * coupon.value / 100;
+    if (coupon.maxDiscount !== null && coupon.maxDiscount !== undefined) {
+      discount = Math.min(discount, coupon.maxDiscount);
+    }
+  } else if (coupon.type === 'Flat') {
+    discount = Math.min(coupon.value, eligibleTotal);
+  }
+
+  return {
+    discount: roundAmount(discount),
+    freeShipping: coupon.type === 'Free Shipping',
+    eligibleAmounts
+  };
+};
+
+// Record a coupon use for a new order inside the order's transaction. The usage
+// count only goes up while the coupon is under its limit, and the customer's uses
+// are counted in the same transaction, so concurrent checkouts cannot go over either.
+// Returns { redemption } or { error }.
+const redeemCoupon = async (order, session) => {
+  const coupon = await Coupon.findById(order.coupon.coupon).session(session);
+  if (!coupon) {
+    return { error: 'This coupon no longer exists' };
+  }
+
+  const customer = { userId: order.customerInfo.userId, email: order.customerInfo.email };
+  if (coupon.perUserLimit && (await countCustomerRedemptions(coupon, customer, session)) >= coupon.perUserLimit) {
+    return { error: 'You have already used this coupon' };
+  }
+
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { session, new: true }
+  );
+  if (!updated) {
+    return { error: 'This coupon has reached its usage limit' };
+  }
+
+  const [redemption] = await CouponRedemption.create([{
+    coupon: coupon._id,
+    code: coupon.code,
+    user: customer.userId,
+    email: customer.email,
+    order: order._id,
+    orderNumber: order.orderNumber,
+    discount: order.coupon.discount,
+    freeShipping: order.coupon.freeShipping
+  }], { session });
+
+  return { redemption };
+};
+
+// Give the coupon use of a cancelled or deleted order back
+const releaseCouponRedemption = async (order) => {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { order: order._id, status: 'Redeemed' },
+    { status: 'Released', releasedAt: new Date() }
+  );
+  if (!redemption) return null;
+
+  await Coupon.updateOne(
+    { _id: redemption.coupon, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+  return redemption;
+};
+
+module.exports = {
+  findUsableCoupon,
+  calculateCouponDiscount,
+  redeemCoupon,
+  releaseCouponRedemption
+};
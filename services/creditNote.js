@@ -0,0 +1,58 @@
+const Invoice = require('../models/InvoiceModel');
+const CreditNote = require('../models/CreditNoteModel');
+const { roundAmount } = require('./deposit');
+const { allocate, splitTax } = require('./tax');
+
+// Issue a credit note against an order's invoice for an amount given back to the
+// customer (GST included, deposit excluded), splitting it into taxable value and
+// tax in the invoice's proportions. Nothing is issued for orders without an invoice,
+// and never more than the invoice value still uncredited. Once the whole invoice
+// has been credited it is marked Cancelled.
+// Returns the credit note, or null when there was nothing to credit.
+const createCreditNoteForRefund = async (order, { amount, reason, refundId, returnRequest, actor } = {}) => {
+  const invoice = await Invoice.findOne({ order: order._id, status: 'Issued' });
+  if (!invoice || !(amount > 0)) return null;
+
+  const previousNotes = await CreditNote.find({ invoice: invoice._id }).select('totals.total');
+  const credited = previousNotes.reduce((sum, note) => sum + note.totals.total, 0);
+  const creditable = roundAmount(invoice.totals.total - credited);
+  const total = roundAmount(Math.min(amount, creditable));
+  if (total <= 0) return null;
+
+  // Split the credit into taxable value and GST in the same proportions as the invoice
+  const [taxableValue, tax] = allocate(total, [invoice.totals.taxableValue, invoice.totals.totalTax]);
+  const { cgst, sgst, igst } = splitTax(tax, invoice.supplyType === 'Inter-State');
+
+  const creditNote = await CreditNote.create({
+    invoice: invoice._id,
+    invoiceNumber: invoice.invoiceNumber,
+    order: order._id,
+    orderNumber: order.orderNumber,
+    customer: invoice.customer,
+    returnRequest,
+    reason,
+    refundId,
+    placeOfSupply: invoice.placeOfSupply,
+    supplyType: invoice.supplyType,
+    totals: {
+      taxableValue,
+      cgst,
+      sgst,
+      igst,
+      totalTax: tax,
+      total
+    },
+    createdBy: actor
+  });
+
+  if (total >= creditable) {
+    invoice.status = 'Cancelled';
+    await invoice.save();
+  }
+
+  return creditNote;
+};
+
+module.exports = {
+  createCreditNoteForRefund
+};
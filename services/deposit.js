@@ -0,0 +1,87 @@
+const Deposit = require('../models/DepositModel');
+const Product = require('../models/ProductModel');
+const { refundPayment } = require('./razorpay');
+
+// Round to paise precision
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Work out the security deposit owed for a list of order items,
+// using the deposit configured on each product
+const calculateDeposits = async (items) => {
+  const breakdown = [];
+
+  for (const item of items) {
+    const product = await Product.findById(item.productId).select('productName securityDeposit');
+    if (!product || !product.securityDeposit) continue;
+
+    const quantity = item.quantity || 1;
+    breakdown.push({
+      productId: product._id,
+      productName: product.productName,
+      quantity,
+      unitDeposit: product.securityDeposit,
+      amount: roundAmount(product.securityDeposit * quantity)
+    });
+  }
+
+  return {
+    total: roundAmount(breakdown.reduce((sum, item) => sum + item.amount, 0)),
+    items: breakdown
+  };
+};
+
+// Record the deposit collected with an order's payment as its own ledger entry
+const createDepositForOrder = ({ order, payment, paymentId, items, total }) => {
+  return Deposit.create({
+    order: order._id,
+    orderNumber: order.orderNumber,
+    payment: payment ? payment._id : undefined,
+    paymentId,
+    customerEmail: order.customerInfo.email,
+    items,
+    amount: total
+  });
+};
+
+// Settle a held deposit: apply deductions on top of any already recorded
+// (such as late fees) and refund whatever is left
+const settleDeposit = async (deposit, { deductions = [], notes, settledBy } = {}) => {
+  deductions.forEach(deduction => deposit.deductions.push(deduction));
+  const totalDeductions = roundAmount(deposit.totalDeductions);
+  const refundAmount = roundAmount(Math.max(0, deposit.amount - totalDeductions));
+
+  if (refundAmount > 0) {
+    const refund = await refundPayment(deposit.paymentId, refundAmount, {
+      reason: 'Security deposit release',
+      orderNumber: deposit.orderNumber
+    });
+
+    deposit.refund = {
+      refundId: refund.id,
+      amount: refund.amount / 100,
+      status: refund.status,
+      refundedAt: new Date()
+    };
+  }
+
+  if (totalDeductions === 0) {
+    deposit.status = 'Released';
+  } else if (refundAmount > 0) {
+    deposit.status = 'Partially Released';
+  } else {
+    deposit.status = 'Forfeited';
+  }
+
+  deposit.notes = notes;
+  deposit.settledBy = settledBy;
+  deposit.settledAt = new Date();
+
+  return deposit.save();
+};
+
+module.exports = {
+  roundAmount,
+  calculateDeposits,
+  createDepositForOrder,
+  settleDeposit
+};
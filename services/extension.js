@@ -0,0 +1,189 @@
+const Product = require('../models/ProductModel');
+const Variant = require('../models/VariantModel');
+const {
+  toDay,
+  addDays,
+  formatDay,
+  countDays,
+  MAX_RANGE_DAYS,
+  findUnavailableItems,
+  extendBookingForItem,
+  releaseHolds
+} = require('./booking');
+const { priceItem } = require('./pricing');
+const { roundAmount } = require('./deposit');
+const { calculateTax } = require('./tax');
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+// Order statuses in which the customer still has (or is about to receive) the items
+const EXTENDABLE_STATUSES = ['Confirmed', 'Processing', 'Shipped', 'Delivered'];
+
+// The extra days of an extended item, in the shape the booking helpers expect
+const toExtraDaysItem = (item, previousEndDate, newEndDate) => ({
+  _id: item._id,
+  productId: item.productId,
+  productName: item.productName,
+  variantId: item.variantId,
+  size: item.size,
+  quantity: item.quantity || 1,
+  rentalStartDate: addDays(toDay(previousEndDate), 1),
+  rentalEndDate: newEndDate
+});
+
+// Quote extending an order's rental items (or a single item) to a new end date.
+// Only the extra days are checked for availability, ignoring the order's own bookings.
+// GST is added on the extra charge for delivery to the order's address.
+// Returns { items, subtotal, tax, amount, holdItems } or { error, unavailableItems }.
+const quoteExtension = async (order, newEndDate, itemId) => {
+  const endDate = toDay(newEndDate);
+  if (!endDate) {
+    return { error: 'A valid new end date is required' };
+  }
+
+  const rentalItems = order.items.filter(item =>
+    item.rentalStartDate && item.rentalEndDate && (!itemId || item._id.toString() === itemId)
+  );
+  if (rentalItems.length === 0) {
+    return { error: itemId ? 'Rental item not found on this order' : 'This order has no rental items' };
+  }
+
+  const items = [];
+  const holdItems = [];
+
+  for (const item of rentalItems) {
+    const previousEndDate = toDay(item.rentalEndDate);
+    if (endDate <= previousEndDate) {
+      return { error: `New end date must be after ${formatDay(previousEndDate)} for ${item.productName}` };
+    }
+    if (countDays(toDay(item.rentalStartDate), endDate) > MAX_RANGE_DAYS) {
+      return { error: `Rentals cannot exceed ${MAX_RANGE_DAYS} days` };
+    }
+
+    const product = await Product.findById(item.productId);
+    if (!product) {
+      return { error: `${item.productName} is no longer available` };
+    }
+
+    // Price the whole rental at the new length and charge the difference
+    const variant = item.variantId ? await Variant.findById(item.variantId) : null;
+    const { unitPrice, days, error } = priceItem(product, variant, {
+      rentalStartDate: item.rentalStartDate,
+      rentalEndDate: endDate
+    });
+    if (error) return { error };
+
+    // Items covered by a subscription only pay for the days beyond the original rental
+    let paidUnitPrice = item.unitPrice;
+    if (item.coveredBySubscription) {
+      const original = priceItem(product, variant, item);
+      paidUnitPrice = original.error ? 0 : original.unitPrice;
+    }
+
+    const quantity = item.quantity || 1;
+    const amount = roundAmount(Math.max(0, unitPrice - paidUnitPrice) * quantity);
+
+    items.push({
+      itemId: item._id,
+      productName: item.productName,
+      previousEndDate,
+      newEndDate: endDate,
+      days,
+      amount
+    });
+
+    holdItems.push(toExtraDaysItem(item, previousEndDate, endDate));
+  }
+
+  // No other order may hold the items on the extra days
+  const unavailableItems = await findUnavailableItems(holdItems, { excludeOrder: order._id });
+  if (unavailableItems.length > 0) {
+    return { error: 'Some items are not available for the extra days', unavailableItems };
+  }
+
+  const tax = await calculateTax(
+    rentalItems.map((item, index) => ({ productId: item.productId, totalPrice: items[index].amount })),
+    { state: order.shippingAddress?.state }
+  );
+  items.forEach((item, index) => {
+    const { taxRate, tax: itemTax, cgst, sgst, igst } = tax.lines[index];
+    Object.assign(item, { taxRate, tax: itemTax, cgst, sgst, igst });
+  });
+
+  const subtotal = roundAmount(items.reduce((sum, item) => sum + item.amount, 0));
+  return {
+    items,
+    subtotal,
+    tax: tax.totals.tax,
+    amount: roundAmount(subtotal + tax.totals.tax),
+    holdItems
+  };
+};
+
+// Re-check that the extra days of a pending extension are still free,
+// ignoring the holds placed for its own Razorpay order
+const findUnavailableExtensionItems = (order, extension) => {
+  const items = extension.items
+    .map(extended => {
+      const item = order.items.id(extended.itemId);
+      return item && toExtraDaysItem(item, extended.previousEndDate, extended.newEndDate);
+    })
+    .filter(Boolean);
+
+  return findUnavailableItems(items, { excludeOrder: order._id, excludeHoldsFor: extension.razorpayOrderId });
+};
+
+// Apply a paid (or free) extension: move the items' end dates, add the extra
+// cost and its GST to the order and stretch the matching bookings. The order is saved.
+const applyExtension = async (order, extension, paymentId) => {
+  const breakdown = order.pricing.taxBreakdown;
+
+  for (const extended of extension.items) {
+    const item = order.items.id(extended.itemId);
+    if (!item) continue;
+
+    const quantity = item.quantity || 1;
+    item.rentalEndDate = extended.newEndDate;
+    item.rentalDays = countDays(toDay(item.rentalStartDate), toDay(extended.newEndDate));
+    item.totalPrice = roundAmount(item.totalPrice + extended.amount);
+    item.unitPrice = roundAmount(item.totalPrice / quantity);
+
+    // Orders priced before line-level GST only carry the tax total
+    if (hasValue(item.taxableValue)) {
+      item.taxableValue = roundAmount(item.taxableValue + extended.amount);
+      item.cgst = roundAmount((item.cgst || 0) + (extended.cgst || 0));
+      item.sgst = roundAmount((item.sgst || 0) + (extended.sgst || 0));
+      item.igst = roundAmount((item.igst || 0) + (extended.igst || 0));
+    }
+    if (breakdown && breakdown.supplyType) {
+      breakdown.cgst = roundAmount((breakdown.cgst || 0) + (extended.cgst || 0));
+      breakdown.sgst = roundAmount((breakdown.sgst || 0) + (extended.sgst || 0));
+      breakdown.igst = roundAmount((breakdown.igst || 0) + (extended.igst || 0));
+    }
+
+    await extendBookingForItem(order._id, item, extended.newEndDate);
+  }
+
+  // Extensions quoted before GST was added have no separate subtotal
+  const subtotal = hasValue(extension.subtotal) ? extension.subtotal : extension.amount;
+  order.pricing.subtotal = roundAmount(order.pricing.subtotal + subtotal);
+  order.pricing.tax = roundAmount((order.pricing.tax || 0) + (extension.tax || 0));
+  order.pricing.total = roundAmount(order.pricing.total + extension.amount);
+
+  extension.status = 'Completed';
+  extension.completedAt = new Date();
+  extension.paymentId = paymentId;
+
+  if (extension.razorpayOrderId) {
+    await releaseHolds(extension.razorpayOrderId);
+  }
+
+  return order.save();
+};
+
+module.exports = {
+  EXTENDABLE_STATUSES,
+  quoteExtension,
+  findUnavailableExtensionItems,
+  applyExtension
+};
@@ -0,0 +1,97 @@
+const Inspection = require('../models/InspectionModel');
+const Deposit = require('../models/DepositModel');
+const { roundAmount, settleDeposit } = require('./deposit');
+const { adjustStock } = require('./inventory');
+const { updateUnitsAfterInspection } = require('./unit');
+
+// Open a pending inspection for every item on a returned order
+const createInspectionsForOrder = async (order) => {
+  const existing = await Inspection.find({ order: order._id }).select('itemId');
+  const inspectedItemIds = existing.map(inspection => String(inspection.itemId));
+
+  const inspections = order.items
+    .filter(item => !inspectedItemIds.includes(String(item._id)))
+    .map(item => ({
+      order: order._id,
+      orderNumber: order.orderNumber,
+      itemId: item._id,
+      product: item.productId,
+      variant: item.variantId,
+      productName: item.productName,
+      quantity: item.quantity
+    }));
+
+  if (inspections.length === 0) return [];
+  return Inspection.insertMany(inspections);
+};
+
+// Apply the inspection decision to inventory. Items sent to repair or
+// retired come out of stock; repaired items go back in later.
+const applyInspectionDecision = async (inspection) => {
+  if (inspection.decision === 'Repair' || inspection.decision === 'Retire') {
+    await adjustStock(inspection.product, inspection.variant, -inspection.quantity, {
+      type: 'Inspection',
+      order: { _id: inspection.order, orderNumber: inspection.orderNumber },
+      reason: inspection.decision === 'Repair' ? 'Sent to repair after return inspection' : 'Retired after return inspection',
+      actor: inspection.inspectedBy
+    });
+  }
+
+  if (inspection.decision === 'Repair') {
+    inspection.repairStatus = 'In Repair';
+  }
+
+  await updateUnitsAfterInspection(inspection);
+};
+
+// Put a repaired item back into stock
+const completeRepair = async (inspection) => {
+  await adjustStock(inspection.product, inspection.variant, inspection.quantity, {
+    type: 'Inspection',
+    order: { _id: inspection.order, orderNumber: inspection.orderNumber },
+    reason: 'Repaired and back in stock',
+    actor: inspection.inspectedBy
+  });
+  inspection.repairStatus = 'Repaired';
+  inspection.repairedAt = new Date();
+  await updateUnitsAfterInspection(inspection);
+  return inspection.save();
+};
+
+// Once every item on the order has been inspected, settle the held deposit,
+// deducting repair costs up to whatever is left of it
+const settleDepositAfterInspection = async (orderId, settledBy) => {
+  const pendingCount = await Inspection.countDocuments({ order: orderId, status: 'Pending' });
+  if (pendingCount > 0) return null;
+
+  const deposit = await Deposit.findOne({ order: orderId, status: 'Held' });
+  if (!deposit) return null;
+
+  const inspections = await Inspection.find({ order: orderId, repairCost: { $gt: 0 } });
+  let remaining = roundAmount(deposit.amount - deposit.totalDeductions);
+
+  const deductions = [];
+  for (const inspection of inspections) {
+    const amount = roundAmount(Math.min(inspection.repairCost, remaining));
+    if (amount <= 0) break;
+
+    deductions.push({
+      amount,
+      reason: `Damage to ${inspection.productName}${inspection.damageNotes ? `: ${inspection.damageNotes}` : ''}`.slice(0, 500)
+    });
+    remaining = roundAmount(remaining - amount);
+  }
+
+  return settleDeposit(deposit, {
+    deductions,
+    notes: 'Settled after return inspection',
+    settledBy
+  });
+};
+
+module.exports = {
+  createInspectionsForOrder,
+  applyInspectionDecision,
+  completeRepair,
+  settleDepositAfterInspection
+};
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const Product = require('../models/ProductModel');
+const Variant = require('../models/VariantModel');
+const InventoryMovement = require('../models/InventoryMovementModel');
+
+// Movements that take an order's items out of stock or put them back
+const ORDER_MOVEMENT_TYPES = ['Sale', 'Cancellation', 'Return'];
+
+// Purchased lines leave the warehouse for good. Rentals come back, so their
+// dates are reserved through bookings and the fleet stock stays the same.
+const isPurchaseItem = (item) => !item.rentalStartDate && !item.rentalEndDate;
+
+// Change the stock of a variant (keeping the product total in sync), or of the
+// product itself when it has no variants, and record the movement in the ledger.
+// Decreases fail (returning null) when not enough stock is left, unless
+// clampAtZero is set, in which case the stock stops at 0.
+const changeStock = async ({ product, variant, change, type, order, reason, actor, clampAtZero = false }, session = null) => {
+  const Model = variant ? Variant : Product;
+  const filter = { _id: variant || product };
+  let update = { $inc: { stock: change } };
+
+  if (clampAtZero) {
+    update = [{ $set: { stock: { $max: [0, { $add: ['$stock', change] }] } } }];
+  } else if (change < 0) {
+    filter.stock = { $gte: -change };
+  }
+
+  // The document as it was before the update
+  const previous = await Model.findOneAndUpdate(filter, update, { session });
+  if (!previous) return null;
+
+  if (variant) {
+    await Variant.syncProductStock(product, session);
+  }
+
+  const stockBefore = previous.stock || 0;
+  const [movement] = await InventoryMovement.create([{
+    product,
+    variant,
+    order: order ? order._id : undefined,
+    orderNumber: order ? order.orderNumber : undefined,
+    type,
+    change,
+    stockBefore,
+    stockAfter: Math.max(0, stockBefore + change),
+    reason,
+    actor
+  }], { session });
+
+  return movement;
+};
+
+// Adjust stock outside of an order (inspections, unit status changes).
+// Stock never goes below 0.
+const adjustStock = (productId, variantId, change, { type = 'Adjustment', order, reason, actor } = {}) => {
+  return changeStock({
+    product: productId,
+    variant: variantId,
+    change,
+    type,
+    order,
+    reason,
+    actor,
+    clampAtZero: true
+  });
+};
+
+// Record a stock level that an admin set directly on a product or variant
+const recordStockSet = ({ product, variant, stockBefore = 0, stockAfter, reason, actor }) => {
+  if (stockAfter === undefined || stockBefore === stockAfter) return null;
+
+  return InventoryMovement.create({
+    product,
+    variant,
+    type: 'Adjustment',
+    change: stockAfter - stockBefore,
+    stockBefore,
+    stockAfter,
+    reason,
+    actor
+  });
+};
+
+// Check that there is enough stock for the purchased items of a cart without changing it.
+// Returns an array of shortages; an empty array means everything is in stock.
+const findStockShortages = async (items) => {
+  const shortages = [];
+  const requested = {};
+
+  items.filter(isPurchaseItem).forEach(item => {
+    const key = String(item.variantId || item.productId);
+    if (!requested[key]) {
+      requested[key] = { item, quantity: 0 };
+    }
+    requested[key].quantity += item.quantity || 1;
+  });
+
+  for (const { item, quantity } of Object.values(requested)) {
+    const stockItem = item.variantId
+      ? await Variant.findById(item.variantId).select('stock')
+      : await Product.findById(item.productId).select('stock');
+    const available = stockItem ? stockItem.stock || 0 : 0;
+
+    if (available < quantity) {
+      shortages.push({
+        productId: item.productId,
+        productName: item.productName,
+        variantId: item.variantId,
+        size: item.size,
+        requested: quantity,
+        available,
+        message: 'Not enough stock'
+      });
+    }
+  }
+
+  return shortages;
+};
+
+// Take the purchased items of an order out of stock inside the given session.
+// Returns the lines that are short; the caller aborts the transaction if there are any.
+const reserveStockForOrder = async (order, { session, actor } = {}) => {
+  const shortages = [];
+
+  for (const item of order.items.filter(isPurchaseItem)) {
+    const quantity = item.quantity || 1;
+    const movement = await changeStock({
+      product: item.productId,
+      variant: item.variantId,
+      change: -quantity,
+      type: 'Sale',
+      order,
+      actor
+    }, session);
+
+    if (!movement) {
+      shortages.push({
+        productId: item.productId,
+        productName: item.productName,
+        variantId: item.variantId,
+        size: item.size,
+        requested: quantity,
+        message: 'Not enough stock'
+      });
+    }
+  }
+
+  return shortages;
+};
+
+// Put an order's purchased items back into stock after a cancellation, return or deletion.
+// Only what the ledger still shows as taken out is restored, so running it twice is harmless.
+const restockOrder = async (order, { type, reason, actor } = {}) => {
+  const movements = await InventoryMovement.find({ order: order._id, type: { $in: ORDER_MOVEMENT_TYPES } });
+
+  const outstanding = {};
+  movements.forEach(movement => {
+    const key = String(movement.variant || movement.product);
+    if (!outstanding[key]) {
+      outstanding[key] = { product: movement.product, variant: movement.variant, quantity: 0 };
+    }
+    outstanding[key].quantity -= movement.change;
+  });
+
+  const lines = Object.values(outstanding).filter(line => line.quantity > 0);
+  if (lines.length === 0) return [];
+
+  const session = await mongoose.startSession();
+  try {
+    const restocked = [];
+    await session.withTransaction(async () => {
+      restocked.length = 0;
+      for (const line of lines) {
+        restocked.push(await changeStock({
+          product: line.product,
+          variant: line.variant,
+          change: line.quantity,
+          type,
+          order,
+          reason,
+          actor
+        }, session));
+      }
+    });
+
+    return restocked;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  isPurchaseItem,
+  adjustStock,
+  recordStockSet,
+  findStockShortages,
+  reserveStockForOrder,
+  restockOrder
+};
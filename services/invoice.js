@@ -0,0 +1,272 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/InvoiceModel');
+const Product = require('../models/ProductModel');
+const gstConfig = require('../config/gst');
+const { roundAmount } = require('./deposit');
+const { getStateCode, allocate, splitTax, getSupplyDetails } = require('./tax');
+
+const formatAddress = (address = {}) => {
+  return [address.streetAddress, address.city, address.state, address.postalCode, address.country]
+    .filter(Boolean)
+    .join(', ');
+};
+
+// Invoice lines for an order's items and delivery charge, using the GST worked out
+// for each line when the order was priced. Older orders only kept the order tax,
+// so it is spread over their items in proportion to value along with the discount.
+const buildInvoiceItems = async (order, isInterState) => {
+  const taxBreakdown = order.pricing.taxBreakdown;
+  const hasLineTax = Boolean(taxBreakdown && taxBreakdown.supplyType);
+  const items = order.items.filter(item => item.totalPrice > 0);
+
+  const discounts = allocate(order.pricing.discount || 0, items.map(item => item.totalPrice));
+  const taxableValues = hasLineTax
+    ? items.map(item => item.taxableValue)
+    : items.map((item, index) => roundAmount(item.totalPrice - discounts[index]));
+  const taxes = hasLineTax
+    ? items.map(item => roundAmount(item.cgst + item.sgst + item.igst))
+    : allocate(order.pricing.tax || 0, taxableValues);
+
+  const lines = [];
+  for (const [index, item] of items.entries()) {
+    const isRental = Boolean(item.rentalStartDate);
+    let hsnSac = gstConfig.rentalSacCode;
+    if (!isRental) {
+      const product = await Product.findById(item.productId).select('hsnCode');
+      hsnSac = (product && product.hsnCode) || gstConfig.defaultHsnCode;
+    }
+
+    const taxableValue = taxableValues[index];
+    const tax = taxes[index];
+    lines.push({
+      description: isRental
+        ? `${item.productName} (rental, ${item.rentalDays || 1} days)`
+        : item.productName,
+      hsnSac,
+      quantity: item.quantity || 1,
+      unitPrice: item.unitPrice,
+      discount: roundAmount(item.totalPrice - taxableValue),
+      taxableValue,
+      taxRate: hasLineTax ? item.taxRate : (taxableValue > 0 ? roundAmount(tax / taxableValue * 100) : 0),
+      ...(hasLineTax ? { cgst: item.cgst, sgst: item.sgst, igst: item.igst } : splitTax(tax, isInterState)),
+      total: roundAmount(taxableValue + tax)
+    });
+  }
+
+  if (order.pricing.shipping > 0) {
+    const shippingTax = hasLineTax ? taxBreakdown.shippingTax : 0;
+    lines.push({
+      description: `Delivery charges (${order.shipping?.method || 'Standard'})`,
+      hsnSac: gstConfig.shippingSacCode,
+      quantity: 1,
+      unitPrice: order.pricing.shipping,
+      taxableValue: order.pricing.shipping,
+      taxRate: hasLineTax ? taxBreakdown.shippingTaxRate : 0,
+      ...splitTax(shippingTax, isInterState),
+      total: roundAmount(order.pricing.shipping + shippingTax)
+    });
+  }
+
+  return lines;
+};
+
+// Issue the tax invoice for a paid order. Orders only ever get one invoice,
+// so calling this again returns the existing one.
+const createInvoiceForOrder = async (order, { payment } = {}) => {
+  const existing = await Invoice.findOne({ order: order._id });
+  if (existing) return existing;
+
+  const seller = {
+    ...gstConfig.seller,
+    stateCode: getStateCode(gstConfig.seller.state)
+  };
+
+  // Bill with the supply type the order was taxed under
+  const taxBreakdown = order.pricing.taxBreakdown;
+  const supply = taxBreakdown && taxBreakdown.supplyType
+    ? {
+      placeOfSupply: taxBreakdown.placeOfSupply,
+      supplyType: taxBreakdown.supplyType,
+      isInterState: taxBreakdown.supplyType === 'Inter-State'
+    }
+    : getSupplyDetails(order.shippingAddress?.state || order.billingAddress?.state);
+
+  const items = await buildInvoiceItems(order, supply.isInterState);
+  const sum = (field) => roundAmount(items.reduce((total, item) => total + (item[field] || 0), 0));
+  const totals = {
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    total: sum('total'),
+    deposit: order.pricing.deposit || 0
+  };
+  totals.totalTax = roundAmount(totals.cgst + totals.sgst + totals.igst);
+  // Store credit spent on the order counts as paid alongside the payment
+  totals.amountPaid = payment
+    ? roundAmount(payment.amount.total + (order.pricing.storeCredit || 0))
+    : roundAmount(totals.total + totals.deposit);
+
+  try {
+    return await Invoice.create({
+      order: order._id,
+      orderNumber: order.orderNumber,
+      payment: payment ? payment._id : undefined,
+      paymentId: payment ? payment.paymentId : order.payment?.transactionId,
+      customer: order.customerInfo.userId,
+      seller,
+      buyer: {
+        name: order.customerInfo.companyName || `${order.customerInfo.firstName} ${order.customerInfo.lastName}`,
+        gstin: order.customerInfo.gstin,
+        address: formatAddress(order.billingAddress),
+        state: order.billingAddress?.state,
+        stateCode: getStateCode(order.billingAddress?.state),
+        email: order.customerInfo.email,
+        phone: order.customerInfo.phoneNumber
+      },
+      placeOfSupply: supply.placeOfSupply,
+      supplyType: supply.supplyType,
+      items,
+      totals
+    });
+  } catch (error) {
+    // Another request invoiced the order first
+    if (error.code === 11000) return Invoice.findOne({ order: order._id });
+    throw error;
+  }
+};
+
+const formatMoney = (amount) => `Rs. ${(amount || 0).toFixed(2)}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+// Download name for an invoice PDF, e.g. Invoice-SH-2026-27-000123.pdf
+const getInvoiceFileName = (invoice) => `Invoice-${invoice.invoiceNumber.replace(/[^A-Za-z0-9-]/g, '-')}.pdf`;
+
+// Write an invoice as a PDF to a writable stream (such as an Express response)
+const renderInvoicePdf = (invoice, output) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(output);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const isInterState = invoice.supplyType === 'Inter-State';
+
+  // Seller and invoice details
+  doc.font('Helvetica-Bold').fontSize(18).text('TAX INVOICE', left, 40, { width, align: 'right' });
+  doc.fontSize(14).text(invoice.seller.name, left, 40);
+  doc.font('Helvetica').fontSize(9);
+  if (invoice.seller.address) doc.text(invoice.seller.address, { width: width / 2 });
+  if (invoice.seller.gstin) doc.text(`GSTIN: ${invoice.seller.gstin}`);
+  doc.text(`State: ${invoice.seller.state}${invoice.seller.stateCode ? ` (${invoice.seller.stateCode})` : ''}`);
+  if (invoice.seller.email) doc.text(invoice.seller.email);
+
+  doc.text(`Invoice No: ${invoice.invoiceNumber}`, left, 70, { width, align: 'right' });
+  doc.text(`Invoice Date: ${formatDate(invoice.issuedAt)}`, { width, align: 'right' });
+  doc.text(`Order No: ${invoice.orderNumber}`, { width, align: 'right' });
+  if (invoice.paymentId) doc.text(`Payment: ${invoice.paymentId}`, { width, align: 'right' });
+  if (invoice.status === 'Cancelled') {
+    doc.font('Helvetica-Bold').text('CANCELLED', { width, align: 'right' }).font('Helvetica');
+  }
+
+  // Buyer
+  let y = Math.max(doc.y, 140) + 15;
+  doc.font('Helvetica-Bold').fontSize(10).text('Bill To', left, y);
+  doc.font('Helvetica').fontSize(9);
+  doc.text(invoice.buyer.name);
+  if (invoice.buyer.address) doc.text(invoice.buyer.address, { width: width / 2 });
+  if (invoice.buyer.gstin) doc.text(`GSTIN: ${invoice.buyer.gstin}`);
+  if (invoice.buyer.email) doc.text(invoice.buyer.email);
+  doc.text(`Place of Supply: ${invoice.placeOfSupply || '-'}`, left, y, { width, align: 'right' });
+  doc.text(`Supply Type: ${invoice.supplyType}`, { width, align: 'right' });
+
+  // Line items
+  const columns = isInterState
+    ? [['#', 20], ['Description', 165], ['HSN/SAC', 50], ['Qty', 30], ['Rate', 60], ['Taxable', 65], ['IGST', 60], ['Total', 65]]
+    : [['#', 20], ['Description', 135], ['HSN/SAC', 50], ['Qty', 30], ['Rate', 55], ['Taxable', 60], ['CGST', 45], ['SGST', 45], ['Total', 55]];
+
+  const drawRow = (values, rowY, bold = false) => {
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    let height = 0;
+    values.forEach((value, index) => {
+      const [, columnWidth] = columns[index];
+      const options = { width: columnWidth - 4, align: index > 2 ? 'right' : 'left' };
+      doc.text(String(value), x + 2, rowY, options);
+      height = Math.max(height, doc.heightOfString(String(value), options));
+      x += columnWidth;
+    });
+    return rowY + height + 6;
+  };
+
+  y = Math.max(doc.y, y + 60) + 15;
+  doc.moveTo(left, y - 4).lineTo(left + width, y - 4).stroke();
+  y = drawRow(columns.map(([title]) => title), y, true);
+  doc.moveTo(left, y - 3).lineTo(left + width, y - 3).stroke();
+
+  invoice.items.forEach((item, index) => {
+    if (y > doc.page.height - 160) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+
+    const taxColumns = isInterState
+      ? [`${item.igst.toFixed(2)}\n@${item.taxRate}%`]
+      : [`${item.cgst.toFixed(2)}\n@${item.taxRate / 2}%`, `${item.sgst.toFixed(2)}\n@${item.taxRate / 2}%`];
+    y = drawRow([
+      index + 1,
+      item.description,
+      item.hsnSac || '-',
+      item.quantity,
+      item.unitPrice.toFixed(2),
+      item.taxableValue.toFixed(2),
+      ...taxColumns,
+      item.total.toFixed(2)
+    ], y);
+  });
+  doc.moveTo(left, y - 3).lineTo(left + width, y - 3).stroke();
+
+  // Totals
+  const totals = [
+    ['Taxable Value', invoice.totals.taxableValue],
+    ...(isInterState
+      ? [['IGST', invoice.totals.igst]]
+      : [['CGST', invoice.totals.cgst], ['SGST', invoice.totals.sgst]]),
+    ['Invoice Total', invoice.totals.total]
+  ];
+  if (invoice.totals.deposit > 0) {
+    totals.push(['Refundable Security Deposit', invoice.totals.deposit]);
+  }
+  totals.push(['Amount Paid', invoice.totals.amountPaid]);
+
+  y += 5;
+  totals.forEach(([label, amount]) => {
+    const bold = label === 'Invoice Total';
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    doc.text(label, left + width - 260, y, { width: 150, align: 'right' });
+    doc.text(formatMoney(amount), left + width - 100, y, { width: 100, align: 'right' });
+    y += 15;
+  });
+
+  doc.font('Helvetica').fontSize(8).fillColor('#555555');
+  doc.text(
+    'The security deposit is refundable after the items are returned and is not part of the taxable value.',
+    left,
+    y + 20,
+    { width }
+  );
+  doc.text('This is a computer generated invoice and does not require a signature.', { width });
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  createInvoiceForOrder,
+  getInvoiceFileName,
+  renderInvoicePdf
+};
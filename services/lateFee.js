@@ -0,0 +1,252 @@
+const Product = require('../models/ProductModel');
+const Deposit = require('../models/DepositModel');
+const { razorpay } = require('./razorpay');
+const { toDay, countDays } = require('./booking');
+const { roundAmount } = require('./deposit');
+
+// Order statuses where rented items are still with the customer
+const OUT_ON_RENTAL_STATUSES = ['Shipped', 'Delivered'];
+
+// Daily late fee for a product, falling back to its category rate
+const getDailyLateFee = async (productId) => {
+  const product = await Product.findById(productId)
+    .select('lateFeePerDay category')
+    .populate('category', 'lateFeePerDay');
+
+  if (!product) return 0;
+  if (product.lateFeePerDay !== null && product.lateFeePerDay !== undefined) {
+    return product.lateFeePerDay;
+  }
+  return product.category?.lateFeePerDay || 0;
+};
+
+// Whole days between the rental end date and the (actual or assumed) return date
+const getDaysLate = (rentalEndDate, returnedAt) => {
+  const endDate = toDay(rentalEndDate);
+  const returnDate = toDay(returnedAt);
+  return returnDate > endDate ? countDays(endDate, returnDate) - 1 : 0;
+};
+
+const findLateFee = (order, itemId) => {
+  return order.pricing.adjustments.find(adjustment =>
+    adjustment.type === 'Late Fee' && String(adjustment.itemId) === String(itemId)
+  );
+};
+
+// Keep pricing.lateFees in sync with the individual adjustments
+const updateLateFeeTotal = (order) => {
+  order.pricing.lateFees = roundAmount(order.pricing.adjustments
+    .filter(adjustment => adjustment.type === 'Late Fee' && adjustment.status !== 'Waived')
+    .reduce((sum, adjustment) => sum + adjustment.amount, 0));
+};
+
+// Recalculate the running late fee of every overdue item on an order.
+// Items that are still out are charged up to asOf; returned items up to their return date.
+const accrueLateFees = async (order, asOf = new Date()) => {
+  for (const item of order.items) {
+    if (!item.rentalEndDate) continue;
+
+    const days = getDaysLate(item.rentalEndDate, item.returnedAt || asOf);
+    if (days === 0) continue;
+
+    let fee = findLateFee(order, item._id);
+    if (fee && (fee.status !== 'Accruing' || fee.overridden)) continue;
+
+    const dailyRate = await getDailyLateFee(item.productId);
+    if (!dailyRate) continue;
+
+    if (!fee) {
+      order.pricing.adjustments.push({
+        type: 'Late Fee',
+        itemId: item._id,
+        productName: item.productName
+      });
+      fee = order.pricing.adjustments[order.pricing.adjustments.length - 1];
+    }
+
+    fee.days = days;
+    fee.dailyRate = dailyRate;
+    fee.amount = roundAmount(days * dailyRate * item.quantity);
+  }
+
+  updateLateFeeTotal(order);
+  return order;
+};
+
+// Create a Razorpay payment link for a late fee the deposit cannot cover
+const createLateFeePaymentLink = (order, fee) => {
+  return razorpay.paymentLink.create({
+    amount: Math.round(fee.amount * 100), // Convert to paise
+    currency: 'INR',
+    description: `Late return fee for ${fee.productName} (${fee.days} days)`,
+    reference_id: `${order.orderNumber}-${fee._id}`,
+    customer: {
+      name: `${order.customerInfo.firstName} ${order.customerInfo.lastName}`,
+      email: order.customerInfo.email,
+      contact: order.customerInfo.phoneNumber
+    },
+    notify: {
+      sms: true,
+      email: true
+    },
+    notes: {
+      orderNumber: order.orderNumber,
+      type: 'late_fee'
+    }
+  });
+};
+
+// Send the customer a payment link for a late fee billed that way. Failures are
+// recorded on the fee rather than thrown, so the link can be retried later.
+const sendLateFeePaymentLink = async (order, fee) => {
+  try {
+    const link = await createLateFeePaymentLink(order, fee);
+    fee.paymentLink = { id: link.id, url: link.short_url };
+  } catch (error) {
+    console.error(`Could not create late fee payment link for order ${order.orderNumber}:`, error);
+    fee.paymentLink = { error: error.error?.description || error.message || String(error) };
+  }
+};
+
+// Send payment links for billed late fees that do not have one yet
+const sendLateFeePaymentLinks = async (order) => {
+  const unsentFees = order.pricing.adjustments.filter(adjustment =>
+    adjustment.status === 'Billed' && adjustment.billedVia === 'Payment Link' &&
+    adjustment.amount > 0 && !adjustment.paymentLink?.id
+  );
+
+  for (const fee of unsentFees) {
+    await sendLateFeePaymentLink(order, fee);
+  }
+
+  return order;
+};
+
+// Bill a single late fee: deduct it from the held deposit when that covers it,
+// otherwise mark it for a payment link (sent by sendLateFeePaymentLinks)
+const billLateFee = (order, fee, deposit) => {
+  const remainingDeposit = deposit ? deposit.amount - deposit.totalDeductions : 0;
+
+  if (deposit && remainingDeposit >= fee.amount) {
+    deposit.deductions.push({
+      amount: fee.amount,
+      reason: `Late return fee for ${fee.productName} (${fee.days} days)`
+    });
+    fee.billedVia = 'Deposit';
+    fee.depositDeductionId = deposit.deductions[deposit.deductions.length - 1]._id;
+  } else {
+    fee.billedVia = 'Payment Link';
+  }
+
+  fee.status = 'Billed';
+};
+
+// Bill every late fee that has stopped accruing (the order has been returned)
+const billLateFees = async (order) => {
+  const pendingFees = order.pricing.adjustments.filter(adjustment =>
+    adjustment.type === 'Late Fee' && adjustment.status === 'Accruing' && adjustment.amount > 0
+  );
+  if (pendingFees.length === 0) return order;
+
+  const deposit = await Deposit.findOne({ order: order._id, status: 'Held' });
+
+  pendingFees.forEach(fee => billLateFee(order, fee, deposit));
+
+  if (deposit) {
+    await deposit.save();
+  }
+
+  return order;
+};
+
+// Stamp return dates, work out the final late fees and bill them. Fees the deposit
+// cannot cover still need sendLateFeePaymentLinks once the order is saved.
+const finalizeLateFees = async (order, returnedAt = new Date()) => {
+  order.items.forEach(item => {
+    if (!item.returnedAt) item.returnedAt = returnedAt;
+  });
+
+  await accrueLateFees(order, returnedAt);
+  return billLateFees(order);
+};
+
+// Override or waive a late fee, keeping an audit entry with the reason.
+// Returns { order } on success or { error } when the fee can no longer be changed.
+const adjustLateFee = async (order, fee, { action, amount, reason, actor }) => {
+  if (fee.status === 'Paid' || fee.status === 'Waived') {
+    return { error: `Late fee is already ${fee.status.toLowerCase()}` };
+  }
+
+  const previousAmount = fee.amount;
+  const newAmount = action === 'Waive' ? 0 : roundAmount(amount);
+
+  if (fee.status === 'Billed' && fee.billedVia === 'Deposit') {
+    const deposit = await Deposit.findOne({ order: order._id, status: 'Held' });
+    const deduction = deposit && deposit.deductions.id(fee.depositDeductionId);
+    if (!deduction) {
+      return { error: 'The deposit this fee was deducted from has already been settled' };
+    }
+
+    if (newAmount > 0) {
+      deduction.amount = newAmount;
+    } else {
+      deduction.deleteOne();
+    }
+    await deposit.save();
+  } else if (fee.status === 'Billed' && fee.billedVia === 'Payment Link') {
+    if (fee.paymentLink?.id) {
+      await razorpay.paymentLink.cancel(fee.paymentLink.id);
+    }
+    fee.paymentLink = undefined;
+
+    if (newAmount > 0) {
+      fee.amount = newAmount;
+      await sendLateFeePaymentLink(order, fee);
+    }
+  }
+
+  fee.amount = newAmount;
+  fee.overridden = true;
+  if (action === 'Waive') {
+    fee.status = 'Waived';
+  }
+
+  fee.audit.push({
+    action,
+    previousAmount,
+    amount: newAmount,
+    reason,
+    actor
+  });
+
+  updateLateFeeTotal(order);
+  return { order };
+};
+
+// Mark late fees paid once their payment link has been paid
+const syncPaymentLinkStatus = async (order) => {
+  const linkedFees = order.pricing.adjustments.filter(adjustment =>
+    adjustment.status === 'Billed' && adjustment.billedVia === 'Payment Link' && adjustment.paymentLink?.id
+  );
+
+  for (const fee of linkedFees) {
+    const link = await razorpay.paymentLink.fetch(fee.paymentLink.id);
+    if (link.status === 'paid') {
+      fee.status = 'Paid';
+    }
+  }
+
+  return order;
+};
+
+module.exports = {
+  OUT_ON_RENTAL_STATUSES,
+  getDailyLateFee,
+  getDaysLate,
+  accrueLateFees,
+  billLateFees,
+  finalizeLateFees,
+  sendLateFeePaymentLinks,
+  adjustLateFee,
+  syncPaymentLinkStatus
+};
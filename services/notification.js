@@ -0,0 +1,10 @@
+const Notification = require('../models/NotificationModel');
+
+// Add a notification to a user's inbox (shown by /api/user/notifications)
+const createNotification = (userId, { type = 'system', title, message, data = {} }) => {
+  return Notification.create({ userId, type, title, message, data });
+};
+
+module.exports = {
+  createNotification
+};
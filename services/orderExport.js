@@ -0,0 +1,131 @@
+const ExcelJS = require('exceljs');
+const { once } = require('events');
+
+// Order filter from list/export query parameters: status, payment status,
+// customer email and a from/to range on the order date.
+// Returns { filter } or { error }.
+const buildOrderFilter = ({ status, paymentStatus, email, from, to } = {}) => {
+  const filter = {};
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+    return { error: 'from and to must be valid dates' };
+  }
+
+  if (status) {
+    filter.status = status;
+  }
+  if (paymentStatus) {
+    filter['payment.status'] = paymentStatus;
+  }
+  if (email) {
+    filter['customerInfo.email'] = String(email).trim().toLowerCase();
+  }
+  if (fromDate || toDate) {
+    filter.createdAt = {};
+    if (fromDate) filter.createdAt.$gte = fromDate;
+    if (toDate) filter.createdAt.$lte = toDate;
+  }
+  return { filter };
+};
+
+// Export columns. Each order item gets its own row, with the order's
+// customer, address and pricing columns repeated on every row.
+const EXPORT_COLUMNS = [
+  { header: 'Order Number', width: 16, value: order => order.orderNumber },
+  { header: 'Order Date', width: 20, value: order => order.createdAt },
+  { header: 'Status', width: 12, value: order => order.status },
+  { header: 'Payment Status', width: 16, value: order => order.payment?.status },
+  { header: 'Payment Method', width: 16, value: order => order.payment?.method },
+  { header: 'Transaction ID', width: 24, value: order => order.payment?.transactionId },
+  { header: 'First Name', width: 14, value: order => order.customerInfo?.firstName },
+  { header: 'Last Name', width: 14, value: order => order.customerInfo?.lastName },
+  { header: 'Email', width: 28, value: order => order.customerInfo?.email },
+  { header: 'Phone', width: 14, value: order => order.customerInfo?.phoneNumber },
+  { header: 'Company', width: 20, value: order => order.customerInfo?.companyName },
+  { header: 'GSTIN', width: 18, value: order => order.customerInfo?.gstin },
+  { header: 'Street Address', width: 32, value: order => order.shippingAddress?.streetAddress },
+  { header: 'City', width: 14, value: order => order.shippingAddress?.city },
+  { header: 'State', width: 14, value: order => order.shippingAddress?.state },
+  { header: 'Postal Code', width: 12, value: order => order.shippingAddress?.postalCode },
+  { header: 'Country', width: 10, value: order => order.shippingAddress?.country },
+  { header: 'Shipping Method', width: 14, value: order => order.shipping?.method },
+  { header: 'Tracking Number', width: 18, value: order => order.shipping?.trackingNumber },
+  { header: 'Product', width: 28, value: (order, item) => item?.productName },
+  { header: 'Size', width: 8, value: (order, item) => item?.size },
+  { header: 'Color', width: 10, value: (order, item) => item?.color },
+  { header: 'Quantity', width: 9, value: (order, item) => item?.quantity },
+  { header: 'Rental Start', width: 20, value: (order, item) => item?.rentalStartDate },
+  { header: 'Rental End', width: 20, value: (order, item) => item?.rentalEndDate },
+  { header: 'Unit Price', width: 11, value: (order, item) => item?.unitPrice },
+  { header: 'Item Total', width: 11, value: (order, item) => item?.totalPrice },
+  { header: 'Item Taxable Value', width: 14, value: (order, item) => item?.taxableValue },
+  { header: 'Item GST Rate (%)', width: 12, value: (order, item) => item?.taxRate },
+  { header: 'Item GST', width: 10, value: (order, item) => item ? (item.cgst || 0) + (item.sgst || 0) + (item.igst || 0) : null },
+  { header: 'Coupon', width: 14, value: order => order.coupon?.code },
+  { header: 'Subtotal', width: 11, value: order => order.pricing?.subtotal },
+  { header: 'Discount', width: 10, value: order => order.pricing?.discount },
+  { header: 'Shipping', width: 10, value: order => order.pricing?.shipping },
+  { header: 'Tax', width: 10, value: order => order.pricing?.tax },
+  { header: 'Order Total', width: 12, value: order => order.pricing?.total },
+  { header: 'Deposit', width: 10, value: order => order.pricing?.deposit }
+];
+
+// Rows of one order, one per item (or a single row when it has none)
+const toExportRows = (order) => {
+  const items = order.items && order.items.length > 0 ? order.items : [null];
+  return items.map(item => EXPORT_COLUMNS.map(column => {
+    const value = column.value(order, item);
+    return value === undefined ? null : value;
+  }));
+};
+
+// Quote a CSV field. Text starting with a formula character is prefixed with
+// an apostrophe so spreadsheet apps do not run it.
+const toCsvField = (value) => {
+  if (value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write orders from a cursor to a stream as CSV, one order at a time,
+// waiting whenever the stream is full so memory use stays flat
+const writeOrdersCsv = async (cursor, output) => {
+  // Byte order mark so Excel opens the file as UTF-8
+  output.write('\uFEFF' + EXPORT_COLUMNS.map(column => toCsvField(column.header)).join(',') + '\r\n');
+
+  for await (const order of cursor) {
+    const lines = toExportRows(order).map(row => row.map(toCsvField).join(',') + '\r\n').join('');
+    if (!output.write(lines)) {
+      await once(output, 'drain');
+    }
+  }
+
+  output.end();
+};
+
+// Write orders from a cursor to a stream as an Excel workbook. Rows are committed
+// as they are written, so the sheet is never held in memory as a whole.
+const writeOrdersXlsx = async (cursor, output) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+  const sheet = workbook.addWorksheet('Orders', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = EXPORT_COLUMNS.map(column => ({ header: column.header, width: column.width }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const order of cursor) {
+    toExportRows(order).forEach(row => sheet.addRow(row).commit());
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+module.exports = {
+  buildOrderFilter,
+  writeOrdersCsv,
+  writeOrdersXlsx
+};
@@ -0,0 +1,117 @@
+const { releaseBookingsForOrder, completeBookingsForOrder } = require('./booking');
+const { finalizeLateFees, sendLateFeePaymentLinks } = require('./lateFee');
+const { createInspectionsForOrder } = require('./inspection');
+const { processWaitlistForOrder } = require('./waitlist');
+const {
+  assignUnitsToOrder,
+  unassignUnitsFromOrder,
+  returnUnitsForOrder,
+  releaseUnitsForOrder
+} = require('./unit');
+const { releaseOrderSlots } = require('./slot');
+const { releaseSubscriptionUsage } = require('./subscription');
+const { restockOrder } = require('./inventory');
+const { releaseCouponRedemption } = require('./coupon');
+
+// Statuses each order status may move to. Cancelled and Returned are final.
+const ORDER_STATUS_TRANSITIONS = {
+  Pending: ['Confirmed', 'Cancelled'],
+  Confirmed: ['Processing', 'Shipped', 'Cancelled'],
+  Processing: ['Shipped', 'Cancelled'],
+  // A refused delivery comes straight back
+  Shipped: ['Delivered', 'Returned'],
+  Delivered: ['Returned'],
+  Cancelled: [],
+  Returned: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+const canTransition = (from, to) => (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Move an order to a new status: check the transition, assign units on dispatch,
+// record the change and run the follow-up work for cancellations and returns.
+// Returns { order } or { error } (with allowedStatuses or unassignedItems).
+const transitionOrder = async (order, to, { actor, note, unitAssignments } = {}) => {
+  const from = order.status;
+
+  if (!canTransition(from, to)) {
+    const allowedStatuses = ORDER_STATUS_TRANSITIONS[from] || [];
+    return {
+      error: allowedStatuses.length > 0
+        ? `Cannot change order status from ${from} to ${to}. Allowed: ${allowedStatuses.join(', ')}`
+        : `Cannot change order status from ${from}; it is final`,
+      allowedStatuses
+    };
+  }
+
+  // Dispatching an order assigns the physical units that go out to the customer
+  if (to === 'Shipped') {
+    const unassignedItems = await assignUnitsToOrder(order, unitAssignments || [], actor);
+    if (unassignedItems.length > 0) {
+      return { error: 'Some items could not be assigned physical units', unassignedItems };
+    }
+    order.shipping.shippedAt = new Date();
+  } else if (to === 'Delivered') {
+    order.shipping.deliveredAt = new Date();
+  }
+
+  order.status = to;
+  order.statusHistory.push({ from, to, actor, note });
+  try {
+    await order.save();
+  } catch (error) {
+    // Units assigned above must not stay rented out to an order that never shipped
+    if (to === 'Shipped') {
+      await unassignUnitsFromOrder(order, order.items.flatMap(item => item.unitIds));
+    }
+    throw error;
+  }
+
+  // Cancelled orders free their rental dates; returned ones keep only the turnaround buffer.
+  // Purchased items go back into stock either way.
+  if (to === 'Cancelled') {
+    await releaseBookingsForOrder(order._id);
+    await releaseUnitsForOrder(order);
+    await releaseOrderSlots(order);
+    await releaseSubscriptionUsage(order);
+    await restockOrder(order, { type: 'Cancellation', reason: note, actor });
+    await releaseCouponRedemption(order);
+  } else if (to === 'Returned') {
+    await completeBookingsForOrder(order._id);
+    await returnUnitsForOrder(order);
+    await restockOrder(order, { type: 'Return', reason: note, actor });
+
+    // Charge for any days the items were kept past their rental end date
+    await finalizeLateFees(order);
+    await order.save();
+
+    // Returned garments are checked before they go back into stock
+    await createInspectionsForOrder(order);
+  }
+
+  // Offer any dates freed by a cancellation or early return to the waitlist
+  if (to === 'Cancelled' || to === 'Returned') {
+    await processWaitlistForOrder(order);
+  }
+
+  // Payment links go out last: a Razorpay failure is kept on the fee for the
+  // late fee job to retry and must not undo the return
+  if (to === 'Returned') {
+    try {
+      await sendLateFeePaymentLinks(order);
+      await order.save();
+    } catch (error) {
+      console.error(`Could not send late fee payment links for order ${order.orderNumber}:`, error);
+    }
+  }
+
+  return { order };
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  canTransition,
+  transitionOrder
+};
@@ -0,0 +1,199 @@
+const Product = require('../models/ProductModel');
+const Variant = require('../models/VariantModel');
+const { parseRentalPeriod, countDays } = require('./booking');
+const { roundAmount, calculateDeposits } = require('./deposit');
+const { coverItemsWithSubscription } = require('./subscription');
+const { calculateTax } = require('./tax');
+const { calculateCouponDiscount } = require('./coupon');
+const { quoteShipping } = require('./shipping');
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+// A variant price override scales the product's whole price list,
+// so an XL priced 10% higher is also 10% higher on every tier
+const getPriceMultiplier = (product, variant) => {
+  if (!variant || !hasValue(variant.price) || !product.price) return 1;
+  return variant.price / product.price;
+};
+
+// Cheapest way to cover a rental of the given length with the product's tiers.
+// A tier can be used for a shorter rental, or stretched with extra days.
+// Returns { unitPrice, tier, extraDays } or { error }.
+const calculateRentalPrice = (product, variant, days) => {
+  const multiplier = getPriceMultiplier(product, variant);
+  const tiers = product.rentalTiers || [];
+
+  // Without tiers the product price is a flat rental price
+  if (tiers.length === 0) {
+    return { unitPrice: roundAmount(product.price * multiplier), tier: null, extraDays: 0 };
+  }
+
+  let best = null;
+  tiers.forEach(tier => {
+    const extraDays = Math.max(0, days - tier.days);
+    if (extraDays > 0 && !hasValue(product.extraDayPrice)) return;
+
+    const price = tier.price + extraDays * (product.extraDayPrice || 0);
+    if (!best || price < best.price) {
+      best = { price, tier, extraDays };
+    }
+  });
+
+  if (!best) {
+    const longestTier = Math.max(...tiers.map(tier => tier.days));
+    return { error: `Rentals longer than ${longestTier} days are not available for this product` };
+  }
+
+  return {
+    unitPrice: roundAmount(best.price * multiplier),
+    tier: { days: best.tier.days, price: roundAmount(best.tier.price * multiplier) },
+    extraDays: best.extraDays
+  };
+};
+
+// Price for buying the item outright, falling back to the list price
+const calculatePurchasePrice = (product, variant) => {
+  const basePrice = hasValue(product.buyoutPrice) ? product.buyoutPrice : product.price;
+  return roundAmount(basePrice * getPriceMultiplier(product, variant));
+};
+
+// Price a single line: a rental when it has dates, otherwise a purchase.
+// Returns { unitPrice, days, tier, extraDays } or { error }.
+const priceItem = (product, variant, { rentalStartDate, rentalEndDate }) => {
+  if (!rentalStartDate && !rentalEndDate) {
+    return { unitPrice: calculatePurchasePrice(product, variant), days: 0, tier: null, extraDays: 0 };
+  }
+
+  const { startDate, endDate, error } = parseRentalPeriod(rentalStartDate, rentalEndDate);
+  if (error) return { error };
+
+  const days = countDays(startDate, endDate);
+  const result = calculateRentalPrice(product, variant, days);
+  if (result.error) return result;
+
+  return { ...result, days };
+};
+
+// Set unitPrice and totalPrice on order items from the catalogue.
+// Returns an array of problems; an empty array means every item was priced.
+const priceOrderItems = async (items) => {
+  const problems = [];
+
+  for (const item of items) {
+    const quantity = item.quantity === undefined || item.quantity === null ? 1 : Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      problems.push({ productId: item.productId, productName: item.productName, message: 'Quantity must be a whole number of at least 1' });
+      continue;
+    }
+    item.quantity = quantity;
+
+    const product = await Product.findById(item.productId);
+    if (!product) {
+      problems.push({ productId: item.productId, productName: item.productName, message: 'Product not found' });
+      continue;
+    }
+
+    const variant = item.variantId ? await Variant.findById(item.variantId) : null;
+    const { unitPrice, days, error } = priceItem(product, variant, item);
+    if (error) {
+      problems.push({ productId: item.productId, productName: product.productName, message: error });
+      continue;
+    }
+
+    item.productName = item.productName || product.productName;
+    item.unitPrice = unitPrice;
+    item.totalPrice = roundAmount(unitPrice * quantity);
+    if (days > 0) {
+      item.rentalDays = days;
+    }
+  }
+
+  return problems;
+};
+
+// Price a whole order from the catalogue, ignoring any prices sent by the browser.
+// Items covered by the member's subscription are zeroed first, then the coupon,
+// shipping (to the given pincode) and GST (for delivery to the given state) are
+// applied. The deposit is collected on top of the total. Each item gets its line-level tax.
+// Returns { pricing, deposit, covered, coupon, shipping, amountDue }, { problems },
+// { couponError } or { shippingError }.
+const priceOrder = async (items, { subscription, shippingMethod = 'Standard', coupon, state, pincode } = {}) => {
+  const problems = await priceOrderItems(items);
+  if (problems.length > 0) return { problems };
+
+  const covered = subscription
+    ? coverItemsWithSubscription(subscription, items)
+    : { quantity: 0, amount: 0 };
+
+  const subtotal = roundAmount(items.reduce((sum, item) => sum + item.totalPrice, 0));
+
+  // The coupon discount is spread over the items it applies to
+  let couponDiscount = null;
+  if (coupon) {
+    const result = await calculateCouponDiscount(coupon, items);
+    if (result.error) return { couponError: result.error };
+    couponDiscount = { ...result, coupon: coupon._id, code: coupon.code };
+  }
+  const appliedDiscount = couponDiscount ? roundAmount(Math.min(couponDiscount.discount, subtotal)) : 0;
+
+  // Free-shipping thresholds are checked against the value of the items being paid for
+  const { quote, problems: shippingProblems } = await quoteShipping(items, {
+    pincode,
+    method: shippingMethod,
+    orderValue: subtotal
+  });
+  if (shippingProblems) return { shippingError: shippingProblems[0].message };
+  const shipping = couponDiscount && couponDiscount.freeShipping ? 0 : quote.charge;
+
+  const tax = await calculateTax(items, {
+    state,
+    discount: appliedDiscount,
+    discountWeights: couponDiscount ? couponDiscount.eligibleAmounts : undefined,
+    shipping
+  });
+  items.forEach((item, index) => {
+    const { taxableValue, taxRate, cgst, sgst, igst } = tax.lines[index];
+    Object.assign(item, { taxableValue, taxRate, cgst, sgst, igst });
+  });
+
+  const total = roundAmount(subtotal - appliedDiscount + tax.totals.tax + shipping);
+  const deposit = await calculateDeposits(items);
+
+  return {
+    pricing: {
+      subtotal,
+      discount: appliedDiscount,
+      tax: tax.totals.tax,
+      shipping,
+      deposit: deposit.total,
+      total,
+      taxBreakdown: {
+        supplyType: tax.supplyType,
+        placeOfSupply: tax.placeOfSupply,
+        cgst: tax.totals.cgst,
+        sgst: tax.totals.sgst,
+        igst: tax.totals.igst,
+        shippingTaxRate: tax.shipping.taxRate,
+        shippingTax: tax.shipping.tax
+      }
+    },
+    deposit,
+    covered,
+    coupon: couponDiscount && {
+      coupon: couponDiscount.coupon,
+      code: couponDiscount.code,
+      discount: appliedDiscount,
+      freeShipping: couponDiscount.freeShipping
+    },
+    shipping: quote,
+    amountDue: roundAmount(total + deposit.total)
+  };
+};
+
+module.exports = {
+  calculateRentalPrice,
+  calculatePurchasePrice,
+  priceItem,
+  priceOrderItems,
+  priceOrder
+};
@@ -0,0 +1,82 @@
+const Razorpay = require('razorpay');
+const crypto = require('crypto');
+const Payment = require('../models/PaymentModel');
+const razorpayConfig = require('../config/razorpay');
+
+// Initialize Razorpay instance (Test Mode Only)
+const razorpay = new Razorpay({
+  key_id: razorpayConfig.test.key_id,
+  key_secret: razorpayConfig.test.key_secret,
+});
+
+// Check the signature Razorpay Checkout returns for a completed payment
+const verifyPaymentSignature = (razorpayOrderId, razorpayPaymentId, signature) => {
+  const expectedSignature = crypto
+    .createHmac('sha256', razorpayConfig.test.key_secret)
+    .update(`${razorpayOrderId}|${razorpayPaymentId}`)
+    .digest('hex');
+
+  return expectedSignature === signature;
+};
+
+// Map Razorpay refund statuses onto the PaymentModel refundStatus enum
+const toRefundStatus = (status) => {
+  if (status === 'processed') return 'Processed';
+  if (status === 'failed') return 'Failed';
+  return 'Pending';
+};
+
+// Total refunded so far on a payment document, leaving out refunds that failed
+const getRefundedAmount = (payment) => {
+  return (payment.refunds || [])
+    .filter(refund => refund.refundStatus !== 'Failed')
+    .reduce((sum, refund) => sum + (refund.refundAmount || 0), 0);
+};
+
+// Refund a Razorpay payment (fully, or partially when amount is given)
+// and add the refund to the matching payment document
+const refundPayment = async (paymentId, amount, notes) => {
+  // Create refund options
+  const refundOptions = {
+    payment_id: paymentId,
+    notes: notes || { reason: 'Customer request' }
+  };
+
+  // Add amount if partial refund
+  if (amount && amount > 0) {
+    refundOptions.amount = Math.round(amount * 100); // Convert to paise
+  }
+
+  // Process refund through Razorpay
+  const refund = await razorpay.payments.refund(paymentId, refundOptions);
+
+  // Update payment record in database
+  const payment = await Payment.findOne({ paymentId });
+  if (payment) {
+    payment.refunds.push({
+      refundId: refund.id,
+      refundAmount: refund.amount / 100,
+      refundStatus: toRefundStatus(refund.status),
+      refundReason: notes?.reason || 'Customer request',
+      refundedAt: new Date()
+    });
+
+    // Payment status follows everything refunded so far, not just this refund
+    const refunded = Math.round(getRefundedAmount(payment) * 100);
+    if (refunded > 0) {
+      payment.status = refunded >= Math.round(payment.amount.total * 100) ? 'Refunded' : 'Partially Refunded';
+    }
+
+    await payment.save();
+  }
+
+  return refund;
+};
+
+module.exports = {
+  razorpay,
+  verifyPaymentSignature,
+  toRefundStatus,
+  getRefundedAmount,
+  refundPayment
+};
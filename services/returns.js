@@ -0,0 +1,360 @@
+const ReturnRequest = require('../models/ReturnRequestModel');
+const Shipment = require('../models/ShipmentModel');
+const Payment = require('../models/PaymentModel');
+const returnsConfig = require('../config/returns');
+const { addDays, formatDay, completeBookingForItem } = require('./booking');
+const { roundAmount } = require('./deposit');
+const { adjustStock } = require('./inventory');
+const { refundPayment, toRefundStatus } = require('./razorpay');
+const { canTransition, transitionOrder } = require('./orderStatus');
+const { returnUnitsForItem } = require('./unit');
+const { processWaitlistForOrder } = require('./waitlist');
+const { addWorkingDays } = require('./shipping');
+const { issueStoreCredit } = require('./storeCredit');
+const { createCreditNoteForRefund } = require('./creditNote');
+
+// Statuses each return request status may move to. Rejected, Resolved and Cancelled are final.
+const RETURN_STATUS_TRANSITIONS = {
+  Requested: ['Approved', 'Rejected', 'Cancelled'],
+  // Customers can also drop the items off instead of waiting for a pickup
+  Approved: ['Pickup Scheduled', 'Received', 'Cancelled'],
+  'Pickup Scheduled': ['Received'],
+  Received: ['Resolved'],
+  Rejected: [],
+  Resolved: [],
+  Cancelled: []
+};
+
+const RETURN_STATUSES = Object.keys(RETURN_STATUS_TRANSITIONS);
+
+// Return requests in these statuses no longer claim the items they list
+const CLOSED_WITHOUT_RETURN = ['Rejected', 'Cancelled'];
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+// Move a return request to a new status and record the change. The caller saves it.
+// Returns { returnRequest } or { error, allowedStatuses }.
+const transitionReturn = (returnRequest, to, { actor, note } = {}) => {
+  const from = returnRequest.status;
+  const allowedStatuses = RETURN_STATUS_TRANSITIONS[from] || [];
+
+  if (!allowedStatuses.includes(to)) {
+    return {
+      error: allowedStatuses.length > 0
+        ? `Cannot change return status from ${from} to ${to}. Allowed: ${allowedStatuses.join(', ')}`
+        : `Cannot change return status from ${from}; it is final`,
+      allowedStatuses
+    };
+  }
+
+  returnRequest.status = to;
+  returnRequest.statusHistory.push({ from, to, actor, note });
+  return { returnRequest };
+};
+
+// Amount the customer paid for one unit of an order item, GST included
+const getPaidUnitAmount = (item) => {
+  const paid = hasValue(item.taxableValue)
+    ? item.taxableValue + (item.cgst || 0) + (item.sgst || 0) + (item.igst || 0)
+    : item.totalPrice;
+  return roundAmount(paid / (item.quantity || 1));
+};
+
+// Delivered orders can be returned for a few days after they arrive.
+// Returns an error message, or null when the order can be returned.
+const checkReturnWindow = (order, now = new Date()) => {
+  if (order.status !== 'Delivered') {
+    return `Orders with status ${order.status} cannot be returned`;
+  }
+
+  const deliveredAt = order.shipping.deliveredAt || order.updatedAt;
+  const lastDay = addDays(deliveredAt, returnsConfig.windowDays);
+  if (now > lastDay) {
+    return `Returns must be requested within ${returnsConfig.windowDays} days of delivery`;
+  }
+
+  return null;
+};
+
+// Quantity of each order item already claimed by other return requests
+const getReturnedQuantities = async (orderId) => {
+  const requests = await ReturnRequest.find({ order: orderId, status: { $nin: CLOSED_WITHOUT_RETURN } });
+  const quantities = {};
+  requests.forEach(request => request.items.forEach(item => {
+    const key = String(item.itemId);
+    quantities[key] = (quantities[key] || 0) + item.quantity;
+  }));
+  return quantities;
+};
+
+// Check the items of a return request against the order and earlier returns.
+// Each requested item is { itemId, quantity, reasonCode, reasonNotes }.
+// Returns { items } ready to store, or { problems }.
+const buildReturnItems = async (order, requestedItems) => {
+  const returned = await getReturnedQuantities(order._id);
+  const seen = new Set();
+  const items = [];
+  const problems = [];
+
+  for (const requested of requestedItems) {
+    const item = order.items.id(requested.itemId);
+    if (!item) {
+      problems.push({ itemId: requested.itemId, message: 'Item is not part of this order' });
+      continue;
+    }
+    if (seen.has(String(item._id))) {
+      problems.push({ itemId: item._id, productName: item.productName, message: 'Item is listed more than once' });
+      continue;
+    }
+    seen.add(String(item._id));
+
+    const quantity = parseInt(requested.quantity) || 1;
+    const returnable = (item.quantity || 1) - (returned[String(item._id)] || 0);
+    if (quantity < 1 || quantity > returnable) {
+      problems.push({
+        itemId: item._id,
+        productName: item.productName,
+        message: returnable > 0 ? `Only ${returnable} unit(s) can be returned` : 'This item has already been returned'
+      });
+      continue;
+    }
+
+    if (!returnsConfig.reasonCodes.includes(requested.reasonCode)) {
+      problems.push({
+        itemId: item._id,
+        productName: item.productName,
+        message: `Reason must be one of: ${returnsConfig.reasonCodes.join(', ')}`
+      });
+      continue;
+    }
+
+    items.push({
+      itemId: item._id,
+      product: item.productId,
+      variant: item.variantId,
+      productName: item.productName,
+      size: item.size,
+      color: item.color,
+      quantity,
+      unitAmount: getPaidUnitAmount(item),
+      isRental: Boolean(item.rentalStartDate && item.rentalEndDate),
+      reasonCode: requested.reasonCode,
+      reasonNotes: requested.reasonNotes
+    });
+  }
+
+  return problems.length > 0 ? { problems } : { items };
+};
+
+// Most a return can be refunded: what was paid for the returned units
+const getRefundableAmount = (returnRequest) => {
+  return roundAmount(returnRequest.items.reduce((sum, item) => sum + item.unitAmount * item.quantity, 0));
+};
+
+// Book a courier to collect the items from the delivery address. The AWB is
+// generated from the RMA number unless the admin enters the courier's own.
+// Returns { returnRequest, shipment } or { error }.
+const scheduleReversePickup = async (returnRequest, order, { carrier, awbNumber, scheduledFor, actor } = {}) => {
+  const pickupDate = scheduledFor ? new Date(scheduledFor) : addWorkingDays(new Date(), returnsConfig.pickupLeadDays);
+  if (isNaN(pickupDate.getTime())) {
+    return { error: 'scheduledFor must be a valid date' };
+  }
+
+  const result = transitionReturn(returnRequest, 'Pickup Scheduled', {
+    actor,
+    note: `Reverse pickup on ${formatDay(pickupDate)}`
+  });
+  if (result.error) return result;
+
+  const shipment = await Shipment.create({
+    order: order._id,
+    orderNumber: order.orderNumber,
+    direction: 'Reverse',
+    returnRequest: returnRequest._id,
+    carrier: carrier || returnsConfig.pickupCarrier,
+    awbNumber: awbNumber || `RVP-${returnRequest.rmaNumber}`,
+    events: [{
+      status: 'Created',
+      description: `Reverse pickup scheduled for ${formatDay(pickupDate)}`,
+      occurredAt: new Date(),
+      source: 'Admin',
+      actor
+    }],
+    createdBy: actor
+  });
+
+  returnRequest.pickup = {
+    shipment: shipment._id,
+    carrier: shipment.carrier,
+    awbNumber: shipment.awbNumber,
+    scheduledFor: pickupDate
+  };
+  await returnRequest.save();
+
+  return { returnRequest, shipment };
+};
+
+// Confirm the returned items arrived. When every item of the order has now
+// come back the order is marked Returned, which restocks it and opens inspections;
+// otherwise the purchased items of this return go back into stock and its rental
+// items free their booked dates and units.
+// Returns { returnRequest } or { error }.
+const receiveReturn = async (returnRequest, order, { actor, notes } = {}) => {
+  const result = transitionReturn(returnRequest, 'Received', { actor, note: notes });
+  if (result.error) return result;
+
+  returnRequest.receipt = { receivedAt: new Date(), receivedBy: actor, notes };
+  await returnRequest.save();
+
+  const received = await ReturnRequest.find({ order: order._id, status: { $in: ['Received', 'Resolved'] } });
+  const receivedQuantities = {};
+  received.forEach(request => request.items.forEach(item => {
+    const key = String(item.itemId);
+    receivedQuantities[key] = (receivedQuantities[key] || 0) + item.quantity;
+  }));
+  const isWholeOrder = order.items.every(item => (receivedQuantities[String(item._id)] || 0) >= (item.quantity || 1));
+
+  if (isWholeOrder && canTransition(order.status, 'Returned')) {
+    const orderResult = await transitionOrder(order, 'Returned', {
+      actor,
+      note: `Returned under ${returnRequest.rmaNumber}`
+    });
+    if (orderResult.error) {
+      console.error(`Could not mark order ${order.orderNumber} returned:`, orderResult.error);
+    }
+    return { returnRequest };
+  }
+
+  let freedRentalDates = false;
+  for (const item of returnRequest.items) {
+    if (item.isRental) {
+      const orderItem = order.items.id(item.itemId);
+      if (!orderItem) continue;
+      await completeBookingForItem(order._id, orderItem, item.quantity);
+      await returnUnitsForItem(order, orderItem, item.quantity);
+      freedRentalDates = true;
+      continue;
+    }
+    await adjustStock(item.product, item.variant, item.quantity, {
+      type: 'Return',
+      order,
+      reason: `Returned under ${returnRequest.rmaNumber}`,
+      actor
+    });
+  }
+
+  if (freedRentalDates) {
+    await processWaitlistForOrder(order);
+  }
+
+  return { returnRequest };
+};
+
+// Settle a received return with a refund to the original payment or with store
+// credit, for up to what was paid for the returned units. The return is claimed
+// as Resolved in the database first, so two admins resolving it at once cannot
+// both pay it out.
+// Returns { returnRequest } or { error }.
+const resolveReturn = async (request, order, { type, amount, notes, actor } = {}) => {
+  if (!['Refund', 'Store Credit'].includes(type)) {
+    return { error: 'Resolution type must be Refund or Store Credit' };
+  }
+
+  const refundable = getRefundableAmount(request);
+  const resolvedAmount = hasValue(amount) ? roundAmount(parseFloat(amount)) : refundable;
+  if (!(resolvedAmount > 0) || resolvedAmount > refundable) {
+    return { error: `Amount must be more than 0 and at most ${refundable}` };
+  }
+
+  if (type === 'Refund' && (order.payment.method !== 'Razorpay' || !order.payment.transactionId)) {
+    return { error: 'Only Razorpay payments can be refunded automatically; issue store credit instead' };
+  }
+
+  const note = `${type} of ${resolvedAmount}`;
+  const result = transitionReturn(request, 'Resolved', { actor, note });
+  if (result.error) return result;
+
+  const returnRequest = await ReturnRequest.findOneAndUpdate(
+    { _id: request._id, status: 'Received' },
+    {
+      $set: { status: 'Resolved' },
+      $push: { statusHistory: { from: 'Received', to: 'Resolved', actor, note } }
+    },
+    { new: true }
+  );
+  if (!returnRequest) {
+    return { error: 'This return has already been resolved' };
+  }
+
+  const resolution = { type, amount: resolvedAmount, notes, resolvedBy: actor, resolvedAt: new Date() };
+
+  if (type === 'Refund') {
+    let refund;
+    try {
+      refund = await refundPayment(order.payment.transactionId, resolvedAmount, {
+        reason: `Return ${returnRequest.rmaNumber}`,
+        orderNumber: order.orderNumber
+      });
+    } catch (error) {
+      // Nothing was paid out, so the return can be resolved again
+      await ReturnRequest.updateOne(
+        { _id: returnRequest._id, status: 'Resolved' },
+        { $set: { status: 'Received' }, $pop: { statusHistory: 1 } }
+      );
+      throw error;
+    }
+    const payment = await Payment.findOne({ paymentId: order.payment.transactionId });
+
+    Object.assign(resolution, {
+      amount: refund.amount / 100,
+      payment: payment ? payment._id : undefined,
+      paymentId: order.payment.transactionId,
+      refundId: refund.id,
+      refundStatus: toRefundStatus(refund.status)
+    });
+
+    // Earlier refunds on the same payment, such as a deposit release, count too
+    order.payment.status = payment && payment.status === 'Refunded' ? 'Refunded' : 'Partially Refunded';
+    await order.save();
+  } else {
+    const credit = await issueStoreCredit({
+      user: returnRequest.customer,
+      amount: resolvedAmount,
+      reason: `Return ${returnRequest.rmaNumber}`,
+      order,
+      returnRequest: returnRequest._id,
+      createdBy: actor
+    });
+    resolution.storeCredit = credit._id;
+  }
+
+  returnRequest.resolution = resolution;
+  await returnRequest.save();
+
+  // Refunds and store credit both reduce the value of the invoiced supply
+  try {
+    await createCreditNoteForRefund(order, {
+      amount: resolution.amount,
+      reason: `Return ${returnRequest.rmaNumber}`,
+      refundId: resolution.refundId,
+      returnRequest: returnRequest._id,
+      actor
+    });
+  } catch (error) {
+    console.error(`Could not issue credit note for return ${returnRequest.rmaNumber}:`, error);
+  }
+
+  return { returnRequest };
+};
+
+module.exports = {
+  RETURN_STATUSES,
+  RETURN_STATUS_TRANSITIONS,
+  transitionReturn,
+  checkReturnWindow,
+  buildReturnItems,
+  getRefundableAmount,
+  scheduleReversePickup,
+  receiveReturn,
+  resolveReturn
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const Order = require('../models/OrderModel');
+const courierConfig = require('../config/courier');
+const { canTransition, transitionOrder } = require('./orderStatus');
+
+// Courier status codes in the webhook format and the shipment status each one means
+const COURIER_STATUS_CODES = {
+  PICKED_UP: 'Picked Up',
+  IN_TRANSIT: 'In Transit',
+  OUT_FOR_DELIVERY: 'Out for Delivery',
+  DELIVERY_FAILED: 'Delivery Failed',
+  DELIVERED: 'Delivered',
+  RTO_INITIATED: 'RTO Initiated',
+  RTO_DELIVERED: 'RTO Delivered'
+};
+
+// Order status a shipment status moves the order to. A parcel that came back
+// to us undelivered (RTO, return to origin) is a returned order.
+const ORDER_STATUS_FOR_SHIPMENT = {
+  'Picked Up': 'Shipped',
+  'In Transit': 'Shipped',
+  'Out for Delivery': 'Shipped',
+  'Delivery Failed': 'Shipped',
+  'RTO Initiated': 'Shipped',
+  Delivered: 'Delivered',
+  'RTO Delivered': 'Returned'
+};
+
+// Check a courier webhook: an HMAC-SHA256 of "<timestamp>.<raw body>" with the
+// shared secret, signed recently enough not to be a replayed request
+const verifyCourierSignature = (rawBody, timestamp, signature) => {
+  if (!courierConfig.webhookSecret || !timestamp || !signature) return false;
+
+  const signedAt = parseInt(timestamp);
+  const age = Math.abs(Date.now() / 1000 - signedAt);
+  if (!signedAt || age > courierConfig.webhookToleranceSeconds) return false;
+
+  const expectedSignature = crypto
+    .createHmac('sha256', courierConfig.webhookSecret)
+    .update(`${signedAt}.${rawBody}`)
+    .digest('hex');
+
+  const expected = Buffer.from(expectedSignature);
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Move an order forward to the status a shipment update implies, through Shipped
+// when needed. Orders already past that point, or not yet confirmed, are left alone.
+// Returns { order } or { error }.
+const advanceOrderForShipment = async (order, shipmentStatus, { actor, note } = {}) => {
+  const target = ORDER_STATUS_FOR_SHIPMENT[shipmentStatus];
+  if (!target || order.status === target) return { order };
+
+  const steps = target === 'Shipped' ? ['Shipped'] : ['Shipped', target];
+  for (const step of steps) {
+    if (order.status === step) continue;
+    if (!canTransition(order.status, step)) return { order };
+
+    const result = await transitionOrder(order, step, { actor, note });
+    if (result.error) return result;
+  }
+
+  return { order };
+};
+
+// Add tracking events to a shipment, skipping any already recorded, and bring the
+// shipment and its order up to date with the latest one.
+// Each event is { eventId, status, code, description, location, occurredAt, source, actor }.
+// Returns { shipment, added, orderError } where orderError is set when the
+// order could not be moved on (for example no units were free to dispatch).
+const recordTrackingEvents = async (shipment, events, { estimatedDelivery } = {}) => {
+  let added = 0;
+
+  for (const event of events) {
+    const isDuplicate = shipment.events.some(existing => event.eventId
+      ? existing.eventId === event.eventId
+      : existing.status === event.status && existing.occurredAt.getTime() === event.occurredAt.getTime());
+    if (isDuplicate) continue;
+
+    shipment.events.push(event);
+    added++;
+  }
+
+  shipment.events.sort((a, b) => a.occurredAt - b.occurredAt);
+  const latest = shipment.events[shipment.events.length - 1];
+  if (latest) {
+    shipment.status = latest.status;
+  }
+  const delivered = shipment.events.find(event => event.status === 'Delivered');
+  if (delivered) {
+    shipment.deliveredAt = delivered.occurredAt;
+  }
+  if (estimatedDelivery) {
+    shipment.estimatedDelivery = estimatedDelivery;
+  }
+  await shipment.save();
+
+  // Reverse pickups do not move the order on; returns are received by hand
+  if (added === 0 || !latest || shipment.direction === 'Reverse') return { shipment, added };
+
+  const order = await Order.findById(shipment.order);
+  if (!order) return { shipment, added };
+
+  if (estimatedDelivery) {
+    order.shipping.estimatedDelivery = estimatedDelivery;
+    await order.save();
+  }
+
+  const result = await advanceOrderForShipment(order, latest.status, {
+    actor: latest.actor,
+    note: `${shipment.carrier} ${shipment.awbNumber}: ${latest.description || latest.status}`
+  });
+  if (result.error) {
+    console.error(`Could not update order ${order.orderNumber} from shipment ${shipment.awbNumber}:`, result.error);
+  }
+
+  return { shipment, added, orderError: result.error };
+};
+
+// Turn the events of a courier webhook into tracking events.
+// Returns { events } or { problems } for events with an unknown status or date.
+const parseCourierEvents = (payloadEvents) => {
+  const events = [];
+  const problems = [];
+
+  (payloadEvents || []).forEach((event, index) => {
+    const code = String(event.status || '').trim().toUpperCase();
+    const status = COURIER_STATUS_CODES[code];
+    const occurredAt = new Date(event.occurred_at);
+
+    if (!status) {
+      problems.push({ index, message: `Unknown status ${event.status}` });
+    } else if (isNaN(occurredAt.getTime())) {
+      problems.push({ index, message: 'occurred_at must be a valid date' });
+    } else {
+      events.push({
+        eventId: event.id ? String(event.id) : undefined,
+        status,
+        code,
+        description: event.description,
+        location: event.location,
+        occurredAt,
+        source: 'Courier'
+      });
+    }
+  });
+
+  return problems.length > 0 ? { problems } : { events };
+};
+
+module.exports = {
+  COURIER_STATUS_CODES,
+  verifyCourierSignature,
+  parseCourierEvents,
+  recordTrackingEvents
+};
@@ -0,0 +1,120 @@
+const Product = require('../models/ProductModel');
+const shippingConfig = require('../config/shipping');
+const { toDay, addDays } = require('./booking');
+const { findZoneForPincode } = require('./slot');
+const { roundAmount } = require('./deposit');
+
+const isValidPincode = (pincode) => /^\d{6}$/.test(String(pincode || '').trim());
+
+// Courier zone for a delivery pincode, counted from the dispatch pincode.
+// Pincodes on the store's own delivery runs, or in the same sorting district
+// (first three digits), are local; the same postal circle (first two) is regional.
+const getShippingZone = async (pincode) => {
+  const code = String(pincode).trim();
+  const origin = shippingConfig.originPincode;
+
+  if (code.slice(0, 3) === origin.slice(0, 3) || (await findZoneForPincode(code))) {
+    return 'Local';
+  }
+  if (code.slice(0, 2) === origin.slice(0, 2)) {
+    return 'Regional';
+  }
+  if (shippingConfig.remotePrefixes.some(prefix => code.startsWith(prefix))) {
+    return 'Remote';
+  }
+  return 'National';
+};
+
+// Parcel weight in grams for order items, packaging included
+const calculateParcelWeight = async (items) => {
+  let weight = shippingConfig.packagingWeight;
+
+  for (const item of items) {
+    const product = await Product.findById(item.productId).select('weight');
+    const itemWeight = product && product.weight ? product.weight : shippingConfig.defaultItemWeight;
+    weight += itemWeight * (item.quantity || 1);
+  }
+
+  return weight;
+};
+
+// Add working days to a date, skipping Sundays
+const addWorkingDays = (date, days) => {
+  let result = toDay(date);
+  let remaining = days;
+  while (remaining > 0) {
+    result = addDays(result, 1);
+    if (result.getUTCDay() !== 0) remaining--;
+  }
+  return result;
+};
+
+// Charge for one method in a zone: the base slab plus every further slab started
+const calculateCharge = (rate, weight) => {
+  const slabs = Math.max(1, Math.ceil(weight / shippingConfig.slabWeight));
+  return roundAmount(rate.base + (slabs - 1) * rate.additional);
+};
+
+// Quote a shipping method for a parcel in a zone. orderValue is checked against
+// the method's free-shipping threshold. Returns the quote, or null when the
+// method is not offered in the zone.
+const quoteMethod = (method, { zone, weight, orderValue = 0, from = new Date() }) => {
+  const rate = (shippingConfig.rates[zone] || {})[method];
+  if (!rate) return null;
+
+  const threshold = shippingConfig.freeShippingThresholds[method];
+  const isFree = Boolean(threshold) && orderValue >= threshold;
+  const transitDays = shippingConfig.transitDays[zone][method];
+
+  return {
+    method,
+    zone,
+    weight,
+    charge: isFree ? 0 : calculateCharge(rate, weight),
+    freeShipping: isFree,
+    freeShippingThreshold: threshold || null,
+    transitDays,
+    estimatedDelivery: addWorkingDays(from, shippingConfig.handlingDays + transitDays)
+  };
+};
+
+// Quote shipping for order items to a pincode with one method.
+// Returns { quote } or { problems }.
+const quoteShipping = async (items, { pincode, method = 'Standard', orderValue = 0 } = {}) => {
+  if (!isValidPincode(pincode)) {
+    return { problems: [{ message: 'A valid 6-digit delivery pincode is required' }] };
+  }
+
+  const zone = await getShippingZone(pincode);
+  const weight = await calculateParcelWeight(items);
+  const quote = quoteMethod(method, { zone, weight, orderValue });
+  if (!quote) {
+    return { problems: [{ message: `${method} shipping is not available to pincode ${pincode}` }] };
+  }
+
+  return { quote };
+};
+
+// Quote every method offered to a pincode, cheapest first.
+// Returns { zone, weight, quotes } or { problems }.
+const quoteShippingOptions = async (items, { pincode, orderValue = 0 } = {}) => {
+  if (!isValidPincode(pincode)) {
+    return { problems: [{ message: 'A valid 6-digit delivery pincode is required' }] };
+  }
+
+  const zone = await getShippingZone(pincode);
+  const weight = await calculateParcelWeight(items);
+  const quotes = Object.keys(shippingConfig.rates[zone])
+    .map(method => quoteMethod(method, { zone, weight, orderValue }))
+    .sort((a, b) => a.charge - b.charge);
+
+  return { zone, weight, quotes };
+};
+
+module.exports = {
+  getShippingZone,
+  calculateParcelWeight,
+  addWorkingDays,
+  quoteShipping,
+  quoteShippingOptions
+};
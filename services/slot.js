@@ -0,0 +1,146 @@
+const DeliveryZone = require('../models/DeliveryZoneModel');
+const DeliverySlot = require('../models/DeliverySlotModel');
+const { toDay, addDays, formatDay } = require('./booking');
+
+// Active zone that serves a pincode, or null
+const findZoneForPincode = (pincode) => {
+  if (!pincode) return null;
+  return DeliveryZone.findOne({ pincodes: String(pincode).trim(), isActive: true });
+};
+
+// Earliest rental start and latest rental end across an order's items
+const getRentalWindow = (items) => {
+  const rentalItems = items.filter(item => item.rentalStartDate && item.rentalEndDate);
+  if (rentalItems.length === 0) return null;
+
+  return {
+    startDate: new Date(Math.min(...rentalItems.map(item => toDay(item.rentalStartDate).getTime()))),
+    endDate: new Date(Math.max(...rentalItems.map(item => toDay(item.rentalEndDate).getTime())))
+  };
+};
+
+// Check a delivery or pickup slot choice against the address and rental dates.
+// Deliveries arrive on or before the rental start; pickups happen on the
+// rental end date or the day after. Returns { slot } or { error }.
+const validateSlot = async (slotId, type, { pincode, items }) => {
+  const slot = await DeliverySlot.findById(slotId);
+  if (!slot || !slot.isActive) {
+    return { error: `${type} slot not found` };
+  }
+
+  const zone = await findZoneForPincode(pincode);
+  if (!zone || String(zone._id) !== String(slot.zone)) {
+    return { error: `The selected ${type.toLowerCase()} slot does not serve pincode ${pincode}` };
+  }
+
+  const today = toDay(new Date());
+  if (slot.date < today) {
+    return { error: `The selected ${type.toLowerCase()} slot is in the past` };
+  }
+
+  const window = getRentalWindow(items);
+  if (window && type === 'Delivery' && slot.date > window.startDate) {
+    return { error: `Delivery must be on or before the rental start date (${formatDay(window.startDate)})` };
+  }
+  if (window && type === 'Pickup' && (slot.date < window.endDate || slot.date > addDays(window.endDate, 1))) {
+    return { error: `Pickup must be on ${formatDay(window.endDate)} or the day after` };
+  }
+
+  if (slot.booked >= slot.capacity) {
+    return { error: `The selected ${type.toLowerCase()} slot is fully booked` };
+  }
+
+  return { slot };
+};
+
+// Validate the delivery and pickup slots chosen for an order.
+// Returns an array of problems; an empty array means both can be booked.
+const validateOrderSlots = async ({ deliverySlotId, pickupSlotId }, { pincode, items }) => {
+  const problems = [];
+
+  if (deliverySlotId) {
+    const { error } = await validateSlot(deliverySlotId, 'Delivery', { pincode, items });
+    if (error) problems.push({ type: 'Delivery', message: error });
+  }
+  if (pickupSlotId) {
+    const { error } = await validateSlot(pickupSlotId, 'Pickup', { pincode, items });
+    if (error) problems.push({ type: 'Pickup', message: error });
+  }
+
+  return problems;
+};
+
+// Take one place in a slot, only if it still has room. Returns the slot or null.
+const reserveSlot = (slotId) => {
+  return DeliverySlot.findOneAndUpdate(
+    { _id: slotId, isActive: true, $expr: { $lt: ['$booked', '$capacity'] } },
+    { $inc: { booked: 1 } },
+    { new: true }
+  );
+};
+
+// Give a place in a slot back
+const releaseSlot = (slotId) => {
+  return DeliverySlot.findOneAndUpdate(
+    { _id: slotId, booked: { $gt: 0 } },
+    { $inc: { booked: -1 } },
+    { new: true }
+  );
+};
+
+const toOrderSlot = (slot) => ({
+  slot: slot._id,
+  zone: slot.zone,
+  date: slot.date,
+  startTime: slot.startTime,
+  endTime: slot.endTime
+});
+
+// Book the chosen slots and record them on the order, replacing any earlier
+// choice. Returns an array of problems for slots that filled up in the
+// meantime. The caller saves the order.
+const bookOrderSlots = async (order, { deliverySlotId, pickupSlotId }) => {
+  const problems = [];
+  const choices = [
+    { field: 'deliverySlot', slotId: deliverySlotId, type: 'Delivery' },
+    { field: 'pickupSlot', slotId: pickupSlotId, type: 'Pickup' }
+  ];
+
+  for (const { field, slotId, type } of choices) {
+    if (!slotId) continue;
+
+    const current = order.shipping[field];
+    if (current && current.slot && String(current.slot) === String(slotId)) continue;
+
+    const slot = await reserveSlot(slotId);
+    if (!slot) {
+      problems.push({ type, message: `The selected ${type.toLowerCase()} slot is fully booked` });
+      continue;
+    }
+
+    if (current && current.slot) {
+      await releaseSlot(current.slot);
+    }
+    order.shipping[field] = toOrderSlot(slot);
+  }
+
+  return problems;
+};
+
+// Free the slots of a cancelled or deleted order
+const releaseOrderSlots = async (order) => {
+  const shipping = order.shipping || {};
+
+  for (const field of ['deliverySlot', 'pickupSlot']) {
+    if (shipping[field] && shipping[field].slot) {
+      await releaseSlot(shipping[field].slot);
+    }
+  }
+};
+
+module.exports = {
+  findZoneForPincode,
+  validateOrderSlots,
+  bookOrderSlots,
+  releaseOrderSlots
+};
@@ -0,0 +1,93 @@
+const StoreCredit = require('../models/StoreCreditModel');
+const User = require('../models/UserModel');
+const returnsConfig = require('../config/returns');
+const { roundAmount } = require('./deposit');
+const { addDays } = require('./booking');
+
+// Add store credit to a customer's account, usable until it expires
+const issueStoreCredit = ({ user, amount, reason, order, returnRequest, createdBy }) => {
+  return StoreCredit.create({
+    user,
+    amount: roundAmount(amount),
+    type: 'Credit',
+    reason,
+    order: order ? order._id : undefined,
+    orderNumber: order ? order.orderNumber : undefined,
+    returnRequest,
+    expiresAt: addDays(new Date(), returnsConfig.storeCreditValidityDays),
+    createdBy
+  });
+};
+
+// Credit a customer can still spend. Each spend uses up the oldest credits that
+// were still valid when it was made, so only the unspent part of a credit expires.
+const getStoreCreditBalance = async (userId, now = new Date(), session = null) => {
+  const entries = await StoreCredit.find({ user: userId })
+    .sort({ createdAt: 1, _id: 1 })
+    .session(session);
+
+  const credits = [];
+  for (const entry of entries) {
+    if (entry.type === 'Credit') {
+      credits.push({ remaining: entry.amount, expiresAt: entry.expiresAt });
+      continue;
+    }
+
+    let toSpend = -entry.amount;
+    for (const credit of credits) {
+      if (toSpend <= 0) break;
+      if (credit.remaining <= 0 || (credit.expiresAt && credit.expiresAt <= entry.createdAt)) continue;
+      const used = Math.min(credit.remaining, toSpend);
+      credit.remaining -= used;
+      toSpend -= used;
+    }
+  }
+
+  const balance = credits
+    .filter(credit => !credit.expiresAt || credit.expiresAt > now)
+    .reduce((sum, credit) => sum + credit.remaining, 0);
+  return roundAmount(Math.max(0, balance));
+};
+
+// Store credit a customer can put towards an amount: their balance, up to that amount
+const getUsableStoreCredit = async (userId, amount) => {
+  if (!userId || !(amount > 0)) return 0;
+  return roundAmount(Math.min(await getStoreCreditBalance(userId), amount));
+};
+
+// Spend store credit on an order inside its checkout transaction. Touching the
+// customer's user document makes two checkouts spending the same balance
+// conflict, so the retried one sees the first one's debit.
+// Returns { debit } or { error }.
+const redeemStoreCredit = async (order, session) => {
+  const amount = roundAmount(order.pricing.storeCredit);
+  const userId = order.customerInfo.userId;
+  if (!userId) {
+    return { error: 'Sign in to pay with store credit' };
+  }
+
+  await User.updateOne({ _id: userId }, { $currentDate: { updatedAt: true } }, { session, timestamps: false });
+  const balance = await getStoreCreditBalance(userId, new Date(), session);
+  if (balance < amount) {
+    return { error: 'Your store credit balance no longer covers this order' };
+  }
+
+  const [debit] = await StoreCredit.create([{
+    user: userId,
+    amount: -amount,
+    type: 'Debit',
+    reason: `Spent on order ${order.orderNumber}`,
+    order: order._id,
+    orderNumber: order.orderNumber,
+    createdBy: userId
+  }], { session });
+
+  return { debit };
+};
+
+module.exports = {
+  issueStoreCredit,
+  getStoreCreditBalance,
+  getUsableStoreCredit,
+  redeemStoreCredit
+};
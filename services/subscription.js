@@ -0,0 +1,147 @@
+const Subscription = require('../models/SubscriptionModel');
+const { roundAmount } = require('./deposit');
+
+// Razorpay subscription states, as stored on SubscriptionModel
+const GATEWAY_STATUSES = {
+  created: 'Created',
+  authenticated: 'Authenticated',
+  active: 'Active',
+  pending: 'Pending',
+  halted: 'Halted',
+  paused: 'Paused',
+  cancelled: 'Cancelled',
+  completed: 'Completed',
+  expired: 'Expired'
+};
+
+// Subscriptions that still count as the member's current plan
+const OPEN_STATUSES = ['Created', 'Authenticated', 'Active', 'Pending', 'Paused'];
+
+// Copy the status and billing period from a gateway subscription entity.
+// A new billing period starts the monthly quota again.
+const syncSubscription = (subscription, entity) => {
+  subscription.status = GATEWAY_STATUSES[entity.status] || subscription.status;
+
+  if (entity.current_start && entity.current_end) {
+    const periodStart = new Date(entity.current_start * 1000);
+    if (!subscription.currentPeriodStart || periodStart > subscription.currentPeriodStart) {
+      subscription.itemsUsed = 0;
+    }
+    subscription.currentPeriodStart = periodStart;
+    subscription.currentPeriodEnd = new Date(entity.current_end * 1000);
+  }
+
+  if (subscription.status === 'Cancelled' && !subscription.cancelledAt) {
+    subscription.cancelledAt = new Date();
+  }
+
+  return subscription;
+};
+
+// The member's active subscription for the current billing month, or null
+const getActiveSubscription = (userId) => {
+  if (!userId) return null;
+
+  return Subscription.findOne({
+    user: userId,
+    status: 'Active',
+    currentPeriodEnd: { $gt: new Date() }
+  }).populate('plan');
+};
+
+// Mark the rental items the member's remaining quota pays for and zero their price.
+// Items must already be priced. Returns { quantity, amount } covered.
+const coverItemsWithSubscription = (subscription, items) => {
+  let remaining = subscription.itemsRemaining;
+  let quantity = 0;
+  let amount = 0;
+
+  for (const item of items) {
+    if (!item.rentalStartDate || !item.rentalEndDate) continue;
+
+    const itemQuantity = item.quantity || 1;
+    if (itemQuantity > remaining) continue;
+
+    // Rentals longer than the plan allows, or starting after this month, are charged normally
+    const { maxRentalDays } = subscription.plan;
+    if (maxRentalDays && item.rentalDays > maxRentalDays) continue;
+    if (new Date(item.rentalStartDate) >= subscription.currentPeriodEnd) continue;
+
+    amount += item.totalPrice;
+    quantity += itemQuantity;
+    remaining -= itemQuantity;
+
+    item.coveredBySubscription = true;
+    item.unitPrice = 0;
+    item.totalPrice = 0;
+  }
+
+  return { quantity, amount: roundAmount(amount) };
+};
+
+// Take items from the member's quota, only if enough is left.
+// Returns the updated subscription, or null when the quota ran out.
+const reserveSubscriptionItems = (subscription, quantity) => {
+  return Subscription.findOneAndUpdate(
+    {
+      _id: subscription._id,
+      status: 'Active',
+      $expr: { $lte: [{ $add: ['$itemsUsed', quantity] }, '$itemsPerMonth'] }
+    },
+    { $inc: { itemsUsed: quantity } },
+    { new: true }
+  );
+};
+
+// Give back reserved items when the order could not be created
+const releaseSubscriptionItems = (subscription, quantity) => {
+  return Subscription.updateOne(
+    { _id: subscription._id, itemsUsed: { $gte: quantity } },
+    { $inc: { itemsUsed: -quantity } }
+  );
+};
+
+// Record which order used the reserved items
+const recordSubscriptionUsage = (subscription, order, quantity) => {
+  return Subscription.updateOne(
+    { _id: subscription._id },
+    {
+      $push: {
+        usage: {
+          order: order._id,
+          orderNumber: order.orderNumber,
+          quantity,
+          periodStart: subscription.currentPeriodStart
+        }
+      }
+    }
+  );
+};
+
+// Return a cancelled order's items to the quota, if it is still the same billing month
+const releaseSubscriptionUsage = async (order) => {
+  const subscription = await Subscription.findOne({ 'usage.order': order._id });
+  if (!subscription) return null;
+
+  const usage = subscription.usage.find(entry => String(entry.order) === String(order._id));
+  const samePeriod = usage.periodStart && subscription.currentPeriodStart &&
+    usage.periodStart.getTime() === subscription.currentPeriodStart.getTime();
+
+  if (samePeriod) {
+    subscription.itemsUsed = Math.max(0, subscription.itemsUsed - usage.quantity);
+  }
+  usage.deleteOne();
+
+  return subscription.save();
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  syncSubscription,
+  getActiveSubscription,
+  coverItemsWithSubscription,
+  reserveSubscriptionItems,
+  releaseSubscriptionItems,
+  recordSubscriptionUsage,
+  releaseSubscriptionUsage
+};
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const { razorpay } = require('./razorpay');
+const razorpayConfig = require('../config/razorpay');
+const subscriptionConfig = require('../config/subscription');
+
+const MONTH_SECONDS = 30 * 24 * 60 * 60;
+
+// Signature Razorpay Checkout returns after the first subscription payment
+const verifySubscriptionSignature = (razorpayPaymentId, razorpaySubscriptionId, signature) => {
+  const expectedSignature = crypto
+    .createHmac('sha256', razorpayConfig.test.key_secret)
+    .update(`${razorpayPaymentId}|${razorpaySubscriptionId}`)
+    .digest('hex');
+
+  return expectedSignature === signature;
+};
+
+// Razorpay Subscriptions: plans and subscriptions live on Razorpay,
+// which charges the customer every month and reports back through webhooks
+const razorpayGateway = {
+  createPlan: ({ name, description, amount }) => razorpay.plans.create({
+    period: 'monthly',
+    interval: 1,
+    item: {
+      name,
+      description,
+      amount: Math.round(amount * 100), // Convert to paise
+      currency: 'INR'
+    }
+  }),
+
+  createSubscription: ({ planId, notes }) => razorpay.subscriptions.create({
+    plan_id: planId,
+    total_count: subscriptionConfig.totalCount,
+    customer_notify: 1,
+    notes
+  }),
+
+  fetchSubscription: (subscriptionId) => razorpay.subscriptions.fetch(subscriptionId),
+
+  // Members keep their quota until the month they paid for is over
+  cancelSubscription: (subscriptionId) => razorpay.subscriptions.cancel(subscriptionId, true),
+
+  verifyPaymentSignature: verifySubscriptionSignature,
+
+  verifyWebhookSignature: (rawBody, signature) => {
+    if (!subscriptionConfig.webhookSecret || !signature) return false;
+    return Razorpay.validateWebhookSignature(rawBody, signature, subscriptionConfig.webhookSecret);
+  }
+};
+
+// In-memory stand-in for Razorpay, for local development without Razorpay keys.
+// Subscriptions become active as soon as they are fetched after checkout.
+const mockPlans = new Map();
+const mockSubscriptions = new Map();
+
+const mockId = (prefix) => `${prefix}_mock_${crypto.randomBytes(7).toString('hex')}`;
+
+const mockGateway = {
+  createPlan: async ({ name, description, amount }) => {
+    const plan = {
+      id: mockId('plan'),
+      period: 'monthly',
+      interval: 1,
+      item: { name, description, amount: Math.round(amount * 100), currency: 'INR' }
+    };
+    mockPlans.set(plan.id, plan);
+    return plan;
+  },
+
+  createSubscription: async ({ planId, notes }) => {
+    const subscription = {
+      id: mockId('sub'),
+      plan_id: planId,
+      status: 'created',
+      total_count: subscriptionConfig.totalCount,
+      current_start: null,
+      current_end: null,
+      notes
+    };
+    mockSubscriptions.set(subscription.id, subscription);
+    return subscription;
+  },
+
+  fetchSubscription: async (subscriptionId) => {
+    const subscription = mockSubscriptions.get(subscriptionId);
+    if (!subscription) {
+      throw new Error(`Subscription ${subscriptionId} not found`);
+    }
+
+    if (subscription.status === 'created') {
+      const now = Math.floor(Date.now() / 1000);
+      subscription.status = 'active';
+      subscription.current_start = now;
+      subscription.current_end = now + MONTH_SECONDS;
+    }
+    return subscription;
+  },
+
+  cancelSubscription: async (subscriptionId) => {
+    const subscription = mockSubscriptions.get(subscriptionId);
+    if (!subscription) {
+      throw new Error(`Subscription ${subscriptionId} not found`);
+    }
+
+    subscription.status = 'cancelled';
+    return subscription;
+  },
+
+  // Mock checkouts and webhooks are accepted without a signature
+  verifyPaymentSignature: () => true,
+  verifyWebhookSignature: () => true
+};
+
+// The gateway selected in config/subscription.js
+const getSubscriptionGateway = () => {
+  return subscriptionConfig.gateway === 'mock' ? mockGateway : razorpayGateway;
+};
+
+module.exports = {
+  getSubscriptionGateway
+};
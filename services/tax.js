@@ -0,0 +1,134 @@
+const Product = require('../models/ProductModel');
+const Category = require('../models/CategoryModel');
+const gstConfig = require('../config/gst');
+const { roundAmount } = require('./deposit');
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+// Official spelling of a state name as entered by a customer, or null when it is not an Indian state
+const findStateName = (state) => {
+  if (!state) return null;
+  return Object.keys(gstConfig.stateCodes).find(key => key.toLowerCase() === state.trim().toLowerCase()) || null;
+};
+
+// GST state code for a state name, or null when it is not an Indian state
+const getStateCode = (state) => {
+  const name = findStateName(state);
+  return name ? gstConfig.stateCodes[name] : null;
+};
+
+// Split an amount across lines in proportion to their weights, to the paisa,
+// with any rounding difference on the last line so the parts add up exactly
+const allocate = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const totalPaise = Math.round(amount * 100);
+  let allocated = 0;
+
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) return (totalPaise - allocated) / 100;
+    const share = totalWeight > 0 ? Math.round(totalPaise * weight / totalWeight) : 0;
+    allocated += share;
+    return share / 100;
+  });
+};
+
+// Within the seller's state tax is split equally into CGST and SGST; otherwise it is IGST
+const splitTax = (tax, isInterState) => {
+  if (isInterState) return { cgst: 0, sgst: 0, igst: tax };
+  const cgst = roundAmount(tax / 2);
+  return { cgst, sgst: roundAmount(tax - cgst), igst: 0 };
+};
+
+// Place of supply for a delivery state and whether it lies outside the seller's state.
+// Without a delivery state the supply is treated as within the seller's state.
+const getSupplyDetails = (state) => {
+  const sellerState = gstConfig.seller.state;
+  const stateCode = getStateCode(state);
+  const isInterState = stateCode
+    ? stateCode !== getStateCode(sellerState)
+    : Boolean(state) && state.trim().toLowerCase() !== sellerState.toLowerCase();
+
+  return {
+    placeOfSupply: stateCode ? `${findStateName(state)} (${stateCode})` : (state || sellerState),
+    supplyType: isInterState ? 'Inter-State' : 'Intra-State',
+    isInterState
+  };
+};
+
+// GST rate (%) for each item: its product category's rate, or the store default
+const getItemRates = async (items) => {
+  const categoryRates = {};
+  const rates = [];
+
+  for (const item of items) {
+    const product = await Product.findById(item.productId).select('category');
+    const categoryId = product && product.category ? String(product.category) : null;
+
+    if (categoryId && !(categoryId in categoryRates)) {
+      const category = await Category.findById(categoryId).select('gstRate');
+      categoryRates[categoryId] = category && hasValue(category.gstRate) ? category.gstRate : null;
+    }
+
+    const rate = categoryId ? categoryRates[categoryId] : null;
+    rates.push(hasValue(rate) ? rate : gstConfig.defaultRate);
+  }
+
+  return rates;
+};
+
+// Work out GST on priced order items (their totalPrice) for delivery to a state.
+// The order discount is spread over the items first (in proportion to discountWeights
+// when only some items were discounted), and delivery is taxed as part
+// of a composite supply at the rate of its principal (highest value) item.
+// Returns the supply details, line amounts in item order, the delivery line and totals.
+const calculateTax = async (items, { state, discount = 0, discountWeights, shipping = 0 } = {}) => {
+  const supply = getSupplyDetails(state);
+  const rates = await getItemRates(items);
+  const discounts = allocate(discount, discountWeights || items.map(item => item.totalPrice || 0));
+
+  const lines = items.map((item, index) => {
+    const taxableValue = roundAmount(Math.max(0, (item.totalPrice || 0) - discounts[index]));
+    const tax = roundAmount(taxableValue * rates[index] / 100);
+    return {
+      discount: discounts[index],
+      taxableValue,
+      taxRate: rates[index],
+      tax,
+      ...splitTax(tax, supply.isInterState)
+    };
+  });
+
+  const principal = lines.reduce((best, line) => (!best || line.taxableValue > best.taxableValue ? line : best), null);
+  const shippingTaxRate = shipping > 0 && principal ? principal.taxRate : 0;
+  const shippingTax = roundAmount(shipping * shippingTaxRate / 100);
+  const shippingLine = {
+    taxableValue: shipping,
+    taxRate: shippingTaxRate,
+    tax: shippingTax,
+    ...splitTax(shippingTax, supply.isInterState)
+  };
+
+  const allLines = [...lines, shippingLine];
+  const sum = (field) => roundAmount(allLines.reduce((total, line) => total + line[field], 0));
+
+  return {
+    ...supply,
+    lines,
+    shipping: shippingLine,
+    totals: {
+      taxableValue: sum('taxableValue'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      tax: sum('tax')
+    }
+  };
+};
+
+module.exports = {
+  getStateCode,
+  allocate,
+  splitTax,
+  getSupplyDetails,
+  calculateTax
+};
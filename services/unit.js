@@ -0,0 +1,296 @@
+const InventoryUnit = require('../models/InventoryUnitModel');
+const Order = require('../models/OrderModel');
+const { roundAmount } = require('./deposit');
+const { adjustStock } = require('./inventory');
+
+// Units in these statuses are not counted in the product/variant stock
+const OUT_OF_STOCK_STATUSES = ['Repair', 'Retired'];
+
+// Unit status after each inspection decision
+const INSPECTION_STATUSES = {
+  Restock: 'Available',
+  Repair: 'Repair',
+  Retire: 'Retired'
+};
+
+const isRentalItem = (item) => item.rentalStartDate && item.rentalEndDate;
+
+// Pick the units to send out for each rental item of an order, using the
+// admin's choice where given and otherwise the least-worn available units.
+// Items of products that have no units registered are not tracked.
+// Returns { selections } or { problems }.
+const selectUnitsForOrder = async (order, assignments = []) => {
+  const selections = [];
+  const problems = [];
+
+  for (const item of order.items) {
+    if (!isRentalItem(item) || item.unitIds.length > 0) continue;
+
+    const unitFilter = { product: item.productId };
+    if (item.variantId) {
+      unitFilter.variant = item.variantId;
+    }
+
+    const trackedCount = await InventoryUnit.countDocuments(unitFilter);
+    if (trackedCount === 0) continue;
+
+    const quantity = item.quantity || 1;
+    const assignment = assignments.find(entry => String(entry.itemId) === String(item._id));
+    let units;
+
+    if (assignment) {
+      const unitIds = assignment.unitIds || [];
+      units = await InventoryUnit.find({ ...unitFilter, _id: { $in: unitIds }, status: 'Available' });
+      if (units.length !== unitIds.length || units.length !== quantity) {
+        problems.push({
+          itemId: item._id,
+          productName: item.productName,
+          message: `Select ${quantity} available unit(s) of this product`
+        });
+        continue;
+      }
+    } else {
+      units = await InventoryUnit.find({ ...unitFilter, status: 'Available' })
+        .sort({ rentalCount: 1, createdAt: 1 })
+        .limit(quantity);
+      if (units.length < quantity) {
+        problems.push({
+          itemId: item._id,
+          productName: item.productName,
+          message: `Only ${units.length} of ${quantity} unit(s) are available to dispatch`
+        });
+        continue;
+      }
+    }
+
+    selections.push({ item, unitIds: units.map(unit => unit._id) });
+  }
+
+  return problems.length > 0 ? { problems } : { selections };
+};
+
+// Undo a dispatch that did not go through: units rented out to the order go back
+// on the shelf as if they had never left, and the order items drop them
+const unassignUnitsFromOrder = async (order, unitIds) => {
+  await InventoryUnit.updateMany(
+    { _id: { $in: unitIds }, currentOrder: order._id, status: 'Rented' },
+    {
+      status: 'Available',
+      currentOrder: null,
+      $inc: { rentalCount: -1 },
+      $pull: { history: { action: 'Dispatched', order: order._id } }
+    }
+  );
+
+  const unassigned = unitIds.map(String);
+  order.items.forEach(item => {
+    item.unitIds = item.unitIds.filter(unitId => !unassigned.includes(String(unitId)));
+  });
+};
+
+// Rent the chosen units of one item out on the order.
+// Returns false when another dispatch took one of them in the meantime.
+const assignUnitsToItem = async (order, item, unitIds, actor) => {
+  const result = await InventoryUnit.updateMany(
+    { _id: { $in: unitIds }, status: 'Available' },
+    {
+      status: 'Rented',
+      currentOrder: order._id,
+      $inc: { rentalCount: 1 },
+      $push: {
+        history: {
+          action: 'Dispatched',
+          status: 'Rented',
+          order: order._id,
+          orderNumber: order.orderNumber,
+          actor
+        }
+      }
+    }
+  );
+  if (result.modifiedCount !== unitIds.length) return false;
+
+  item.unitIds = unitIds;
+  return true;
+};
+
+// Mark the selected units as rented out on the order and record them on its items.
+// Returns an array of problems; an empty array means every item was assigned.
+// Nothing stays assigned when an item fails. The caller saves the order, and
+// calls unassignUnitsFromOrder if that save fails.
+const assignUnitsToOrder = async (order, assignments, actor) => {
+  const { selections, problems } = await selectUnitsForOrder(order, assignments);
+  if (problems) return problems;
+
+  // Units this call may have rented out, including a partly applied update
+  const touchedUnitIds = [];
+  try {
+    for (const { item, unitIds } of selections) {
+      touchedUnitIds.push(...unitIds);
+      if (!(await assignUnitsToItem(order, item, unitIds, actor))) {
+        await unassignUnitsFromOrder(order, touchedUnitIds);
+        return [{ itemId: item._id, productName: item.productName, message: 'Some units were assigned to another order, please try again' }];
+      }
+    }
+  } catch (error) {
+    await unassignUnitsFromOrder(order, touchedUnitIds);
+    throw error;
+  }
+
+  return [];
+};
+
+// Returned units go to cleaning and are credited with the rental income
+const markUnitsReturned = (order, item, unitIds) => {
+  const revenuePerUnit = roundAmount(item.totalPrice / (item.quantity || 1));
+  return InventoryUnit.updateMany(
+    { _id: { $in: unitIds }, currentOrder: order._id },
+    {
+      status: 'Cleaning',
+      currentOrder: null,
+      $inc: { totalRevenue: revenuePerUnit },
+      $push: {
+        history: { action: 'Returned', status: 'Cleaning', order: order._id, orderNumber: order.orderNumber }
+      }
+    }
+  );
+};
+
+const returnUnitsForOrder = async (order) => {
+  for (const item of order.items) {
+    if (item.unitIds.length === 0) continue;
+    await markUnitsReturned(order, item, item.unitIds);
+  }
+};
+
+// Return some of an order line's units in a partial return. Returns do not say
+// which physical units came back, so the first ones still out are taken.
+const returnUnitsForItem = async (order, item, quantity) => {
+  if (item.unitIds.length === 0) return;
+
+  const units = await InventoryUnit.find({ _id: { $in: item.unitIds }, currentOrder: order._id })
+    .select('_id')
+    .limit(quantity);
+  if (units.length === 0) return;
+
+  await markUnitsReturned(order, item, units.map(unit => unit._id));
+};
+
+// Put units back on the shelf when a dispatched order is cancelled
+const releaseUnitsForOrder = (order) => {
+  return InventoryUnit.updateMany(
+    { currentOrder: order._id, status: 'Rented' },
+    {
+      status: 'Available',
+      currentOrder: null,
+      $inc: { rentalCount: -1 },
+      $push: {
+        history: { action: 'Released', status: 'Available', order: order._id, orderNumber: order.orderNumber }
+      }
+    }
+  );
+};
+
+// Carry an inspection result over to the units of the inspected item.
+// Stock is already adjusted for the whole item by the inspection itself.
+const updateUnitsAfterInspection = async (inspection) => {
+  const order = await Order.findById(inspection.order).select('items');
+  const item = order && order.items.id(inspection.itemId);
+  if (!item || item.unitIds.length === 0) return;
+
+  const status = inspection.repairStatus === 'Repaired' ? 'Available' : INSPECTION_STATUSES[inspection.decision];
+  const update = {
+    status,
+    $push: {
+      history: {
+        action: status === 'Retired' ? 'Retired' : 'Inspected',
+        status,
+        order: inspection.order,
+        orderNumber: inspection.orderNumber,
+        actor: inspection.inspectedBy
+      }
+    }
+  };
+
+  if (inspection.conditionGrade) {
+    update.condition = inspection.conditionGrade;
+  }
+  if (status === 'Retired') {
+    update.retiredAt = new Date();
+    update.retirementReason = inspection.damageNotes || 'Retired after return inspection';
+  }
+
+  await InventoryUnit.updateMany({ _id: { $in: item.unitIds }, status: { $ne: 'Retired' } }, update);
+};
+
+// Move a unit to a new status by hand, keeping the aggregate stock in line
+// when it leaves or rejoins the rentable fleet. Returns { unit } or { error }.
+const changeUnitStatus = async (unit, status, { notes, actor } = {}) => {
+  if (unit.status === 'Retired') {
+    return { error: 'Retired units cannot be changed' };
+  }
+  if (unit.status === 'Rented' || status === 'Rented') {
+    return { error: 'Units are rented out and returned through their orders' };
+  }
+
+  const wasInStock = !OUT_OF_STOCK_STATUSES.includes(unit.status);
+  const isInStock = !OUT_OF_STOCK_STATUSES.includes(status);
+  if (wasInStock !== isInStock) {
+    await adjustStock(unit.product, unit.variant, isInStock ? 1 : -1, {
+      type: 'Unit Status',
+      reason: `Unit ${unit.serialNumber} moved from ${unit.status} to ${status}`,
+      actor
+    });
+  }
+
+  unit.status = status;
+  if (status === 'Retired') {
+    unit.retiredAt = new Date();
+    unit.retirementReason = notes;
+  }
+  unit.history.push({
+    action: status === 'Retired' ? 'Retired' : 'Status Changed',
+    status,
+    notes,
+    actor
+  });
+
+  await unit.save();
+  return { unit };
+};
+
+// Orders a unit went out on, oldest first, with the dates and income of each rental
+const getUnitRentalHistory = async (unit) => {
+  const orders = await Order.find({ 'items.unitIds': unit._id })
+    .select('orderNumber status customerInfo items createdAt')
+    .sort({ createdAt: 1 });
+
+  return orders.map(order => {
+    const item = order.items.find(orderItem => orderItem.unitIds.some(unitId => String(unitId) === String(unit._id)));
+
+    return {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      orderStatus: order.status,
+      customer: {
+        name: `${order.customerInfo.firstName} ${order.customerInfo.lastName}`,
+        email: order.customerInfo.email
+      },
+      rentalStartDate: item.rentalStartDate,
+      rentalEndDate: item.rentalEndDate,
+      returnedAt: item.returnedAt,
+      revenue: roundAmount(item.totalPrice / (item.quantity || 1))
+    };
+  });
+};
+
+module.exports = {
+  assignUnitsToOrder,
+  unassignUnitsFromOrder,
+  returnUnitsForOrder,
+  returnUnitsForItem,
+  releaseUnitsForOrder,
+  updateUnitsAfterInspection,
+  changeUnitStatus,
+  getUnitRentalHistory
+};
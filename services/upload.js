@@ -0,0 +1,113 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// Photos are stored with the storefront so it can serve them under /uploads
+const UPLOADS_PATH = path.join(__dirname, '../../rental_website/public/uploads');
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB limit per file
+
+const imageFilter = (req, file, cb) => {
+  // Accept only image files
+  if (file.mimetype.startsWith('image/')) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only image files are allowed!'), false);
+  }
+};
+
+// Multer for photo uploads into one folder under the storefront uploads.
+// Files are named <prefix>-<unique suffix><extension>.
+const createImageUpload = ({ folder, prefix, maxFiles }) => {
+  const storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+      const uploadPath = path.join(UPLOADS_PATH, folder);
+      // Create directory if it doesn't exist
+      if (!fs.existsSync(uploadPath)) {
+        fs.mkdirSync(uploadPath, { recursive: true });
+      }
+      cb(null, uploadPath);
+    },
+    filename: function (req, file, cb) {
+      // Generate unique filename
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      const extension = path.extname(file.originalname);
+      cb(null, `${prefix}-${uniqueSuffix}${extension}`);
+    }
+  });
+
+  return multer({
+    storage: storage,
+    fileFilter: imageFilter,
+    limits: {
+      fileSize: MAX_FILE_SIZE,
+      files: maxFiles
+    }
+  });
+};
+
+// URL the storefront serves an uploaded file from
+const toUploadUrl = (folder, file) => `/uploads/${folder}/${file.filename}`;
+
+// Delete uploaded files a request did not keep. Failures are only logged.
+const removeUploadedFiles = async (files) => {
+  for (const file of files || []) {
+    try {
+      await fs.promises.unlink(file.path);
+    } catch (error) {
+      // Multer already removes the files of an upload that failed part way
+      if (error.code !== 'ENOENT') {
+        console.error(`Could not remove uploaded file ${file.path}:`, error.message);
+      }
+    }
+  }
+};
+
+// Middleware placed before the upload: when the request ends in an error
+// response, the photos it uploaded are deleted instead of left orphaned
+const removeUploadsOnError = (req, res, next) => {
+  res.on('finish', () => {
+    if (res.statusCode >= 400) {
+      removeUploadedFiles(req.files);
+    }
+  });
+  next();
+};
+
+// Error handler for the upload middleware; other errors are passed on
+const handleUploadErrors = (maxFiles) => (error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        error: 'File too large',
+        message: 'File size must be less than 5MB'
+      });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        success: false,
+        error: 'Too many files',
+        message: `Up to ${maxFiles} photos can be uploaded`
+      });
+    }
+  }
+
+  if (error.message === 'Only image files are allowed!') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid file type',
+      message: 'Only image files are allowed'
+    });
+  }
+
+  next(error);
+};
+
+module.exports = {
+  createImageUpload,
+  toUploadUrl,
+  removeUploadedFiles,
+  removeUploadsOnError,
+  handleUploadErrors
+};
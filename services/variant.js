@@ -0,0 +1,77 @@
+const Variant = require('../models/VariantModel');
+
+// Match an order item to one of the product's variants, by ID or by size/color
+const findVariantForItem = (variants, item) => {
+  if (item.variantId) {
+    return variants.find(variant => String(variant._id) === String(item.variantId));
+  }
+
+  const matches = variants.filter(variant =>
+    variant.size === item.size &&
+    (!item.color || variant.color.toLowerCase() === item.color.toLowerCase())
+  );
+
+  // Without a color the size alone must identify a single variant
+  return matches.length === 1 ? matches[0] : null;
+};
+
+// Attach variant details (variantId, sku, size, color) to order items.
+// Products without variants are left as they are.
+// Returns an array of problems; an empty array means every item resolved.
+const resolveItemVariants = async (items) => {
+  const problems = [];
+
+  for (const item of items) {
+    const variants = await Variant.find({ product: item.productId, isActive: true });
+    if (variants.length === 0 && !item.variantId) continue;
+
+    const variant = findVariantForItem(variants, item);
+    if (!variant) {
+      problems.push({
+        productId: item.productId,
+        productName: item.productName,
+        message: item.variantId
+          ? 'Selected variant does not exist for this product'
+          : 'Please select a valid size and color for this product'
+      });
+      continue;
+    }
+
+    item.variantId = variant._id;
+    item.sku = variant.sku;
+    item.size = variant.size;
+    item.color = variant.color;
+  }
+
+  return problems;
+};
+
+// Build the product filter for size/color so only in-stock variants match.
+// Products that have no variants yet are matched on their own sizes/color/stock.
+const buildVariantFilter = async ({ size, color }) => {
+  const variantFilter = { isActive: true, stock: { $gt: 0 } };
+  if (size) variantFilter.size = size;
+  if (color) variantFilter.color = { $regex: color, $options: 'i' };
+
+  const [inStockProductIds, productsWithVariants] = await Promise.all([
+    Variant.distinct('product', variantFilter),
+    Variant.distinct('product', { isActive: true })
+  ]);
+
+  const legacyFilter = { _id: { $nin: productsWithVariants }, stock: { $gt: 0 } };
+  if (size) legacyFilter.sizes = { $in: [size] };
+  if (color) legacyFilter.color = { $regex: color, $options: 'i' };
+
+  return {
+    $or: [
+      { _id: { $in: inStockProductIds } },
+      legacyFilter
+    ]
+  };
+};
+
+module.exports = {
+  findVariantForItem,
+  resolveItemVariants,
+  buildVariantFilter
+};
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const Waitlist = require('../models/WaitlistModel');
+const Product = require('../models/ProductModel');
+const rentalConfig = require('../config/rental');
+const { toDay, formatDay, createHolds, releaseHolds } = require('./booking');
+const { createNotification } = require('./notification');
+
+// Notified customers get a booking hold under this key for their claim window
+const getClaimHoldId = (entry) => `waitlist_${entry._id}`;
+
+// A waitlist entry in the shape the booking helpers expect
+const toWaitlistItem = (entry) => ({
+  productId: entry.product,
+  variantId: entry.variant,
+  size: entry.size,
+  quantity: entry.quantity,
+  rentalStartDate: entry.startDate,
+  rentalEndDate: entry.endDate
+});
+
+// Expire lapsed claim windows and entries whose dates have already started
+const expireWaitlistEntries = async (filter = {}) => {
+  const now = new Date();
+
+  const lapsedClaims = await Waitlist.updateMany(
+    { ...filter, status: 'Notified', claimExpiresAt: { $lte: now } },
+    { status: 'Expired' }
+  );
+  const pastDates = await Waitlist.updateMany(
+    { ...filter, status: 'Waiting', startDate: { $lt: toDay(now) } },
+    { status: 'Expired' }
+  );
+
+  return lapsedClaims.modifiedCount + pastDates.modifiedCount;
+};
+
+// Notify waiting customers, oldest first, whose dates can now be booked.
+// Each notified customer's units are held for the claim window, so later
+// entries only see what is left. Returns the notified entries.
+const processWaitlistForProduct = async (productId) => {
+  await expireWaitlistEntries({ product: productId });
+
+  const entries = await Waitlist.find({ product: productId, status: 'Waiting' }).sort({ createdAt: 1 });
+  if (entries.length === 0) return [];
+
+  const product = await Product.findById(productId).select('productName');
+  const notified = [];
+
+  for (const entry of entries) {
+    // The dates are checked and held for the customer in one locked step
+    const item = toWaitlistItem(entry);
+    const { expiresAt: claimExpiresAt, unavailableItems } = await createHolds([item], getClaimHoldId(entry), {
+      minutes: rentalConfig.waitlistClaimMinutes,
+      heldBy: entry.user
+    });
+    if (unavailableItems) continue;
+
+    entry.status = 'Notified';
+    entry.notifiedAt = new Date();
+    entry.claimExpiresAt = claimExpiresAt;
+    await entry.save();
+
+    await createNotification(entry.user, {
+      type: 'waitlist',
+      title: 'Your dates are available',
+      message: `${product ? product.productName : 'An item on your waitlist'} is available from ${formatDay(toDay(entry.startDate))} to ${formatDay(toDay(entry.endDate))}. Book within ${rentalConfig.waitlistClaimMinutes} minutes to claim it.`,
+      data: {
+        waitlistId: entry._id,
+        productId,
+        variantId: entry.variant,
+        size: entry.size,
+        startDate: entry.startDate,
+        endDate: entry.endDate,
+        claimExpiresAt
+      }
+    });
+
+    notified.push(entry);
+  }
+
+  return notified;
+};
+
+// Offer freed dates to the waitlist after an order is cancelled or returned.
+// Waitlist problems are logged so they never fail the order update.
+const processWaitlistForOrder = async (order) => {
+  const productIds = [...new Set(order.items
+    .filter(item => item.rentalStartDate && item.rentalEndDate)
+    .map(item => String(item.productId)))];
+
+  for (const productId of productIds) {
+    try {
+      await processWaitlistForProduct(productId);
+    } catch (error) {
+      console.error('❌ Waitlist processing failed for product', productId, error.message);
+    }
+  }
+};
+
+// A customer's notified entry whose claim window is still open, or null
+const findClaimableEntry = (waitlistId, userId) => {
+  if (!mongoose.isValidObjectId(waitlistId)) return null;
+
+  return Waitlist.findOne({
+    _id: waitlistId,
+    user: userId,
+    status: 'Notified',
+    claimExpiresAt: { $gt: new Date() }
+  });
+};
+
+// The cart item a waitlist claim covers: the same product, variant (or size)
+// and dates, for no more units than were held. Returns the item or null.
+const findClaimedItem = (entry, items) => {
+  const startDate = toDay(entry.startDate).getTime();
+  const endDate = toDay(entry.endDate).getTime();
+
+  return items.find(item =>
+    String(item.productId) === String(entry.product) &&
+    (!entry.variant || String(item.variantId) === String(entry.variant)) &&
+    (!entry.size || item.size === entry.size) &&
+    toDay(item.rentalStartDate)?.getTime() === startDate &&
+    toDay(item.rentalEndDate)?.getTime() === endDate &&
+    (item.quantity || 1) <= entry.quantity
+  ) || null;
+};
+
+// Mark an entry as claimed once checkout holds have replaced its claim hold
+const claimWaitlistEntry = async (entry) => {
+  await releaseHolds(getClaimHoldId(entry));
+
+  entry.status = 'Claimed';
+  entry.claimedAt = new Date();
+  return entry.save();
+};
+
+// Leave the waitlist. A notified customer's held units go to the next in line.
+const cancelWaitlistEntry = async (entry) => {
+  const wasNotified = entry.status === 'Notified';
+
+  entry.status = 'Cancelled';
+  await entry.save();
+
+  if (wasNotified) {
+    await releaseHolds(getClaimHoldId(entry));
+    await processWaitlistForProduct(entry.product);
+  }
+
+  return entry;
+};
+
+module.exports = {
+  getClaimHoldId,
+  toWaitlistItem,
+  expireWaitlistEntries,
+  processWaitlistForProduct,
+  processWaitlistForOrder,
+  findClaimableEntry,
+  findClaimedItem,
+  claimWaitlistEntry,
+  cancelWaitlistEntry
+};